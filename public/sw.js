@@ -0,0 +1,97 @@
+// ─── Service worker ──────────────────────────────────────────────────────────
+// Keeps the app usable without a connection.
+//
+// App shell: the page is fetched network-first, so a new deploy is picked up
+// whenever we're online, and every time it arrives the files it references
+// (the hashed script and stylesheet) are cached and stale ones dropped. Other
+// same-origin files are cache-first.
+//
+// Instrument samples: cache-first from the hosts smplr loads from. A sample
+// never changes at a given URL, so once cached it's good forever. The page
+// reads this cache to show which instruments work offline.
+
+const SHELL_CACHE = 'vocal-warmups-shell-v1';
+const SAMPLE_CACHE = 'vocal-warmups-samples'; // also named in src/offline.js
+const SAMPLE_HOSTS = ['danigb.github.io', 'gleitz.github.io', 'smpldsnds.github.io'];
+const STATIC_FILES = ['manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// Same-origin script, stylesheet and icon references in the page.
+function shellFiles(html) {
+  const files = new Set([scopeUrl('./'), ...STATIC_FILES.map(scopeUrl)]);
+  for (const [, ref] of html.matchAll(/(?:src|href)="([^"]+)"/g)) {
+    const url = new URL(ref, self.registration.scope);
+    if (url.origin === self.location.origin) files.add(url.href);
+  }
+  return [...files];
+}
+
+// Caches the page and what it references; drops files an older deploy used.
+async function refreshShell(pageResponse) {
+  const cache = await caches.open(SHELL_CACHE);
+  const files = shellFiles(await pageResponse.clone().text());
+  await cache.put(scopeUrl('./'), pageResponse);
+  await Promise.all(files.map(async (url) => {
+    if (await cache.match(url)) return;
+    const response = await fetch(url);
+    if (response.ok) await cache.put(url, response);
+  }));
+  const keep = new Set(files);
+  const cached = await cache.keys();
+  await Promise.all(cached.filter(req => !keep.has(req.url)).map(req => cache.delete(req)));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const page = await fetch(scopeUrl('./'), { cache: 'reload' });
+    if (page.ok) await refreshShell(page);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith('vocal-warmups-shell-') && n !== SHELL_CACHE).map(n => caches.delete(n)));
+    // Control the open page straight away so its first instrument load is cached.
+    await self.clients.claim();
+  })());
+});
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Stored before it's handed back, so the page can tell the sample is
+  // offline-ready as soon as its load finishes.
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+async function pageNetworkFirst(event) {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) event.waitUntil(refreshShell(response.clone()));
+    return response;
+  } catch (err) {
+    const cached = await caches.match(scopeUrl('./'), { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (SAMPLE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, SAMPLE_CACHE));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(pageNetworkFirst(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
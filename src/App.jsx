@@ -1,91 +1,96 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Piano, KeyboardShortcuts, MidiNumbers } from 'react-piano';
-import { SplendidGrandPiano, Soundfont } from 'smplr';
+import { CHORD_INTROS, RHYTHM_PRESETS, nearestLevel, nextLevel, warmups, vocalRanges, partLabel } from './warmups';
+import ExerciseBuilder from './ExerciseBuilder';
+import { loadCustomExercises, saveCustomExercises } from './exerciseLibrary';
+import { buildSequences, buildTimeline, eventSound } from './timeline';
+import { createScheduler } from './scheduler';
+import { isRecordingSupported, openMicRecorder, startMicPitch } from './micInput';
+import { createScorecard } from './pitchScoring';
+import { PitchMeter, PitchSummary } from './PitchTracking';
+import RangeFinder from './RangeFinder';
+import MidiDevices from './MidiDevices';
+import StaffView from './StaffView';
+import { MODES, DEFAULT_MODE, KEYS, applyMode, modeChord } from './modes';
+import {
+  loadRangeProfile, saveRangeProfile, profileToPart, placeExercise, exerciseSpan,
+  naturalAtOrBelow, naturalAtOrAbove,
+} from './vocalRange';
+import { GM_PROGRAMS, timelineToMidi } from './midiExercise';
+import { downloadBlob, toFileSlug } from './download';
+import {
+  ALL_INPUTS, isMidiSupported, requestMidiAccess, listPorts, parseMidiMessage, createMidiSender,
+  loadMidiSettings, saveMidiSettings,
+} from './webMidi';
+import { DEFAULT_REST, loadRoutines, saveRoutines, resolveRhythm, planRoutine, formatDuration } from './routines';
+import { RoutinePanel, RoutineProgress } from './RoutinePanel';
+import {
+  MIN_LOGGED_SECONDS, addRecord, historyToCsv, historyToJson, loadHistory, loadSinger, localDay, newRecordId, saveHistory, saveSinger,
+} from './practiceLog';
+import PracticeHistory from './PracticeHistory';
+import { decodeShareHash, encodeShareHash } from './shareLink';
+import { INSTRUMENTS, INSTRUMENT_VOLUME, createInstrument, sampleStorage } from './instruments';
+import { MAX_RENDER_LOOPS, renderLength, renderTimeline } from './renderAudio';
+import { encodeWav } from './wav';
+import { BEATS_PER_BAR } from './metronome';
+import useMetronome from './useMetronome';
+import MetronomePanel from './MetronomePanel';
+import useTraining from './useTraining';
+import { TrainingPanel, TrainingStatus } from './TrainingPanel';
+import {
+  createTakeLog, deleteTake, isTakeStorageSupported, loadTakes, newTakeId, saveTake, takeFileName, waveformPeaks,
+} from './takes';
+import TakesPanel from './TakesPanel';
+import {
+  ARTICULATIONS, DYNAMICS, DYNAMICS_SPANS, MIN_GATE, applyExpression, expressionFor, expressionGate, loadExpressions, saveExpressions,
+} from './articulation';
+import {
+  SYLLABLE_PRESETS, cleanSyllable, loadSyllableSettings, repeatSyllables, saveSyllableSettings, toIpa, withSyllables,
+} from './syllables';
+import useEnsemble from './useEnsemble';
+import EnsemblePanel from './EnsemblePanel';
+import {
+  downloadInstrument, formatBytes, isOfflineSupported, loadSampleLists, offlineInstruments, persistStorage, saveSampleLists,
+  storageUsage, watchServiceWorker,
+} from './offline';
 import 'react-piano/dist/styles.css';
 import './App.css';
 
-// ─── Chord intro definitions ─────────────────────────────────────────────────
-// Semitone offsets from root played simultaneously before the exercise begins.
-// Convention: tonic triad (root, 3rd, 5th) is standard choral "tuning chord".
-// Fifths exercises use root + 5th since that's the interval being drilled.
-// Octave jumps omitted — it's a unison exercise, no chord intro makes sense.
-const CHORD_INTROS = {
-  majorScale:           [0, 4, 7],
-  majorScaleDescending: [0, 4, 7],
-  majorScaleAscending:  [0, 4, 7],
-  arpeggio:             [0, 4, 7],
-  arpeggioDescending:   [0, 4, 7],
-  arpeggioAscending:    [0, 4, 7],
-  triad:                [0, 4, 7],
-  triadDescending:      [0, 4, 7],
-  triadAscending:       [0, 4, 7],
-  triadRoundTrip:       [0, 4, 7],
-  fifths:               [0, 7],
-  fifthsDescending:     [0, 7],
-  fifthsAscending:      [0, 7],
-  fifthsRoundTrip:      [0, 7],
-};
-
-// ─── Rhythm presets ──────────────────────────────────────────────────────────
-const RHYTHM_PRESETS = [
-  { id: 'original',   label: 'Original',   desc: "Restore the exercise's default rhythm",          apply: (base) => [...base] },
-  { id: 'even',       label: 'Even',       desc: 'All notes equal — good for learning pitches',     apply: (base) => base.map(() => 1) },
-  { id: 'first-held', label: 'Hold 1st',   desc: 'First note long, rest quick — classic choral entry', apply: (base) => base.map((_, i) => i === 0 ? 3 : 0.5) },
-  { id: 'last-held',  label: 'Hold Last',  desc: 'Last note stretched — builds breath support',    apply: (base) => base.map((_, i) => i === base.length - 1 ? 3 : 1) },
-  { id: 'dotted',     label: 'Dotted',     desc: 'Long–short pairs — forward momentum',            apply: (base) => base.map((_, i) => i % 2 === 0 ? 1.5 : 0.5) },
-  { id: 'staccato',   label: 'Staccato',   desc: 'Short, detached — crisp articulation',           apply: (base) => base.map(() => 0.5) },
-];
-
-// Duration levels user can cycle through per note block
-const DURATION_LEVELS = [
-  { value: 0.25, label: '¼' },
-  { value: 0.5,  label: '½' },
-  { value: 1,    label: '1' },
-  { value: 1.5,  label: '1½' },
-  { value: 2,    label: '2' },
-  { value: 3,    label: '3' },
-];
-
-function nearestLevel(val) {
-  return DURATION_LEVELS.reduce((prev, curr) =>
-    Math.abs(curr.value - val) < Math.abs(prev.value - val) ? curr : prev
-  );
-}
-function nextLevel(val) {
-  const idx = DURATION_LEVELS.findIndex(l => l.value === nearestLevel(val).value);
-  return DURATION_LEVELS[(idx + 1) % DURATION_LEVELS.length].value;
-}
+// Within this many seconds of an entry starting, Back goes to the previous
+// entry rather than restarting the current one.
+const BACK_RESTART_SECONDS = 3;
+
+// Keyboard shown while the range finder waits for a key press — wide enough
+// for any voice.
+const RANGE_FINDER_KEYS = { first: MidiNumbers.fromNote('C2'), last: MidiNumbers.fromNote('C6') };
+
+// Shorter recordings — a Play pressed by mistake — aren't kept as takes.
+const MIN_TAKE_SECONDS = 1;
+// Lead-in before take playback so the recording and its accompaniment start together.
+const TAKE_LEAD_IN = 0.1;
 
-// ─── Warmup data ─────────────────────────────────────────────────────────────
-const warmups = {
-  majorScale:           { name: 'Major Scale',            type: 'static',    pattern: [0,2,4,5,7,9,11,12,11,9,7,5,4,2,0], rhythm: [1,1,1,1,1,1,1,2,1,1,1,1,1,1,2], syllables: 'Do Re Mi Fa Sol La Ti Do Ti La Sol Fa Mi Re Do' },
-  arpeggio:             { name: 'Major Arpeggio',          type: 'static',    pattern: [0,4,7,12,7,4,0],                    rhythm: [1,1,1,2,1,1,2],                  syllables: 'Do Mi Sol Do Sol Mi Do' },
-  fifths:               { name: 'Ascending Fifths',        type: 'static',    pattern: [0,7,0,7,0],                         rhythm: [2,2,2,2,4],                      syllables: 'Ah Ah Ah Ah Ah' },
-  octaveJumps:          { name: 'Octave Jumps',            type: 'static',    pattern: [0,12,0,12,0],                       rhythm: [1,1,1,1,4],                      syllables: 'Ha Ha Ha Ha Ha' },
-  triad:                { name: 'Triad (1–3–5–3–1)',       type: 'static',    pattern: [0,4,7,4,0],                         rhythm: [1,1,1,1,2],                      syllables: 'Ma Me Mi Mo Mu' },
-  triadDescending:      { name: 'Triad – Descending',      type: 'descending',  basePattern: [0,4,7,4,0],   rhythm: [1,1,1,1,2], baseSyllables: 'Ma Me Mi Mo Mu', stepSize: 2, iterations: 5 },
-  fifthsDescending:     { name: 'Fifths – Descending',     type: 'descending',  basePattern: [0,7,0],        rhythm: [2,2,4],    baseSyllables: 'Ah Ah Ah',       stepSize: 2, iterations: 6 },
-  majorScaleDescending: { name: 'Major Scale – Descending',type: 'descending',  basePattern: [0,2,4,5,7,9,11,12,11,9,7,5,4,2,0], rhythm: [1,1,1,1,1,1,1,2,1,1,1,1,1,1,2], baseSyllables: 'Do Re Mi Fa Sol La Ti Do Ti La Sol Fa Mi Re Do', stepSize: 1, iterations: 12 },
-  arpeggioDescending:   { name: 'Arpeggio – Descending',   type: 'descending',  basePattern: [0,4,7,12,7,4,0], rhythm: [1,1,1,2,1,1,2], baseSyllables: 'Do Mi Sol Do Sol Mi Do', stepSize: 2, iterations: 6 },
-  triadAscending:       { name: 'Triad – Ascending',       type: 'ascending',   basePattern: [0,4,7,4,0],   rhythm: [1,1,1,1,2], baseSyllables: 'Ma Me Mi Mo Mu', stepSize: 2, iterations: 5 },
-  fifthsAscending:      { name: 'Fifths – Ascending',      type: 'ascending',   basePattern: [0,7,0],        rhythm: [2,2,4],    baseSyllables: 'Ah Ah Ah',       stepSize: 2, iterations: 6 },
-  majorScaleAscending:  { name: 'Major Scale – Ascending', type: 'ascending',   basePattern: [0,2,4,5,7,9,11,12,11,9,7,5,4,2,0], rhythm: [1,1,1,1,1,1,1,2,1,1,1,1,1,1,2], baseSyllables: 'Do Re Mi Fa Sol La Ti Do Ti La Sol Fa Mi Re Do', stepSize: 1, iterations: 12 },
-  arpeggioAscending:    { name: 'Arpeggio – Ascending',    type: 'ascending',   basePattern: [0,4,7,12,7,4,0], rhythm: [1,1,1,2,1,1,2], baseSyllables: 'Do Mi Sol Do Sol Mi Do', stepSize: 2, iterations: 6 },
-  triadRoundTrip:       { name: 'Triad – Round Trip',      type: 'roundtrip',   basePattern: [0,4,7,4,0],   rhythm: [1,1,1,1,2], baseSyllables: 'Ma Me Mi Mo Mu', stepSize: 2, iterations: 5 },
-  fifthsRoundTrip:      { name: 'Fifths – Round Trip',     type: 'roundtrip',   basePattern: [0,7,0],        rhythm: [2,2,4],    baseSyllables: 'Ah Ah Ah',       stepSize: 2, iterations: 6 },
-};
-
-const vocalRanges = {
-  bass:     { root: MidiNumbers.fromNote('E2'), color: '#1e40af', displayRange: { first: MidiNumbers.fromNote('E2'), last: MidiNumbers.fromNote('E4') } },
-  baritone: { root: MidiNumbers.fromNote('A2'), color: '#059669', displayRange: { first: MidiNumbers.fromNote('A2'), last: MidiNumbers.fromNote('A4') } },
-  tenor:    { root: MidiNumbers.fromNote('C3'), color: '#d97706', displayRange: { first: MidiNumbers.fromNote('C3'), last: MidiNumbers.fromNote('C5') } },
-  alto:     { root: MidiNumbers.fromNote('G3'), color: '#dc2626', displayRange: { first: MidiNumbers.fromNote('G3'), last: MidiNumbers.fromNote('G5') } },
-  soprano:  { root: MidiNumbers.fromNote('C4'), color: '#9333ea', displayRange: { first: MidiNumbers.fromNote('C4'), last: MidiNumbers.fromNote('C6') } },
-};
+// The timeline for an exercise placed at `placed.root`, after an optional
+// chord intro, phrased with its articulation and dynamics.
+const exerciseTimeline = (placed, rhythm, chord, expression) => (
+  applyExpression(buildTimeline(buildSequences(placed.warmup, placed.root, rhythm), { chord }), expression)
+);
+
+function describeChord(chord) {
+  const key = chord.join(',');
+  if (key === '0,4,7') return 'I triad (Do–Mi–Sol)';
+  if (key === '0,3,7') return 'i triad (Do–Me–Sol)';
+  if (key === '0,4,8') return 'augmented triad (Do–Mi–Si)';
+  if (key === '0,7,12') return 'open fifth and octave';
+  if (key === '0,7') return 'root + fifth';
+  return `a chord (${chord.join(' ')} semitones)`;
+}
 
 // ─── RhythmEditor ─────────────────────────────────────────────────────────────
-function RhythmEditor({ baseRhythm, customRhythm, onChange, syllables, disabled }) {
+function RhythmEditor({
+  baseRhythm, customRhythm, onChange, accents, onAccentsChange, syllables, onSyllablesChange, showIpa, onShowIpaChange, disabled,
+}) {
   const syllableList = (syllables || '').split(' ');
+  const [syllablePattern, setSyllablePattern] = useState('');
 
   const handleBlockClick = (i) => {
     if (disabled) return;
@@ -94,6 +99,22 @@ function RhythmEditor({ baseRhythm, customRhythm, onChange, syllables, disabled
     onChange(updated);
   };
 
+  const toggleAccent = (i) => {
+    if (disabled) return;
+    onAccentsChange(accents.includes(i) ? accents.filter(a => a !== i) : [...accents, i].sort((a, b) => a - b));
+  };
+
+  // Editing one note keeps the rest as they are, preset or not.
+  const editSyllable = (i, text) => {
+    onSyllablesChange({ custom: customRhythm.map((_, j) => (j === i ? cleanSyllable(text) : syllableList[j] || '')) });
+  };
+
+  const applyPattern = (e) => {
+    e.preventDefault();
+    const custom = repeatSyllables(syllablePattern, customRhythm.length);
+    if (!disabled && custom) onSyllablesChange({ custom });
+  };
+
   return (
     <div className="rhythm-editor">
       <div className="rhythm-presets-row">
@@ -115,24 +136,71 @@ function RhythmEditor({ baseRhythm, customRhythm, onChange, syllables, disabled
           const level = nearestLevel(val);
           // Bar height: 0.25→12%, 0.5→25%, 1→45%, 1.5→62%, 2→78%, 3→100%
           const heightPct = Math.round(Math.min(100, (val / 3) * 100));
+          const accented = accents.includes(i);
           return (
-            <button
-              key={i}
-              className={`rb ${disabled ? 'rb--disabled' : ''}`}
-              onClick={() => handleBlockClick(i)}
-              disabled={disabled}
-              title={`${syllableList[i] || `Note ${i+1}`}: ${level.label} beats — click to cycle`}
-            >
-              <span className="rb__track">
-                <span className="rb__bar" style={{ height: `${Math.max(12, heightPct)}%` }} />
-              </span>
-              <span className="rb__beat">{level.label}</span>
-              {syllableList[i] && <span className="rb__syl">{syllableList[i]}</span>}
-            </button>
+            <span key={i} className="rb-cell">
+              <button
+                className={`rb-accent ${accented ? 'rb-accent--on' : ''}`}
+                onClick={() => toggleAccent(i)}
+                disabled={disabled}
+                aria-pressed={accented}
+                title={`${syllableList[i] || `Note ${i+1}`}: ${accented ? 'accented' : 'no accent'} — click to toggle`}
+              >
+                &gt;
+              </button>
+              <button
+                className={`rb ${disabled ? 'rb--disabled' : ''}`}
+                onClick={() => handleBlockClick(i)}
+                disabled={disabled}
+                title={`${syllableList[i] || `Note ${i+1}`}: ${level.label} beats — click to cycle`}
+              >
+                <span className="rb__track">
+                  <span className={`rb__bar ${accented ? 'rb__bar--accent' : ''}`} style={{ height: `${Math.max(12, heightPct)}%` }} />
+                </span>
+                <span className="rb__beat">{level.label}</span>
+              </button>
+              <input
+                className="rb__syl"
+                value={syllableList[i] || ''}
+                onChange={e => editSyllable(i, e.target.value)}
+                disabled={disabled}
+                aria-label={`Syllable for note ${i + 1}`}
+                title={showIpa ? toIpa(syllableList[i] || '') : undefined}
+              />
+            </span>
           );
         })}
       </div>
-      <p className="rhythm-editor-hint">Click a bar to cycle its duration</p>
+      <div className="rhythm-presets-row syllable-presets-row">
+        {SYLLABLE_PRESETS.map(p => (
+          <button
+            key={p.id}
+            className="rp-chip"
+            onClick={() => !disabled && onSyllablesChange(p.id === 'original' ? null : { preset: p.id })}
+            disabled={disabled}
+            title={p.desc}
+          >
+            {p.label}
+          </button>
+        ))}
+        <form className="syllable-pattern" onSubmit={applyPattern}>
+          <input
+            value={syllablePattern}
+            onChange={e => setSyllablePattern(e.target.value)}
+            placeholder="Noo Zee"
+            disabled={disabled}
+            aria-label="Syllable pattern"
+          />
+          <button type="submit" className="rp-chip" disabled={disabled || !syllablePattern.trim()} title="Repeat these syllables across the notes">
+            Custom
+          </button>
+        </form>
+        <label className="syllable-ipa-toggle">
+          <input type="checkbox" checked={showIpa} onChange={e => onShowIpaChange(e.target.checked)} />
+          Show IPA
+        </label>
+      </div>
+      <p className="rhythm-editor-hint">Click a bar to cycle its duration, the &gt; above it to accent the note, or the syllable below it to change what's sung</p>
     </div>
   );
 }
@@ -142,172 +210,989 @@ function App() {
   const [selectedWarmup, setSelectedWarmup]     = useState('majorScale');
   const [vocalPart, setVocalPart]               = useState('tenor');
   const [tempo, setTempo]                       = useState(120);
-  const [isPlaying, setIsPlaying]               = useState(false);
+  const [playbackState, setPlaybackState]       = useState('stopped'); // 'stopped' | 'playing' | 'paused'
   const [activeNotes, setActiveNotes]           = useState([]);
   const [currentSyllable, setCurrentSyllable]   = useState('');
   const [loop, setLoop]                         = useState(false);
   const [selectedInstrument, setSelectedInstrument] = useState('piano');
   const [instrumentLoaded, setInstrumentLoaded] = useState(false);
+  const [instrumentError, setInstrumentError]   = useState('');
+  const [instrumentAttempt, setInstrumentAttempt] = useState(0); // bumped by Retry
+  const [sampleLists, setSampleLists]           = useState(loadSampleLists);
+  const [offlineReady, setOfflineReady]         = useState(() => new Set());
+  const [workerInControl, setWorkerInControl]   = useState(false);
+  const [storageInfo, setStorageInfo]           = useState(null);
+  const [offlineDownload, setOfflineDownload]   = useState(null); // { key, done, total } while downloading
+  const [offlineError, setOfflineError]         = useState('');
   const [chordIntroEnabled, setChordIntroEnabled] = useState(false);
   const [customRhythm, setCustomRhythm]         = useState(() => [...warmups.majorScale.rhythm]);
+  const [customExercises, setCustomExercises]   = useState(loadCustomExercises);
+  const [currentIteration, setCurrentIteration] = useState(-1);
+  const [playingEvent, setPlayingEvent]         = useState(null); // { seqIndex, noteIndex } for the staff highlight
+  const [micEnabled, setMicEnabled]             = useState(false);
+  const [micError, setMicError]                 = useState('');
+  const [sungPitch, setSungPitch]               = useState(null);
+  const [targetMidi, setTargetMidi]             = useState(null);
+  const [pitchSummary, setPitchSummary]         = useState(null);
+  const [rangeProfile, setRangeProfile]         = useState(loadRangeProfile);
+  const [rangeCapturing, setRangeCapturing]     = useState(false);
+  const [lastPlayedNote, setLastPlayedNote]     = useState(null);
+  const [routines, setRoutines]                 = useState(loadRoutines);
+  const [routineRun, setRoutineRun]             = useState(null);
+  const [routineElapsed, setRoutineElapsed]     = useState(0);
+  const [midiSettings, setMidiSettings]         = useState(loadMidiSettings);
+  const [midiStatus, setMidiStatus]             = useState('off'); // 'off' | 'connecting' | 'ready' | 'denied'
+  const [midiPorts, setMidiPorts]               = useState({ inputs: [], outputs: [] });
+  const [rootOverride, setRootOverride]         = useState(null); // root picked on a MIDI keyboard
+  const [keyPc, setKeyPc]                       = useState(null); // pitch class; null = the part's own root
+  const [mode, setMode]                         = useState(DEFAULT_MODE);
+  const [history, setHistory]                   = useState(loadHistory);
+  const [singer, setSinger]                     = useState(loadSinger);
+  const [linkStatus, setLinkStatus]             = useState(null); // 'copied' | 'failed' after Copy link
+  const [renderLoops, setRenderLoops]           = useState(1);
+  const [rendering, setRendering]               = useState(false);
+  const [renderError, setRenderError]           = useState('');
+  const [recordEnabled, setRecordEnabled]       = useState(false);
+  const [recording, setRecording]               = useState(false);
+  const [recordError, setRecordError]           = useState('');
+  const [takes, setTakes]                       = useState([]);
+  const [takesRevision, setTakesRevision]       = useState(0); // bumped when a take is saved or deleted
+  const [playingTakeId, setPlayingTakeId]       = useState(null);
+  const [takeVolumes, setTakeVolumes]           = useState({ voice: 1, accompaniment: 0.7 });
+  const [expressions, setExpressions]           = useState(loadExpressions); // exercise → articulation, dynamics, accents
+  const [syllableSettings, setSyllableSettings] = useState(loadSyllableSettings);
+  const [currentIpa, setCurrentIpa]             = useState('');
+
+  const instrumentRef     = useRef(null);
+  const audioContextRef   = useRef(null);
+  const schedulerRef      = useRef(null);
+  const releaseTimeoutRef = useRef(null);
+  const micStopRef        = useRef(null);
+  const scorecardRef      = useRef(null);
+  const externallyLitRef  = useRef(new Set());
+  const onPlaybackEndRef  = useRef(null);
+  const routineRef        = useRef(null); // mirrors routineRun for scheduler and timer callbacks
+  const routineTickRef    = useRef(null);
+  const phaseClockRef     = useRef({ accumulated: 0, since: null });
+  const midiAccessRef     = useRef(null);
+  const midiSenderRef     = useRef(null);
+  const midiMessageRef    = useRef(null);
+  const midiSettingsRef   = useRef(midiSettings);
+  const sessionRef        = useRef(null); // the run being logged to the practice history
+  const hashChangeRef     = useRef(null);
+  const nextPassRef       = useRef(null);
+  const micRecorderRef    = useRef(null); // open microphone while Record takes is on
+  const takeRef           = useRef(null); // the take being recorded
+  const takePlayerRef     = useRef(null); // { id, source, voice } while a take plays back
+  const takeBuffersRef    = useRef(new Map()); // take id → decoded recording
+  midiSettingsRef.current = midiSettings;
 
-  const instrumentRef   = useRef(null);
-  const timeoutsRef     = useRef([]);
-  const audioContextRef = useRef(null);
+  const isPlaying = playbackState !== 'stopped';
+
+  // Built-in and saved exercises share one lookup; custom entries carry their
+  // own optional chord intro instead of living in CHORD_INTROS.
+  const allWarmups = useMemo(() => ({ ...warmups, ...customExercises }), [customExercises]);
+  const chordIntros = useMemo(() => {
+    const custom = Object.entries(customExercises).filter(([, ex]) => ex.chordIntro).map(([key, ex]) => [key, ex.chordIntro]);
+    return { ...CHORD_INTROS, ...Object.fromEntries(custom) };
+  }, [customExercises]);
 
   const handleWarmupChange = (key) => {
     setSelectedWarmup(key);
-    setCustomRhythm([...warmups[key].rhythm]);
-    if (!CHORD_INTROS[key]) setChordIntroEnabled(false);
+    setCustomRhythm([...allWarmups[key].rhythm]);
+    if (!chordIntros[key]) setChordIntroEnabled(false);
   };
 
+  useEffect(() => { saveCustomExercises(customExercises); }, [customExercises]);
+
+  // Re-sync when the selected custom exercise is edited or deleted.
   useEffect(() => {
+    const warmup = allWarmups[selectedWarmup];
+    if (!warmup) {
+      setSelectedWarmup('majorScale');
+      setCustomRhythm([...warmups.majorScale.rhythm]);
+      return;
+    }
+    if (customRhythm.length !== warmup.rhythm.length) setCustomRhythm([...warmup.rhythm]);
+    if (!chordIntros[selectedWarmup]) setChordIntroEnabled(false);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [allWarmups, chordIntros]);
+
+  // Called by the builder before its onChange has landed in state, so the
+  // freshly saved exercise is passed in rather than looked up.
+  const handleCustomSelect = (key, exercise) => {
+    setSelectedWarmup(key);
+    setCustomRhythm([...exercise.rhythm]);
+    if (!exercise.chordIntro) setChordIntroEnabled(false);
+  };
+
+  useEffect(() => {
+    // A slow load finishing after the player has moved on must not mark the
+    // newer instrument loaded (or failed).
+    let cancelled = false;
     const init = async () => {
       setInstrumentLoaded(false);
+      setInstrumentError('');
       if (!audioContextRef.current) audioContextRef.current = new AudioContext();
-      const ctx = audioContextRef.current;
       if (instrumentRef.current) instrumentRef.current.stop();
-      let inst;
-      switch (selectedInstrument) {
-        case 'marimba':    inst = new Soundfont(ctx, { instrument: 'marimba',    volume: 90 }); break;
-        case 'cello':      inst = new Soundfont(ctx, { instrument: 'cello',      volume: 90 }); break;
-        case 'vibraphone': inst = new Soundfont(ctx, { instrument: 'vibraphone', volume: 90 }); break;
-        case 'flute':      inst = new Soundfont(ctx, { instrument: 'flute',      volume: 90 }); break;
-        default:           inst = new SplendidGrandPiano(ctx, { volume: 90 });
-      }
+      const urls = [];
+      const inst = createInstrument(audioContextRef.current, selectedInstrument, sampleStorage(url => urls.push(url)));
       instrumentRef.current = inst;
-      await inst.load;
+      try {
+        await inst.load;
+      } catch {
+        if (cancelled) return;
+        instrumentRef.current = null;
+        setInstrumentError(navigator.onLine === false
+          ? `${INSTRUMENTS[selectedInstrument]} isn't downloaded for offline use — reconnect, or pick an instrument marked offline.`
+          : `${INSTRUMENTS[selectedInstrument]} couldn't be loaded — check your connection and try again.`);
+        return;
+      }
+      if (cancelled) return;
       setInstrumentLoaded(true);
+      setSampleLists(lists => ({ ...lists, [selectedInstrument]: urls }));
     };
     init();
-    return () => { if (instrumentRef.current) instrumentRef.current.stop(); };
-  }, [selectedInstrument]);
+    return () => {
+      cancelled = true;
+      if (instrumentRef.current) instrumentRef.current.stop();
+    };
+  }, [selectedInstrument, instrumentAttempt]);
+
+  // ─── Offline instruments ───────────────────────────────────────────────────
+  useEffect(() => watchServiceWorker(setWorkerInControl), []);
+
+  useEffect(() => {
+    saveSampleLists(sampleLists);
+    let cancelled = false;
+    (async () => {
+      const ready = await offlineInstruments(sampleLists);
+      const usage = await storageUsage();
+      if (cancelled) return;
+      setOfflineReady(ready);
+      setStorageInfo(usage);
+    })();
+    return () => { cancelled = true; };
+  }, [sampleLists, workerInControl]);
+
+  // Fetches every instrument that isn't cached yet, one at a time.
+  const downloadForOffline = async () => {
+    const missing = Object.keys(INSTRUMENTS).filter(key => !offlineReady.has(key));
+    setOfflineError('');
+    persistStorage();
+    for (let i = 0; i < missing.length; i++) {
+      const key = missing[i];
+      setOfflineDownload({ key, done: i, total: missing.length });
+      try {
+        const urls = await downloadInstrument(key);
+        setSampleLists(lists => ({ ...lists, [key]: urls }));
+      } catch {
+        setOfflineError(`${INSTRUMENTS[key]} couldn't be downloaded — check your connection and try again.`);
+        break;
+      }
+    }
+    setOfflineDownload(null);
+  };
+
+  // react-piano diffs `activeNotes` and calls playNote/stopNote for every
+  // change, including the keys lit by playback or a MIDI keyboard. Those notes
+  // already sound elsewhere, so only the player's own on-screen presses sound
+  // here — which also lets the range finder tell a press from a highlight.
+  const playNote = (midi) => {
+    if (externallyLitRef.current.has(midi)) return;
+    if (instrumentRef.current && instrumentLoaded) instrumentRef.current.start({ note: midi, velocity: 80 });
+    setActiveNotes([midi]);
+    setLastPlayedNote({ midi, at: Date.now() });
+  };
+  const stopNote = (midi) => {
+    if (externallyLitRef.current.delete(midi)) return;
+    if (instrumentRef.current) instrumentRef.current.stop({ note: midi });
+    setActiveNotes([]);
+  };
+
+  // The five presets, plus the singer's own range once they've set one.
+  const parts = useMemo(() => (rangeProfile ? { ...vocalRanges, custom: profileToPart(rangeProfile) } : vocalRanges), [rangeProfile]);
+  const part = parts[vocalPart] || vocalRanges.tenor;
+
+  const handleRangeSave = (profile) => {
+    setRangeProfile(profile);
+    saveRangeProfile(profile);
+    if (profile) setVocalPart('custom');
+    else if (vocalPart === 'custom') setVocalPart('tenor');
+    setRootOverride(null);
+  };
+
+  const selectPart = (key) => {
+    setVocalPart(key);
+    setRootOverride(null);
+  };
+
+  const selectKey = (pc) => {
+    setKeyPc(pc);
+    setRootOverride(null);
+  };
+
+  // The exercise with its pattern and solfège moved into the chosen mode,
+  // singing the syllables chosen for it.
+  const modedWarmup = useMemo(
+    () => withSyllables(applyMode(allWarmups[selectedWarmup] || warmups.majorScale, mode), syllableSettings.exercises[selectedWarmup], mode),
+    [allWarmups, selectedWarmup, mode, syllableSettings],
+  );
+
+  // `choice` is { preset } or { custom }; null goes back to the exercise's own syllables.
+  const chooseSyllables = (choice) => setSyllableSettings(settings => {
+    const exercises = { ...settings.exercises, [selectedWarmup]: choice };
+    if (!choice) delete exercises[selectedWarmup];
+    return { ...settings, exercises };
+  });
+
+  useEffect(() => { saveSyllableSettings(syllableSettings); }, [syllableSettings]);
+
+  // Where the exercise sits for the current part. Presets start on their fixed
+  // root; a personal range moves the root and trims iterations to stay inside
+  // it. Either moves to the chosen key, and a root picked on a MIDI keyboard
+  // overrides them all.
+  const basePlacement = useMemo(() => {
+    const placed = placeExercise(modedWarmup, part, keyPc);
+    return rootOverride === null ? placed : { ...placed, root: rootOverride };
+  }, [modedWarmup, part, keyPc, rootOverride]);
+
+  // ─── Progressive training ──────────────────────────────────────────────────
+  // A training run moves the placement and tempo on with every pass. At the
+  // end of each pass the scheduler asks for the next one, which plays straight
+  // on — or the run ends at its limit.
+  const {
+    training, updateTraining, trainingActive, trainingPass, trainingResult,
+    placement, playTempo, playRoot, planned, passTimeline, startRun, endRun, nextPass, passHeard,
+  } = useTraining({ basePlacement, tempo, looping: loop && !routineRun, currentIteration, range: part.range });
+
+  const expression = useMemo(() => expressionFor(expressions, selectedWarmup), [expressions, selectedWarmup]);
+
+  const updateExpression = (changes) => setExpressions(all => ({ ...all, [selectedWarmup]: { ...expressionFor(all, selectedWarmup), ...changes } }));
+
+  useEffect(() => { saveExpressions(expressions); }, [expressions]);
+
+  const introChord = useMemo(
+    () => (chordIntroEnabled ? modeChord(chordIntros[selectedWarmup], mode, allWarmups[selectedWarmup]) ?? null : null),
+    [allWarmups, chordIntros, selectedWarmup, chordIntroEnabled, mode],
+  );
 
-  const clearAllTimeouts = () => { timeoutsRef.current.forEach(clearTimeout); timeoutsRef.current = []; };
+  // The exercise as it would play right now. Rebuilt on every relevant change
+  // and handed to the scheduler live, so rhythm, vocal part and chord intro can
+  // be adjusted mid-exercise without losing the place.
+  const timeline = useMemo(() => {
+    if (!allWarmups[selectedWarmup]) return null;
+    return passTimeline(exerciseTimeline(placement, customRhythm, introChord, expression));
+  }, [allWarmups, selectedWarmup, placement, customRhythm, introChord, expression, passTimeline]);
 
-  const playNote = (midi) => { if (instrumentRef.current && instrumentLoaded) instrumentRef.current.start({ note: midi, velocity: 80 }); setActiveNotes([midi]); };
-  const stopNote = (midi) => { if (instrumentRef.current) instrumentRef.current.stop({ note: midi }); setActiveNotes([]); };
+  // ─── Ensemble ──────────────────────────────────────────────────────────────
+  const {
+    ensemble, setEnsembleEnabled, updatePart, retryParts, partLoad, partNotes, ensembleVoices, partTrackFor, leadLevel,
+    partInstrument, partInstruments, scheduleParts, litParts, releaseParts, clearParts, silenceParts, exportParts,
+  } = useEnsemble({ audioContextRef, lead: vocalPart, leadColor: part.color, warmup: modedWarmup, keyPc, basePlacement, mode });
 
-  const playWarmup = useCallback(() => {
+  const clearRelease = () => { clearTimeout(releaseTimeoutRef.current); releaseTimeoutRef.current = null; };
+
+  const resetDisplay = () => {
+    clearRelease();
+    setActiveNotes([]);
+    setCurrentSyllable('');
+    setCurrentIpa('');
+    setCurrentIteration(-1);
+    setPlayingEvent(null);
+    setTargetMidi(null);
+    clearParts();
+  };
+
+  // Ends a scored run — on natural end or Stop — and shows its summary.
+  const finishScoring = () => {
+    const card = scorecardRef.current;
+    scorecardRef.current = null;
+    if (card && card.size > 0) setPitchSummary(card.summary());
+  };
+
+  // ─── Metronome ─────────────────────────────────────────────────────────────
+  const { metronome, updateMetronome, countInBeats, scheduleClicks, scheduleCount, silenceClicks, renderLayer } = useMetronome(audioContextRef);
+
+  const getScheduler = () => {
+    if (!schedulerRef.current) {
+      schedulerRef.current = createScheduler({
+        context: audioContextRef.current,
+        schedule: (ev, time, spb, tl) => {
+          const midiOut = midiSenderRef.current;
+          const sampler = !midiOut || midiSettingsRef.current.withSampler ? instrumentRef.current : null;
+          const { velocity, duration } = eventSound(ev, spb);
+          const level = leadLevel();
+          if (level > 0) {
+            const leadVelocity = Math.round(velocity * level);
+            ev.midis.forEach(m => {
+              sampler?.start({ note: m, velocity: leadVelocity, time, duration });
+              midiOut?.note(m, leadVelocity, time, duration);
+            });
+          }
+          scheduleParts(ev, time, spb, tl).forEach(played => takeRef.current?.log.add({ kind: ev.kind, ...played }, time));
+          takeRef.current?.log.add({ kind: ev.kind, syllable: ev.syllable, midis: ev.midis, velocity, duration }, time);
+          scheduleClicks(ev, time, spb, tl);
+        },
+        scheduleCount,
+        notifyCount: (beat) => {
+          setCurrentSyllable(`Count-in ${(beat % BEATS_PER_BAR) + 1}`);
+          setCurrentIpa('');
+        },
+        notify: (ev, index, duration, tl) => {
+          countPass(index);
+          passHeard(tl);
+          litParts(ev, tl);
+          ev.midis.forEach(m => externallyLitRef.current.add(m));
+          setActiveNotes(ev.midis);
+          setCurrentSyllable(ev.kind === 'chord' ? ev.syllable : ev.label ? `${ev.syllable} ${ev.label}` : ev.syllable);
+          setCurrentIpa(ev.kind === 'note' ? toIpa(ev.syllable) : '');
+          setCurrentIteration(ev.seqIndex);
+          setPlayingEvent({ seqIndex: ev.seqIndex, noteIndex: ev.noteIndex });
+          setTargetMidi(ev.kind === 'note' ? ev.midis[0] : null);
+          scorecardRef.current?.begin(ev, performance.now());
+          clearRelease();
+          releaseTimeoutRef.current = setTimeout(() => {
+            setActiveNotes([]);
+            releaseParts();
+          }, duration * 1000 * (ev.kind === 'chord' ? 0.9 : 0.35));
+        },
+        silence: () => {
+          instrumentRef.current?.stop();
+          silenceParts();
+          midiSenderRef.current?.allOff();
+          silenceClicks();
+        },
+        // Created once, so the end and pass handlers are looked up fresh each time.
+        onEnd: () => onPlaybackEndRef.current(),
+        nextPass: () => nextPassRef.current(),
+      });
+    }
+    return schedulerRef.current;
+  };
+
+  // ─── Practice log ──────────────────────────────────────────────────────────
+  // A run is timed while it plays, not while paused. It is logged with the
+  // settings it ended on, since tempo and part can change along the way.
+  const sessionSeconds = (session) => session.accumulated + (session.since === null ? 0 : (performance.now() - session.since) / 1000);
+
+  const beginSession = (routineName = null) => {
+    sessionRef.current = { startedAt: new Date(), accumulated: 0, since: performance.now(), loops: 1, lastIndex: -1, routine: routineName };
+  };
+  const holdSession = () => {
+    const session = sessionRef.current;
+    if (session) sessionRef.current = { ...session, accumulated: sessionSeconds(session), since: null };
+  };
+  const releaseSession = () => {
+    const session = sessionRef.current;
+    if (session && session.since === null) session.since = performance.now();
+  };
+
+  // A loop wraps back to the first event; a seek resets lastIndex so a jump back isn't counted.
+  const countPass = (index) => {
+    const session = sessionRef.current;
+    if (!session) return;
+    if (index === 0 && session.lastIndex > 0) session.loops += 1;
+    session.lastIndex = index;
+  };
+
+  const endSession = (outcome) => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (!session) return;
+    const seconds = sessionSeconds(session);
+    if (seconds < MIN_LOGGED_SECONDS) return;
+    setHistory(h => addRecord(h, {
+      id: newRecordId(),
+      startedAt: session.startedAt.toISOString(),
+      day: localDay(session.startedAt),
+      warmup: selectedWarmup,
+      exercise: (allWarmups[selectedWarmup] || warmups.majorScale).name,
+      vocalPart: partLabel(vocalPart, part),
+      instrument: selectedInstrument,
+      tempo: playTempo,
+      loops: session.loops,
+      seconds: Math.round(seconds),
+      outcome,
+      routine: session.routine,
+    }));
+  };
+
+  useEffect(() => { saveHistory(history); }, [history]);
+  useEffect(() => { saveSinger(singer); }, [singer]);
+
+  const exportHistory = (format) => {
+    const name = `practice-history${singer.trim() ? `-${toFileSlug(singer)}` : ''}-${localDay(new Date())}`;
+    if (format === 'csv') downloadBlob(new Blob([historyToCsv(history, singer.trim())], { type: 'text/csv' }), `${name}.csv`);
+    else downloadBlob(new Blob([historyToJson(history, singer.trim())], { type: 'application/json' }), `${name}.json`);
+  };
+
+  onPlaybackEndRef.current = () => {
+    if (routineRef.current) { finishRoutineStep(); return; }
+    endSession('completed');
+    finishTake();
+    endRun(true);
+    setPlaybackState('stopped');
+    resetDisplay();
+    finishScoring();
+  };
+
+  // Each training pass is built as the exercise is set up when it starts.
+  nextPassRef.current = () => nextPass(placed => exerciseTimeline(placed, customRhythm, introChord, expression));
+
+  const playWarmup = (startIteration = 0) => {
+    if (isPlaying || !timeline) return;
+    if (audioContextRef.current?.state === 'suspended') audioContextRef.current.resume();
+    resetDisplay();
+    setPitchSummary(null);
+    stopTake();
+    scorecardRef.current = micEnabled ? createScorecard() : null;
+    setPlaybackState('playing');
+    beginSession();
+    beginTake();
+    getScheduler().play(startRun(timeline), { tempo, loop, startIteration, countIn: countInBeats() });
+  };
+
+  const pausePlayback = () => {
+    holdSession();
+    if (takeRef.current) {
+      takeRef.current.log.pause(audioContextRef.current.currentTime);
+      takeRef.current.controls.pause();
+    }
+    if (routineRef.current) holdPhaseClock();
+    getScheduler().pause();
+    setPlaybackState('paused');
+    clearRelease();
+    setActiveNotes([]);
+    scorecardRef.current?.end();
+  };
+
+  const resumePlayback = () => {
+    if (audioContextRef.current?.state === 'suspended') audioContextRef.current.resume();
+    if (routineRef.current) releasePhaseClock();
+    releaseSession();
+    if (takeRef.current) {
+      takeRef.current.controls.resume();
+      takeRef.current.log.resume(audioContextRef.current.currentTime);
+    }
+    getScheduler().resume();
+    setPlaybackState('playing');
+  };
+
+  const stopPlayback = () => {
+    if (routineRef.current) { endRoutine(); return; }
+    schedulerRef.current?.stop();
+    endSession('stopped');
+    finishTake();
+    endRun(false);
+    setPlaybackState('stopped');
+    resetDisplay();
+    finishScoring();
+  };
+
+  const seekIteration = (seqIndex) => {
+    if (!isPlaying) { playWarmup(seqIndex); return; }
+    getScheduler().seek(seqIndex);
+    if (sessionRef.current) sessionRef.current.lastIndex = -1;
+    setCurrentIteration(seqIndex);
+  };
+
+  // ─── Routines ──────────────────────────────────────────────────────────────
+  useEffect(() => { saveRoutines(routines); }, [routines]);
+
+  // An entry's timeline, built the same way as the live one above.
+  const buildEntryTimeline = (entry) => {
+    const warmup = allWarmups[entry.warmup];
+    if (!warmup) return null;
+    const entryMode = entry.mode || DEFAULT_MODE;
+    const moded = withSyllables(applyMode(warmup, entryMode), syllableSettings.exercises[entry.warmup], entryMode);
+    const placed = placeExercise(moded, parts[entry.vocalPart] || vocalRanges.tenor, entry.key ?? null);
+    const chord = entry.chordIntro ? modeChord(chordIntros[entry.warmup], entryMode, warmup) ?? null : null;
+    return exerciseTimeline(placed, resolveRhythm(entry, warmup), chord, expressionFor(expressions, entry.warmup));
+  };
+
+  const estimateRoutine = (routine) => planRoutine(routine, buildEntryTimeline, { countIn: countInBeats() }).totalSeconds;
+
+  // The current settings as a routine entry. The rhythm is kept only when it
+  // differs from the exercise's own.
+  const makeRoutineEntry = () => {
+    const base = currentWarmup.rhythm;
+    const edited = customRhythm.some((v, i) => v !== base[i]);
+    return { warmup: selectedWarmup, vocalPart, key: keyPc, mode, tempo, rhythm: edited ? [...customRhythm] : null, chordIntro: chordIntroEnabled, rest: DEFAULT_REST };
+  };
+
+  // Time spent in the current phase (an entry playing, or a rest), excluding pauses.
+  const phaseSeconds = () => {
+    const { accumulated, since } = phaseClockRef.current;
+    return accumulated + (since === null ? 0 : (performance.now() - since) / 1000);
+  };
+  const startPhaseClock   = () => { phaseClockRef.current = { accumulated: 0, since: performance.now() }; };
+  const holdPhaseClock    = () => { phaseClockRef.current = { accumulated: phaseSeconds(), since: null }; };
+  const releasePhaseClock = () => { if (phaseClockRef.current.since === null) phaseClockRef.current.since = performance.now(); };
+
+  const setRun = (run) => { routineRef.current = run; setRoutineRun(run); };
+
+  const startRoutineStep = (index) => {
+    const run = routineRef.current;
+    const step = run.plan.steps[index];
+    const { entry } = step;
+    // Skip and Back cut the entry that was playing short.
+    endSession('stopped');
+    setRun({ ...run, stepIndex: index, phase: 'playing', restLeft: 0 });
+    setRoutineElapsed(step.offset);
+    setRootOverride(null);
+    // Mirror the entry in the controls so the keyboard, rhythm editor and live
+    // adjustments all follow along.
+    setSelectedWarmup(entry.warmup);
+    setVocalPart(parts[entry.vocalPart] ? entry.vocalPart : 'tenor');
+    setKeyPc(entry.key ?? null);
+    setMode(entry.mode || DEFAULT_MODE);
+    setTempo(entry.tempo);
+    setCustomRhythm(resolveRhythm(entry, allWarmups[entry.warmup]));
+    setChordIntroEnabled(entry.chordIntro && !!chordIntros[entry.warmup]);
+    resetDisplay();
+    startPhaseClock();
+    setPlaybackState('playing');
+    beginSession(run.name);
+    getScheduler().play(step.timeline, { tempo: entry.tempo, loop: false, countIn: countInBeats() });
+  };
+
+  const endRoutine = () => {
+    schedulerRef.current?.stop();
+    endSession('stopped');
+    setRun(null);
+    setRoutineElapsed(0);
+    setPlaybackState('stopped');
+    resetDisplay();
+  };
+
+  // An entry played to its end: rest, then move on.
+  const finishRoutineStep = () => {
+    const run = routineRef.current;
+    const step = run.plan.steps[run.stepIndex];
+    endSession('completed');
+    resetDisplay();
+    if (run.stepIndex === run.plan.steps.length - 1) { endRoutine(); return; }
+    if (step.rest === 0) { startRoutineStep(run.stepIndex + 1); return; }
+    setRun({ ...run, phase: 'rest', restLeft: step.rest });
+    startPhaseClock();
+  };
+
+  const playRoutine = (routine) => {
     if (isPlaying) return;
+    const plan = planRoutine(routine, buildEntryTimeline, { countIn: countInBeats() });
+    if (plan.steps.length === 0) return;
     if (audioContextRef.current?.state === 'suspended') audioContextRef.current.resume();
-    clearAllTimeouts();
-    setIsPlaying(true);
-    setCurrentSyllable('');
+    // Scoring covers single exercises; a summary mixing several would mislead.
+    scorecardRef.current = null;
+    setPitchSummary(null);
+    routineRef.current = { name: routine.name, plan, stepIndex: 0, phase: 'playing', restLeft: 0 };
+    startRoutineStep(0);
+  };
 
-    const warmup = warmups[selectedWarmup];
-    const rootNote = vocalRanges[vocalPart].root;
-    const beatDuration = (60 / tempo) * 1000;
-    const mkSyl = (str) => str.split(' ');
-
-    let sequences = [];
-    if (warmup.type === 'static') {
-      sequences.push({ notes: warmup.pattern.map(s => rootNote + s), rhythm: customRhythm, syllables: mkSyl(warmup.syllables), label: null });
-    } else if (warmup.type === 'descending') {
-      for (let i = 0; i < warmup.iterations; i++) {
-        const off = -(warmup.stepSize * i);
-        sequences.push({ notes: warmup.basePattern.map(s => rootNote + s + off), rhythm: customRhythm, syllables: mkSyl(warmup.baseSyllables), label: off ? `(${off})` : null });
-      }
-    } else if (warmup.type === 'ascending') {
-      for (let i = 0; i < warmup.iterations; i++) {
-        const off = warmup.stepSize * i;
-        sequences.push({ notes: warmup.basePattern.map(s => rootNote + s + off), rhythm: customRhythm, syllables: mkSyl(warmup.baseSyllables), label: off ? `(+${off})` : null });
-      }
-    } else if (warmup.type === 'roundtrip') {
-      for (let i = 0; i < warmup.iterations; i++) {
-        const off = -(warmup.stepSize * i);
-        sequences.push({ notes: warmup.basePattern.map(s => rootNote + s + off), rhythm: customRhythm, syllables: mkSyl(warmup.baseSyllables), label: off ? `(${off})` : null });
-      }
-      for (let i = warmup.iterations - 2; i >= 0; i--) {
-        const off = -(warmup.stepSize * i);
-        sequences.push({ notes: warmup.basePattern.map(s => rootNote + s + off), rhythm: customRhythm, syllables: mkSyl(warmup.baseSyllables), label: off ? `(${off})` : null });
-      }
+  const skipRoutineStep = () => {
+    const run = routineRef.current;
+    if (run.stepIndex === run.plan.steps.length - 1) { endRoutine(); return; }
+    startRoutineStep(run.stepIndex + 1);
+  };
+
+  // Back restarts the entry, or — right at its start — goes to the one before.
+  // During a rest it replays the entry just finished.
+  const backRoutineStep = () => {
+    const run = routineRef.current;
+    const restart = run.phase === 'rest' || phaseSeconds() > BACK_RESTART_SECONDS;
+    startRoutineStep(restart ? run.stepIndex : Math.max(0, run.stepIndex - 1));
+  };
+
+  routineTickRef.current = () => {
+    const run = routineRef.current;
+    if (!run) return;
+    const step = run.plan.steps[run.stepIndex];
+    const t = phaseSeconds();
+    if (run.phase === 'playing') {
+      setRoutineElapsed(step.offset + Math.min(step.seconds, t));
+      return;
     }
+    const left = step.rest - t;
+    if (left <= 0) { startRoutineStep(run.stepIndex + 1); return; }
+    setRoutineElapsed(step.offset + step.seconds + t);
+    if (Math.ceil(left) !== Math.ceil(run.restLeft)) setRun({ ...run, restLeft: left });
+  };
 
-    // Small guaranteed offset so the first event never fires at t=0,
-    // giving the AudioContext.resume() promise time to resolve.
-    let t = 50;
-
-    const chordDef = CHORD_INTROS[selectedWarmup];
-    const scheduleChord = (rootNote, atTime) => {
-      const dur = beatDuration * 2;
-      const midis = chordDef.map(s => rootNote + s);
-      const tid = setTimeout(() => {
-        setCurrentSyllable('♩');
-        setActiveNotes(midis);
-        midis.forEach(m => {
-          if (instrumentRef.current) {
-            instrumentRef.current.start({ note: m, velocity: 65, duration: dur * 0.85 / 1000 });
-          }
-        });
-        const tid2 = setTimeout(() => setActiveNotes([]), dur * 0.9);
-        timeoutsRef.current.push(tid2);
-      }, atTime);
-      timeoutsRef.current.push(tid);
-      return dur + beatDuration * 0.25; // returns how much time the chord consumed
-    };
+  const routineActive = routineRun !== null;
+  useEffect(() => {
+    if (!routineActive) return undefined;
+    const id = setInterval(() => routineTickRef.current(), 250);
+    return () => clearInterval(id);
+  }, [routineActive]);
 
-    // Notes — chord intro inserted before each sequence iteration when enabled
-    sequences.forEach(seq => {
-      // Chord before this iteration
-      if (chordIntroEnabled && chordDef) {
-        // For sequence types, the root shifts per iteration — derive it from
-        // the first note of the sequence minus the first semitone offset
-        const seqRoot = seq.notes[0] - (
-          warmup.type === 'static'
-            ? (warmup.pattern?.[0] ?? 0)
-            : (warmup.basePattern?.[0] ?? 0)
-        );
-        t += scheduleChord(seqRoot, t);
-      }
+  // Live updates — the scheduler applies them from the next beat.
+  useEffect(() => { if (isPlaying && timeline) schedulerRef.current?.update({ timeline }); }, [timeline, isPlaying]);
+  useEffect(() => { schedulerRef.current?.update({ tempo: playTempo }); }, [playTempo]);
+  useEffect(() => { schedulerRef.current?.update({ loop }); }, [loop]);
 
-      seq.notes.forEach((midi, ni) => {
-        const dur = beatDuration * (seq.rhythm[ni] ?? 1);
-        const tid = setTimeout(() => {
-          setActiveNotes([midi]);
-          const syl = seq.syllables[ni] || '';
-          setCurrentSyllable(seq.label ? `${syl} ${seq.label}` : syl);
-          if (instrumentRef.current) {
-            instrumentRef.current.start({ note: midi, velocity: 80, duration: dur * 0.3 / 1000 });
-          }
-          const tid2 = setTimeout(() => setActiveNotes([]), dur * 0.35);
-          timeoutsRef.current.push(tid2);
-        }, t);
-        timeoutsRef.current.push(tid);
-        t += dur;
+  useEffect(() => () => { schedulerRef.current?.stop(); clearRelease(); micStopRef.current?.(); micRecorderRef.current?.release(); }, []);
+
+  const toggleMic = async (enabled) => {
+    setMicError('');
+    if (!enabled) {
+      micStopRef.current?.();
+      micStopRef.current = null;
+      setMicEnabled(false);
+      setSungPitch(null);
+      return;
+    }
+    try {
+      if (audioContextRef.current?.state === 'suspended') await audioContextRef.current.resume();
+      micStopRef.current = await startMicPitch(audioContextRef.current, (pitch, now) => {
+        setSungPitch(pitch);
+        if (pitch) scorecardRef.current?.add(pitch.frequency, now);
       });
-      t += beatDuration * 0.5;
+      setMicEnabled(true);
+    } catch (err) {
+      setMicError(err?.name === 'NotAllowedError' ? 'Microphone access was blocked — allow it in your browser to use pitch tracking.' : 'No microphone available.');
+    }
+  };
+
+  // ─── Recorded takes ────────────────────────────────────────────────────────
+  // With Record takes on, the microphone stays open and every run started
+  // with Play is recorded, along with the accompaniment notes heard under it.
+  const toggleRecording = async (enabled) => {
+    setRecordError('');
+    if (!enabled) {
+      micRecorderRef.current?.release();
+      micRecorderRef.current = null;
+      setRecordEnabled(false);
+      return;
+    }
+    try {
+      micRecorderRef.current = await openMicRecorder();
+      setRecordEnabled(true);
+    } catch (err) {
+      setRecordError(err?.name === 'NotAllowedError' ? 'Microphone access was blocked — allow it in your browser to record takes.' : 'No microphone available.');
+    }
+  };
+
+  const beginTake = () => {
+    const recorder = micRecorderRef.current;
+    if (!recorder) return;
+    const context = audioContextRef.current;
+    const log = createTakeLog();
+    takeRef.current = {
+      log,
+      warmup: selectedWarmup,
+      exercise: currentWarmup.name,
+      recordedAt: new Date(),
+      controls: recorder.start(() => log.start(context.currentTime)),
+    };
+    setRecording(true);
+  };
+
+  // Settings are taken as the run ended, as the practice log does.
+  const finishTake = async () => {
+    const take = takeRef.current;
+    takeRef.current = null;
+    if (!take) return;
+    setRecording(false);
+    try {
+      const blob = await take.controls.stop();
+      const buffer = await audioContextRef.current.decodeAudioData(await blob.arrayBuffer());
+      if (buffer.duration < MIN_TAKE_SECONDS) return;
+      const record = {
+        id: newTakeId(),
+        warmup: take.warmup,
+        exercise: take.exercise,
+        recordedAt: take.recordedAt.toISOString(),
+        settings: {
+          vocalPart: partLabel(vocalPart, part), tempo: playTempo, instrument: INSTRUMENTS[selectedInstrument],
+          key: keyPc, mode, chordIntro: chordIntroEnabled,
+        },
+        duration: buffer.duration,
+        mimeType: blob.type,
+        blob,
+        peaks: waveformPeaks(buffer.getChannelData(0)),
+        notes: take.log.finish(),
+      };
+      takeBuffersRef.current.set(record.id, buffer);
+      await saveTake(record);
+      setTakesRevision(r => r + 1);
+    } catch {
+      setRecordError("The take couldn't be saved — the recording didn't decode, or this browser has no room left for it.");
+    }
+  };
+
+  useEffect(() => {
+    if (!isTakeStorageSupported()) return undefined;
+    let cancelled = false;
+    loadTakes(selectedWarmup)
+      .then(list => { if (!cancelled) setTakes(list); })
+      .catch(() => { if (!cancelled) setTakes([]); });
+    return () => { cancelled = true; };
+  }, [selectedWarmup, takesRevision]);
+
+  // What a take's accompaniment replays on: the instrument, and each ensemble
+  // part's own while it's loaded.
+  const takeInstruments = () => [
+    instrumentRef.current,
+    ...partInstruments(),
+  ].filter(Boolean);
+
+  const stopTake = () => {
+    const player = takePlayerRef.current;
+    takePlayerRef.current = null;
+    if (!player) return;
+    player.source.onended = null;
+    player.source.stop();
+    player.voice.disconnect();
+    takeInstruments().forEach(instrument => {
+      instrument.stop();
+      instrument.output.setVolume(INSTRUMENT_VOLUME);
     });
+    setPlayingTakeId(null);
+  };
+
+  // The recording from its own buffer and the accompaniment re-played on
+  // the instrument, both started on the same audio-clock time. Ensemble parts
+  // replay on their own instruments, or on the lead's if those aren't loaded.
+  const playTake = async (take) => {
+    stopTake();
+    const context = audioContextRef.current;
+    if (context.state === 'suspended') await context.resume();
+    let buffer = takeBuffersRef.current.get(take.id);
+    if (!buffer) {
+      try {
+        buffer = await context.decodeAudioData(await take.blob.arrayBuffer());
+      } catch {
+        setRecordError("This take couldn't be played — its recording format isn't supported by this browser.");
+        return;
+      }
+      takeBuffersRef.current.set(take.id, buffer);
+    }
+    const start = context.currentTime + TAKE_LEAD_IN + Math.max(0, -Math.min(0, ...take.notes.map(n => n.time)));
+    const voice = context.createGain();
+    voice.gain.value = takeVolumes.voice;
+    voice.connect(context.destination);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(voice);
+    source.onended = stopTake;
+    source.start(start);
+
+    takeInstruments().forEach(instrument => instrument.output.setVolume(INSTRUMENT_VOLUME * takeVolumes.accompaniment));
+    const instrumentFor = (n) => partInstrument(n.part) ?? instrumentRef.current;
+    take.notes.forEach(n => n.midis.forEach(note => instrumentFor(n)?.start({ note, velocity: n.velocity, time: start + n.time, duration: n.duration })));
+    takePlayerRef.current = { id: take.id, source, voice };
+    setPlayingTakeId(take.id);
+  };
+
+  const changeTakeVolume = (name, value) => {
+    setTakeVolumes(v => ({ ...v, [name]: value }));
+    const player = takePlayerRef.current;
+    if (!player) return;
+    if (name === 'voice') player.voice.gain.value = value;
+    else takeInstruments().forEach(instrument => instrument.output.setVolume(INSTRUMENT_VOLUME * value));
+  };
 
-    const endTid = setTimeout(() => {
-      setIsPlaying(false);
-      setActiveNotes([]);
-      setCurrentSyllable('');
-      if (loop) playWarmup();
-    }, t);
-    timeoutsRef.current.push(endTid);
+  const removeTake = async (take) => {
+    if (takePlayerRef.current?.id === take.id) stopTake();
+    takeBuffersRef.current.delete(take.id);
+    try {
+      await deleteTake(take.id);
+    } finally {
+      setTakesRevision(r => r + 1);
+    }
+  };
+
+  // ─── MIDI devices ──────────────────────────────────────────────────────────
+  useEffect(() => { saveMidiSettings(midiSettings); }, [midiSettings]);
+
+  const connectMidi = async () => {
+    setMidiStatus('connecting');
+    try {
+      const access = await requestMidiAccess();
+      midiAccessRef.current = access;
+      // Fires on every plug and unplug; the effects below re-wire from the new lists.
+      const refresh = () => setMidiPorts({ inputs: listPorts(access.inputs), outputs: listPorts(access.outputs) });
+      access.onstatechange = refresh;
+      refresh();
+      setMidiStatus('ready');
+      setMidiSettings(s => ({ ...s, enabled: true }));
+    } catch {
+      setMidiStatus('denied');
+      setMidiSettings(s => ({ ...s, enabled: false }));
+    }
+  };
+
+  // Reconnect on load if MIDI was in use last session.
+  useEffect(() => {
+    if (midiSettings.enabled && isMidiSupported()) connectMidi();
+    return () => { if (midiAccessRef.current) midiAccessRef.current.onstatechange = null; };
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isPlaying, selectedWarmup, vocalPart, tempo, customRhythm, chordIntroEnabled, loop]);
+  }, []);
 
-  const stopPlayback = () => { clearAllTimeouts(); setIsPlaying(false); setActiveNotes([]); setCurrentSyllable(''); };
-  useEffect(() => () => clearAllTimeouts(), []);
+  const changeMidiSettings = (changes) => setMidiSettings(s => ({ ...s, ...changes }));
+
+  useEffect(() => {
+    const access = midiAccessRef.current;
+    if (!access) return undefined;
+    const listening = [...access.inputs.values()].filter(p => midiSettings.inputId === ALL_INPUTS || p.id === midiSettings.inputId);
+    const handler = (e) => midiMessageRef.current(e.data);
+    listening.forEach(p => { p.onmidimessage = handler; });
+    return () => listening.forEach(p => { p.onmidimessage = null; });
+  }, [midiPorts, midiSettings.inputId]);
+
+  // Rebuilt only when the chosen output appears or disappears, so plugging in
+  // some other device doesn't cut off notes already queued.
+  const midiOutputAvailable = midiPorts.outputs.some(p => p.id === midiSettings.outputId);
+  useEffect(() => {
+    const port = midiOutputAvailable ? midiAccessRef.current.outputs.get(midiSettings.outputId) : null;
+    midiSenderRef.current = port && audioContextRef.current ? createMidiSender(port, audioContextRef.current) : null;
+    return () => { midiSenderRef.current?.allOff(); midiSenderRef.current = null; };
+  }, [midiOutputAvailable, midiSettings.outputId]);
+
+  // Keys on a MIDI keyboard sound through the selected instrument and light up
+  // on screen. While stopped, a key press also sets the exercise's root —
+  // unless the range finder is waiting for a note.
+  midiMessageRef.current = (data) => {
+    const msg = parseMidiMessage(data);
+    if (!msg) return;
+    if (msg.type === 'noteOn') {
+      if (instrumentRef.current && instrumentLoaded) instrumentRef.current.start({ note: msg.note, velocity: msg.velocity });
+      externallyLitRef.current.add(msg.note);
+      setActiveNotes(notes => [...notes.filter(n => n !== msg.note), msg.note]);
+      setLastPlayedNote({ midi: msg.note, at: Date.now() });
+      if (!isPlaying && !rangeCapturing) setRootOverride(msg.note);
+    } else {
+      instrumentRef.current?.stop({ note: msg.note });
+      setActiveNotes(notes => notes.filter(n => n !== msg.note));
+    }
+  };
+
+  const exportName = () => `${currentWarmup.name} – ${partLabel(vocalPart, part)}`;
+
+  const exportMidi = () => {
+    const name = exportName();
+    const parts = exportParts(timeline).map(p => ({ ...p, program: GM_PROGRAMS[p.instrument] ?? 0 }));
+    const bytes = timelineToMidi(timeline, { name, tempo, program: GM_PROGRAMS[selectedInstrument] ?? 0, parts });
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `${toFileSlug(name)}.mid`);
+  };
+
+  // A practice track: the exercise as set up, played `renderLoops` times on
+  // the selected instrument, with the ensemble parts as they're heard live.
+  const exportAudio = async () => {
+    setRendering(true);
+    setRenderError('');
+    try {
+      const buffer = await renderTimeline(timeline, {
+        tempo,
+        loops: renderLoops,
+        metronome: renderLayer(timeline),
+        makeInstrument: (context, options) => createInstrument(context, selectedInstrument, sampleStorage(), options),
+        level: leadLevel(),
+        parts: exportParts(timeline).map(p => ({ ...p, makeInstrument: (context, options) => createInstrument(context, p.instrument, sampleStorage(), options) })),
+      });
+      const suffix = renderLoops > 1 ? `-x${renderLoops}` : '';
+      downloadBlob(new Blob([encodeWav(buffer)], { type: 'audio/wav' }), `${toFileSlug(exportName())}-${tempo}bpm${suffix}.wav`);
+    } catch {
+      setRenderError("The audio couldn't be rendered — the instrument samples didn't load. Check your connection and try again.");
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  // ─── Share links ───────────────────────────────────────────────────────────
+  const shareSettings = () => {
+    const edited = customRhythm.some((v, i) => v !== currentWarmup.rhythm[i]);
+    return {
+      warmup: selectedWarmup, vocalPart, instrument: selectedInstrument, tempo,
+      rhythm: edited ? customRhythm : null, chordIntro: chordIntroEnabled, loop, key: keyPc, mode,
+    };
+  };
+
+  const copyLink = async () => {
+    const hash = encodeShareHash(shareSettings());
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+    // Keep the address bar in step, without triggering our own hashchange handler.
+    window.history.replaceState(null, '', `#${hash}`);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkStatus('copied');
+    } catch {
+      setLinkStatus('failed');
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  useEffect(() => {
+    if (!linkStatus) return undefined;
+    const id = setTimeout(() => setLinkStatus(null), 2500);
+    return () => clearTimeout(id);
+  }, [linkStatus]);
+
+  // Opening a link — on load, or pasted into an open tab — replaces the setup.
+  hashChangeRef.current = () => {
+    const shared = decodeShareHash(window.location.hash, {
+      exercises: allWarmups, parts, instruments: Object.keys(INSTRUMENTS), chordIntros, modes: MODES,
+    });
+    if (!shared) return;
+    if (isPlaying) stopPlayback();
+    setSelectedWarmup(shared.warmup);
+    setCustomRhythm(shared.rhythm);
+    setChordIntroEnabled(shared.chordIntro);
+    setVocalPart(shared.vocalPart);
+    setSelectedInstrument(shared.instrument);
+    setTempo(shared.tempo);
+    setLoop(shared.loop);
+    setKeyPc(shared.key);
+    setMode(shared.mode);
+    setRootOverride(null);
+  };
+
+  useEffect(() => {
+    const onHashChange = () => hashChangeRef.current();
+    onHashChange();
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
 
-  const baseDisplayRange = vocalRanges[vocalPart].displayRange;
   const pianoRange = (() => {
-    const warmup = warmups[selectedWarmup];
-    const rootNote = vocalRanges[vocalPart].root;
-    if (warmup.type === 'static') return baseDisplayRange;
-    let offsets = [];
-    if (warmup.type === 'descending')      for (let i = 0; i < warmup.iterations; i++) offsets.push(-(warmup.stepSize * i));
-    else if (warmup.type === 'ascending')  for (let i = 0; i < warmup.iterations; i++) offsets.push(warmup.stepSize * i);
-    else if (warmup.type === 'roundtrip') { for (let i = 0; i < warmup.iterations; i++) offsets.push(-(warmup.stepSize * i)); for (let i = warmup.iterations - 2; i >= 0; i--) offsets.push(-(warmup.stepSize * i)); }
-    let minNote = baseDisplayRange.first, maxNote = baseDisplayRange.last;
-    offsets.forEach(off => warmup.basePattern.forEach(s => { const m = rootNote + s + off; if (m < minNote) minNote = m; if (m > maxNote) maxNote = m; }));
-    return { first: minNote, last: maxNote };
+    if (rangeCapturing) return RANGE_FINDER_KEYS;
+    const base = part.displayRange;
+    const span = exerciseSpan(placement.warmup);
+    // Wide enough for every part playing along.
+    const partMidis = timeline ? ensembleVoices.flatMap(voice => [...partTrackFor(timeline, voice).values()].flatMap(sung => sung.midis)) : [];
+    return {
+      first: naturalAtOrBelow(Math.min(base.first, placement.root + span.min, ...partMidis)),
+      last: naturalAtOrAbove(Math.max(base.last, placement.root + span.max, ...partMidis)),
+    };
   })();
 
-  const currentWarmup = warmups[selectedWarmup];
-  const hasChordIntro = !!CHORD_INTROS[selectedWarmup];
+  // With a personal range active, keys outside it are shaded.
+  // In ensemble mode, each part's notes are marked in its colour.
+  const renderKeyLabel = ({ keyboardShortcut, midiNumber, isActive, isAccidental }) => (
+    <>
+      {part.range && !rangeCapturing && (midiNumber < part.range.low || midiNumber > part.range.high) && <div className="key-out-of-range" />}
+      {partNotes.some(n => n.midi === midiNumber) && (
+        <div className="key-parts">
+          {partNotes.filter(n => n.midi === midiNumber).map(n => <span key={n.part} style={{ backgroundColor: n.color }} />)}
+        </div>
+      )}
+      {keyboardShortcut && (
+        <div className={`ReactPiano__NoteLabel ReactPiano__NoteLabel--${isAccidental ? 'accidental' : 'natural'} ${isActive ? 'ReactPiano__NoteLabel--active' : ''}`}>
+          {keyboardShortcut}
+        </div>
+      )}
+    </>
+  );
+
+  // The staff shows one iteration: the one playing, else the first.
+  const staffIndex = timeline ? Math.min(Math.max(0, currentIteration), timeline.iterations.length - 1) : 0;
+  const staffIteration = timeline?.iterations[staffIndex];
+  const staffEvents = useMemo(() => (timeline ? timeline.events.filter(ev => ev.seqIndex === staffIndex) : []), [timeline, staffIndex]);
+
+  const currentWarmup = allWarmups[selectedWarmup] || warmups.majorScale;
+  const chordDef = chordIntros[selectedWarmup];
+  const hasChordIntro = !!chordDef;
 
   return (
     <div className="app">
@@ -321,110 +1206,431 @@ function App() {
           <div className="control-group">
             <label htmlFor="instrument-select">Instrument</label>
             <select id="instrument-select" value={selectedInstrument} onChange={e => setSelectedInstrument(e.target.value)} disabled={isPlaying}>
-              <option value="piano">Grand Piano</option>
-              <option value="marimba">Marimba</option>
-              <option value="cello">Cello</option>
-              <option value="vibraphone">Vibraphone</option>
-              <option value="flute">Flute</option>
+              {Object.entries(INSTRUMENTS).map(([key, label]) => (
+                <option key={key} value={key}>{label}{offlineReady.has(key) ? ' · offline ✓' : ''}</option>
+              ))}
             </select>
-            {!instrumentLoaded && <span className="loading-indicator">Loading instrument…</span>}
+            {!instrumentLoaded && !instrumentError && <span className="loading-indicator">Loading instrument…</span>}
+            {instrumentError && (
+              <p className="range-note range-note--warn">
+                {instrumentError}{' '}
+                <button className="eb-link" onClick={() => setInstrumentAttempt(n => n + 1)}>Retry</button>
+              </p>
+            )}
+            {isOfflineSupported() && workerInControl && (
+              <div className="offline-row">
+                <span className="offline-row__status">
+                  {offlineReady.size} of {Object.keys(INSTRUMENTS).length} instruments available offline
+                  {storageInfo && storageInfo.quota > 0 && ` · using ${formatBytes(storageInfo.usage)} of ${formatBytes(storageInfo.quota)}`}
+                </span>
+                {offlineReady.size < Object.keys(INSTRUMENTS).length && (
+                  <button className="eb-btn" onClick={downloadForOffline} disabled={!!offlineDownload}>
+                    {offlineDownload ? `Downloading ${INSTRUMENTS[offlineDownload.key]}… (${offlineDownload.done + 1}/${offlineDownload.total})` : '⤓ Download for offline'}
+                  </button>
+                )}
+                {offlineError && <p className="range-note range-note--warn">{offlineError}</p>}
+              </div>
+            )}
+          </div>
+
+          <div className="control-group">
+            <label>MIDI Devices</label>
+            <MidiDevices
+              supported={isMidiSupported()}
+              status={midiStatus}
+              inputs={midiPorts.inputs}
+              outputs={midiPorts.outputs}
+              settings={midiSettings}
+              onConnect={connectMidi}
+              onChange={changeMidiSettings}
+            />
           </div>
 
           <div className="control-group">
             <label htmlFor="warmup-select">Warmup Exercise</label>
             <select id="warmup-select" value={selectedWarmup} onChange={e => handleWarmupChange(e.target.value)} disabled={isPlaying}>
-              {Object.entries(warmups).map(([key, w]) => <option key={key} value={key}>{w.name}</option>)}
+              <optgroup label="Built-in">
+                {Object.entries(warmups).map(([key, w]) => <option key={key} value={key}>{w.name}</option>)}
+              </optgroup>
+              {Object.keys(customExercises).length > 0 && (
+                <optgroup label="My Exercises">
+                  {Object.entries(customExercises).map(([key, w]) => <option key={key} value={key}>{w.name}</option>)}
+                </optgroup>
+              )}
             </select>
           </div>
 
+          <div className="control-group">
+            <label>My Exercises</label>
+            <ExerciseBuilder
+              exercises={customExercises}
+              onChange={setCustomExercises}
+              onSelect={handleCustomSelect}
+              disabled={isPlaying}
+            />
+          </div>
+
+          <div className="control-group">
+            <label>Routines</label>
+            <RoutinePanel
+              routines={routines}
+              onChange={setRoutines}
+              exercises={allWarmups}
+              parts={parts}
+              chordIntros={chordIntros}
+              makeEntry={makeRoutineEntry}
+              estimate={estimateRoutine}
+              onPlay={playRoutine}
+              disabled={isPlaying || !instrumentLoaded}
+            />
+          </div>
+
           {/* Rhythm editor */}
           <div className="control-group">
-            <label>Rhythm</label>
+            <label>Rhythm &amp; Syllables</label>
             <RhythmEditor
               baseRhythm={currentWarmup.rhythm}
               customRhythm={customRhythm}
               onChange={setCustomRhythm}
-              syllables={currentWarmup.syllables || currentWarmup.baseSyllables}
-              disabled={isPlaying}
+              accents={expression.accents}
+              onAccentsChange={accents => updateExpression({ accents })}
+              syllables={modedWarmup.syllables || modedWarmup.baseSyllables}
+              onSyllablesChange={chooseSyllables}
+              showIpa={syllableSettings.showIpa}
+              onShowIpaChange={showIpa => setSyllableSettings(settings => ({ ...settings, showIpa }))}
             />
           </div>
 
+          <div className="control-group">
+            <label>Articulation &amp; Dynamics</label>
+            <div className="expression-row">
+              <select
+                value={expression.articulation ?? ''}
+                onChange={e => updateExpression({ articulation: e.target.value || null, gate: expressionGate(expression) ?? expression.gate })}
+                aria-label="Articulation"
+              >
+                <option value="">Standard (short notes, ringing chord)</option>
+                {Object.entries(ARTICULATIONS).map(([id, a]) => (
+                  <option key={id} value={id}>{a.gate ? `${a.label} (${Math.round(a.gate * 100)}%)` : a.label}</option>
+                ))}
+              </select>
+              {expression.articulation === 'custom' && (
+                <label className="expression-row__gate">
+                  Gate
+                  <input
+                    type="range" min={MIN_GATE} max="1" step="0.05" value={expression.gate}
+                    onChange={e => updateExpression({ gate: Number(e.target.value) })}
+                  />
+                  <span>{Math.round(expression.gate * 100)}%</span>
+                </label>
+              )}
+              <select value={expression.dynamics} onChange={e => updateExpression({ dynamics: e.target.value })} aria-label="Dynamics">
+                {Object.entries(DYNAMICS).map(([id, d]) => <option key={id} value={id}>{d.label}</option>)}
+              </select>
+              <select
+                value={expression.span}
+                onChange={e => updateExpression({ span: e.target.value })}
+                disabled={expression.dynamics === 'flat'}
+                aria-label="Dynamics span"
+              >
+                {Object.entries(DYNAMICS_SPANS).map(([id, d]) => <option key={id} value={id}>{d.label}</option>)}
+              </select>
+            </div>
+            <p className="range-note">Saved for this exercise. The chord intro follows the articulation and the dynamics of the note it leads into.</p>
+          </div>
+
           {/* Chord intro — only shown when pedagogically applicable */}
           {hasChordIntro && (
             <div className="control-group chord-intro-group">
               <label className="chord-toggle-label">
                 <span className="toggle-switch">
-                  <input type="checkbox" checked={chordIntroEnabled} onChange={e => setChordIntroEnabled(e.target.checked)} disabled={isPlaying} />
+                  <input type="checkbox" checked={chordIntroEnabled} onChange={e => setChordIntroEnabled(e.target.checked)} />
                   <span className="toggle-knob" />
                 </span>
                 <span className="chord-toggle-text">
                   Tonic chord intro
                   <span className="chord-toggle-sub">
-                    Plays {CHORD_INTROS[selectedWarmup].length === 2 ? 'root + fifth' : 'I triad (Do–Mi–Sol)'} before exercise — standard choral convention
+                    Plays {describeChord(modeChord(chordDef, mode, currentWarmup))} before exercise — standard choral convention
                   </span>
                 </span>
               </label>
             </div>
           )}
 
+          <div className="control-group">
+            <label>Key &amp; Mode</label>
+            <div className="key-mode-row">
+              <select value={keyPc ?? ''} onChange={e => selectKey(e.target.value === '' ? null : Number(e.target.value))} aria-label="Key">
+                <option value="">Vocal part default</option>
+                {KEYS.map((name, pc) => <option key={pc} value={pc}>{name}</option>)}
+              </select>
+              <select value={mode} onChange={e => setMode(e.target.value)} aria-label="Scale or mode">
+                {Object.entries(MODES).map(([id, m]) => <option key={id} value={id}>{m.label}</option>)}
+              </select>
+            </div>
+          </div>
+
           <div className="control-group">
             <label>Vocal Part</label>
             <div className="vocal-part-buttons">
-              {Object.entries(vocalRanges).map(([key, range]) => (
+              {Object.entries(parts).map(([key, range]) => (
                 <button
                   key={key}
                   className={`vocal-part-btn ${vocalPart === key ? 'active' : ''}`}
                   style={{ backgroundColor: vocalPart === key ? range.color : 'transparent', borderColor: range.color, color: vocalPart === key ? 'white' : range.color }}
-                  onClick={() => setVocalPart(key)}
-                  disabled={isPlaying}
+                  onClick={() => selectPart(key)}
                 >
-                  {key.charAt(0).toUpperCase() + key.slice(1)}
+                  {partLabel(key, range)}
                 </button>
               ))}
             </div>
+            {rootOverride !== null && (
+              <p className="range-note">
+                Starting on <strong>{MidiNumbers.getAttributes(rootOverride).note}</strong> from your MIDI keyboard —{' '}
+                <button className="eb-link" onClick={() => setRootOverride(null)} disabled={isPlaying}>use the {partLabel(vocalPart, part)} root</button>
+              </p>
+            )}
+            {part.range && placement.trimmed > 0 && (
+              <p className="range-note">
+                Shortened to {placement.warmup.iterations} of {placement.warmup.iterations + placement.trimmed} steps to stay within your range.
+              </p>
+            )}
+            {part.range && !placement.fits && (
+              <p className="range-note range-note--warn">This pattern is wider than your range — some notes fall in the shaded area.</p>
+            )}
+            <RangeFinder
+              profile={rangeProfile}
+              onSave={handleRangeSave}
+              lastPlayedNote={lastPlayedNote}
+              sungPitch={sungPitch}
+              micEnabled={micEnabled}
+              onCapturingChange={setRangeCapturing}
+              disabled={isPlaying}
+            />
           </div>
 
+          <EnsemblePanel
+            ensemble={ensemble}
+            lead={vocalPart}
+            parts={parts}
+            leadInstrument={selectedInstrument}
+            partLoad={partLoad}
+            onEnabledChange={setEnsembleEnabled}
+            onPartChange={updatePart}
+            onRetry={retryParts}
+          />
+
           <div className="control-group">
             <label htmlFor="tempo-slider">Tempo: {tempo} BPM</label>
-            <input id="tempo-slider" type="range" min="60" max="180" value={tempo} onChange={e => setTempo(Number(e.target.value))} disabled={isPlaying} />
+            <input id="tempo-slider" type="range" min="60" max="180" value={tempo} onChange={e => setTempo(Number(e.target.value))} />
           </div>
 
           <div className="control-group">
             <label>
-              <input type="checkbox" checked={loop} onChange={e => setLoop(e.target.checked)} />
+              <input type="checkbox" checked={loop} onChange={e => setLoop(e.target.checked)} disabled={routineActive} />
               Loop Exercise
             </label>
           </div>
 
+          <TrainingPanel
+            training={training}
+            onChange={updateTraining}
+            disabled={isPlaying}
+            isStatic={modedWarmup.type === 'static'}
+            loopOff={!loop && !routineActive}
+            limitedTo={trainingActive && part.range && planned < training.passes ? planned : null}
+            result={!isPlaying && trainingResult}
+          />
+
+          <MetronomePanel metronome={metronome} onChange={updateMetronome} />
+
+          <div className="control-group">
+            <label className="chord-toggle-label">
+              <span className="toggle-switch">
+                <input type="checkbox" checked={micEnabled} onChange={e => toggleMic(e.target.checked)} disabled={isPlaying} />
+                <span className="toggle-knob" />
+              </span>
+              <span className="chord-toggle-text">
+                Pitch tracking
+                <span className="chord-toggle-sub">
+                  Listens through your microphone and scores each note — audio never leaves this device. Headphones give the cleanest reading.
+                </span>
+              </span>
+            </label>
+            {micError && <p className="mic-error">{micError}</p>}
+          </div>
+
+          {isRecordingSupported() && isTakeStorageSupported() && (
+            <div className="control-group">
+              <label className="chord-toggle-label">
+                <span className="toggle-switch">
+                  <input type="checkbox" checked={recordEnabled} onChange={e => toggleRecording(e.target.checked)} disabled={isPlaying} />
+                  <span className="toggle-knob" />
+                </span>
+                <span className="chord-toggle-text">
+                  Record takes
+                  <span className="chord-toggle-sub">
+                    Records you singing each run, saved on this device to play back against the accompaniment
+                  </span>
+                </span>
+              </label>
+              {recordError && <p className="mic-error">{recordError}</p>}
+            </div>
+          )}
+
           <div className="playback-controls">
-            <button className="play-btn" onClick={playWarmup} disabled={isPlaying || !instrumentLoaded}>▶ Play</button>
+            {playbackState === 'stopped' && <button className="play-btn" onClick={() => playWarmup()} disabled={!instrumentLoaded}>▶ Play</button>}
+            {playbackState === 'playing' && <button className="play-btn" onClick={pausePlayback}>❚❚ Pause</button>}
+            {playbackState === 'paused'  && <button className="play-btn" onClick={resumePlayback}>▶ Resume</button>}
             <button className="stop-btn" onClick={stopPlayback} disabled={!isPlaying}>■ Stop</button>
           </div>
+
+          {routineRun && (
+            <RoutineProgress
+              run={routineRun}
+              elapsed={routineElapsed}
+              exercises={allWarmups}
+              onBack={backRoutineStep}
+              onSkip={skipRoutineStep}
+            />
+          )}
+
+          {/* Step navigation — jump straight to any transposition of a sequence exercise */}
+          {timeline && timeline.iterations.length > 1 && (
+            <div className="iteration-nav">
+              <span className="iteration-nav__label">Jump to step</span>
+              {timeline.iterations.map((it, i) => (
+                <button
+                  key={i}
+                  className={`iteration-chip ${currentIteration === i ? 'iteration-chip--active' : ''}`}
+                  onClick={() => seekIteration(i)}
+                  disabled={!instrumentLoaded}
+                >
+                  {it.label || 'Root'}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="export-row">
+            <span className="export-row__label">Share or export as set up</span>
+            <button className="eb-btn" onClick={copyLink} title="Link that opens this exercise with the same part, instrument, tempo, rhythm, chord intro and loop">
+              {linkStatus === 'copied' ? '✓ Link copied' : '🔗 Copy link'}
+            </button>
+            <button className="eb-btn" onClick={exportMidi} disabled={!timeline} title="Standard MIDI file with syllables as lyrics, and a track per ensemble part — opens in notation software">
+              ⤓ MIDI file
+            </button>
+            <button className="eb-btn" onClick={exportAudio} disabled={!timeline || rendering} title="Accompaniment track on the selected instrument, ensemble parts included, to practise with anywhere">
+              {rendering ? 'Rendering…' : '⤓ WAV audio'}
+            </button>
+            <label className="export-row__passes">
+              <input
+                type="number"
+                min="1"
+                max={MAX_RENDER_LOOPS}
+                value={renderLoops}
+                onChange={e => setRenderLoops(Math.max(1, Math.min(MAX_RENDER_LOOPS, Math.round(Number(e.target.value)) || 1)))}
+                disabled={rendering}
+                aria-label="Times through"
+              />
+              × {timeline && `(${formatDuration(renderLength(timeline, { tempo, loops: renderLoops, countIn: countInBeats() }).seconds)})`}
+            </label>
+          </div>
+          {renderError && <p className="range-note range-note--warn">{renderError}</p>}
         </section>
 
         {currentSyllable && (
           <div className="syllable-display">
-            <div className="syllable">{currentSyllable}</div>
+            <div className="syllable-stack">
+              <div className="syllable">{currentSyllable}</div>
+              {syllableSettings.showIpa && currentIpa && <div className="syllable-ipa" lang="und-fonipa">{currentIpa}</div>}
+            </div>
+            {trainingPass !== null && (
+              <TrainingStatus training={training} pass={trainingPass} planned={planned} tempo={playTempo} baseTempo={tempo} root={playRoot} placement={placement} />
+            )}
           </div>
         )}
 
+        {micEnabled && <PitchMeter pitch={sungPitch} targetMidi={targetMidi} />}
+
+        {pitchSummary && !isPlaying && <PitchSummary summary={pitchSummary} onClose={() => setPitchSummary(null)} />}
+
+        {staffEvents.length > 0 && (
+          <section className="staff-section">
+            <StaffView
+              events={staffEvents}
+              root={placement.root + staffIteration.offset}
+              clef={part.clef}
+              mode={MODES[mode]}
+              activeEvent={playingEvent}
+              caption={timeline.iterations.length > 1 ? `Step ${staffIndex + 1} of ${timeline.iterations.length}${staffIteration.label ? ` ${staffIteration.label}` : ''}` : null}
+            />
+          </section>
+        )}
+
         <section className="piano-section">
           <div className="piano-container">
             <Piano noteRange={pianoRange} playNote={playNote} stopNote={stopNote} activeNotes={activeNotes} width={1000}
+              renderNoteLabel={(part.range && !rangeCapturing) || partNotes.length > 0 ? renderKeyLabel : undefined}
               keyboardShortcuts={KeyboardShortcuts.create({ firstNote: pianoRange.first, lastNote: pianoRange.last, keyboardConfig: KeyboardShortcuts.HOME_ROW })} />
           </div>
           <p className="piano-hint">Range: {MidiNumbers.getAttributes(pianoRange.first).note} – {MidiNumbers.getAttributes(pianoRange.last).note}</p>
         </section>
 
+        {(recordEnabled || takes.length > 0) && (
+          <section className="takes-section">
+            <h2>Takes {recording && <span className="takes-recording">● Recording</span>}</h2>
+            <TakesPanel
+              takes={takes}
+              playingId={playingTakeId}
+              volumes={takeVolumes}
+              onVolumeChange={changeTakeVolume}
+              onPlay={playTake}
+              onStop={stopTake}
+              onDelete={removeTake}
+              onDownload={take => downloadBlob(take.blob, takeFileName(take))}
+              disabled={isPlaying || !instrumentLoaded}
+            />
+          </section>
+        )}
+
+        <section className="history-section">
+          <h2>Practice History</h2>
+          <PracticeHistory
+            history={history}
+            singer={singer}
+            onSingerChange={setSinger}
+            onExport={exportHistory}
+            onClear={() => setHistory([])}
+          />
+        </section>
+
         <section className="info-section">
           <h2>How to Use</h2>
           <ol>
-            <li>Select an instrument and wait for it to load</li>
-            <li>Choose a warmup exercise</li>
+            <li>Select an instrument and wait for it to load — Download for offline keeps every instrument on this device for rehearsals without a connection</li>
+            <li>Choose a warmup exercise, or build and save your own under My Exercises</li>
             <li>Apply a rhythm preset or click individual bars to fine-tune note durations</li>
+            <li>Sing on solfège, scale numbers, Ah, Oo, a lip trill or your own pattern ("Noo Zee") — or type a syllable under any bar; Original goes back to the exercise's own, and Show IPA adds the pronunciation</li>
+            <li>Set the articulation — legato, tenuto, staccato or your own gate — and a crescendo, decrescendo or messa di voce over each iteration or the whole exercise; accent single notes with the &gt; above their bars</li>
             <li>Enable the tonic chord intro on supported exercises — the conventional choral tuning cue</li>
             <li>Select your vocal part, set tempo, then press Play</li>
+            <li>Turn on Ensemble to warm up the whole choir together — each part follows the lead from its own root, in parallel 3rds or 6ths, or on a tonic drone, with its own instrument, volume, mute and solo, and its notes marked on the keyboard in the part's colour</li>
+            <li>Pick a key and a scale or mode — scale and arpeggio patterns, solfège and the chord intro follow it (Do–Me–Sol in minor)</li>
+            <li>Use Find my range to save your own lowest and highest notes — exercises in My Range never leave it</li>
+            <li>Tempo, rhythm, vocal part and chord intro can be changed while playing; Pause resumes on the same note</li>
+            <li>Follow the exercise on the staff — the note being sung is highlighted, and sequence exercises show the current step's key</li>
+            <li>Use Jump to step to practise one transposition of a sequence exercise</li>
             <li>Enable Loop to repeat continuously</li>
+            <li>Turn on Progressive training with Loop to build stamina and range — each pass, or each sequence step, can get faster and move the root, stopping at the limit you set</li>
+            <li>Turn on the Metronome to click along in quarters, eighths or triplets, and add a one- or two-bar count-in before the first note</li>
+            <li>Chain exercises into a Routine with rests between them — Skip and Back move through it while it plays</li>
+            <li>Copy link shares the exercise exactly as set up — part, instrument, tempo, rhythm, chord intro and loop — so everyone opens the same thing</li>
+            <li>Export the exercise as set up as a WAV practice track — set how many times through — or to a MIDI file, or import a single-track MIDI melody as a new exercise</li>
+            <li>Connect MIDI to play along on a MIDI keyboard or send playback to a synth — a key pressed while stopped sets the starting note</li>
+            <li>Every run is logged under Practice History — daily totals, streaks and tempo progress, exportable as CSV or JSON for your section leader</li>
+            <li>Turn on Record takes to hear yourself against the exercise — each take is kept per exercise with its waveform and note starts, to replay with its own voice and accompaniment volumes or download</li>
+            <li>Turn on Pitch tracking to see how sharp or flat you sing each note, with a summary when the exercise ends</li>
           </ol>
         </section>
       </main>
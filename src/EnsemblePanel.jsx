@@ -0,0 +1,81 @@
+import React from 'react';
+import { partLabel } from './warmups';
+import { INSTRUMENTS } from './instruments';
+import { ENSEMBLE_PARTS, HARMONIES, partSettings } from './ensemble';
+
+// ─── EnsemblePanel ───────────────────────────────────────────────────────────
+// The ensemble switch and a row per part: the lead first, then each part that
+// can follow it with its harmony, instrument and mix.
+function EnsemblePanel({ ensemble, lead, parts, leadInstrument, partLoad, onEnabledChange, onPartChange, onRetry }) {
+  return (
+    <div className="control-group ensemble-group">
+      <label className="chord-toggle-label">
+        <span className="toggle-switch">
+          <input type="checkbox" checked={ensemble.enabled} onChange={e => onEnabledChange(e.target.checked)} />
+          <span className="toggle-knob" />
+        </span>
+        <span className="chord-toggle-text">
+          Ensemble
+          <span className="chord-toggle-sub">Several parts at once — the selected part leads and the others follow in harmony</span>
+        </span>
+      </label>
+      {ensemble.enabled && (
+        <table className="ensemble-table">
+          <tbody>
+            {[...(ENSEMBLE_PARTS.includes(lead) ? [] : [lead]), ...ENSEMBLE_PARTS].map(key => {
+              const isLead = key === lead;
+              const settings = partSettings(ensemble, key);
+              const playing = isLead || settings.on;
+              const label = partLabel(key, parts[key]);
+              return (
+                <tr key={key} className={playing ? '' : 'ensemble-part--off'}>
+                  <td>
+                    <label className="ensemble-part" style={{ color: parts[key].color }}>
+                      {isLead
+                        ? <span className="ensemble-part__lead">★</span>
+                        : <input type="checkbox" checked={settings.on} onChange={e => onPartChange(key, { on: e.target.checked })} />}
+                      {label}
+                    </label>
+                  </td>
+                  <td>
+                    {isLead ? <span className="history-muted">Lead</span> : (
+                      <select value={settings.harmony} onChange={e => onPartChange(key, { harmony: e.target.value })} aria-label={`${label} harmony`}>
+                        {Object.entries(HARMONIES).map(([id, h]) => <option key={id} value={id}>{h.label}</option>)}
+                      </select>
+                    )}
+                  </td>
+                  <td>
+                    {isLead ? <span className="history-muted">{INSTRUMENTS[leadInstrument]}</span> : (
+                      <select value={settings.instrument} onChange={e => onPartChange(key, { instrument: e.target.value })} aria-label={`${label} instrument`}>
+                        {Object.entries(INSTRUMENTS).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                      </select>
+                    )}
+                    {!isLead && settings.on && partLoad[key] === 'loading' && <span className="history-muted"> loading…</span>}
+                    {!isLead && settings.on && partLoad[key] === 'error' && (
+                      <span className="ensemble-part__error">
+                        {' '}didn't load <button className="eb-link" onClick={onRetry}>Retry</button>
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    <input
+                      type="range" min="0" max="1" step="0.05" value={settings.volume}
+                      onChange={e => onPartChange(key, { volume: Number(e.target.value) })}
+                      aria-label={`${label} volume`}
+                    />
+                  </td>
+                  <td className="ensemble-part__mix">
+                    <button className={`ensemble-btn ${settings.mute ? 'ensemble-btn--on' : ''}`} aria-pressed={settings.mute} onClick={() => onPartChange(key, { mute: !settings.mute })} title="Mute">M</button>
+                    <button className={`ensemble-btn ${settings.solo ? 'ensemble-btn--on' : ''}`} aria-pressed={settings.solo} onClick={() => onPartChange(key, { solo: !settings.solo })} title="Solo">S</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default EnsemblePanel;
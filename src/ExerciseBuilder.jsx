@@ -0,0 +1,206 @@
+import React, { useRef, useState } from 'react';
+import {
+  EXERCISE_TYPES, newCustomKey, parseNumberList, validateExercise,
+  serializeExercises, parseExerciseFile,
+} from './exerciseLibrary';
+import { downloadBlob } from './download';
+import { midiToExercise } from './midiExercise';
+
+const TYPE_LABELS = {
+  static:     'Static — play the pattern once',
+  ascending:  'Ascending — repeat, stepping up',
+  descending: 'Descending — repeat, stepping down',
+  roundtrip:  'Round trip — step down, then back up',
+};
+
+const EMPTY_DRAFT = {
+  key: null, name: '', type: 'static', pattern: '0 2 4 2 0', syllables: 'Ma Me Mi Me Ma', rhythm: '',
+  stepSize: '2', iterations: '5', chordEnabled: false, chordIntro: '0 4 7',
+};
+
+function toDraft(key, ex) {
+  return {
+    key,
+    name: ex.name,
+    type: ex.type,
+    pattern: (ex.pattern || ex.basePattern).join(' '),
+    syllables: ex.syllables || ex.baseSyllables,
+    rhythm: ex.rhythm.join(' '),
+    stepSize: String(ex.stepSize ?? 2),
+    iterations: String(ex.iterations ?? 5),
+    chordEnabled: !!ex.chordIntro,
+    chordIntro: (ex.chordIntro || [0, 4, 7]).join(' '),
+  };
+}
+
+function fromDraft(d) {
+  return {
+    name: d.name,
+    type: d.type,
+    pattern: parseNumberList(d.pattern),
+    syllables: d.syllables,
+    // Blank rhythm means "all quarter notes" — the common case while sketching.
+    rhythm: d.rhythm.trim() ? parseNumberList(d.rhythm) : undefined,
+    stepSize: Number(d.stepSize),
+    iterations: Number(d.iterations),
+    chordIntro: d.chordEnabled ? parseNumberList(d.chordIntro) : null,
+  };
+}
+
+// ─── ExerciseBuilder ─────────────────────────────────────────────────────────
+function ExerciseBuilder({ exercises, onChange, onSelect, disabled }) {
+  const [draft, setDraft]     = useState(null);
+  const [errors, setErrors]   = useState([]);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+  const midiInputRef = useRef(null);
+
+  const entries = Object.entries(exercises);
+  const update = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setDraft(d => ({ ...d, [field]: value }));
+  };
+
+  const startNew  = () => { setDraft({ ...EMPTY_DRAFT }); setErrors([]); setMessage(''); };
+  const startEdit = (key) => { setDraft(toDraft(key, exercises[key])); setErrors([]); setMessage(''); };
+  const cancel    = () => { setDraft(null); setErrors([]); };
+
+  const save = () => {
+    const { exercise, errors: errs } = validateExercise(fromDraft(draft));
+    if (!exercise) { setErrors(errs); return; }
+    const key = draft.key || newCustomKey();
+    onChange({ ...exercises, [key]: exercise });
+    onSelect(key, exercise);
+    setDraft(null);
+    setErrors([]);
+    setMessage(`Saved "${exercise.name}"`);
+  };
+
+  const remove = (key) => {
+    if (!window.confirm(`Delete "${exercises[key].name}"?`)) return;
+    const next = { ...exercises };
+    delete next[key];
+    onChange(next);
+    if (draft?.key === key) setDraft(null);
+    setMessage('');
+  };
+
+  const exportAll = () => {
+    downloadBlob(new Blob([serializeExercises(exercises)], { type: 'application/json' }), 'vocal-warmups-exercises.json');
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { exercises: imported, errors: errs } = parseExerciseFile(await file.text());
+    if (imported.length) {
+      const next = { ...exercises };
+      imported.forEach(ex => { next[newCustomKey()] = ex; });
+      onChange(next);
+    }
+    setErrors(errs);
+    setMessage(imported.length ? `Imported ${imported.length} exercise${imported.length === 1 ? '' : 's'}` : '');
+  };
+
+  // A MIDI file becomes one new static exercise, selected straight away.
+  const importMidi = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { exercise, errors: errs } = midiToExercise(await file.arrayBuffer(), file.name.replace(/\.midi?$/i, ''));
+    setErrors(errs);
+    setMessage(exercise ? `Imported "${exercise.name}" (${exercise.pattern.length} notes)` : '');
+    if (!exercise) return;
+    const key = newCustomKey();
+    onChange({ ...exercises, [key]: exercise });
+    onSelect(key, exercise);
+  };
+
+  return (
+    <div className="exercise-builder">
+      <div className="eb-toolbar">
+        <button className="eb-btn eb-btn--primary" onClick={startNew} disabled={disabled || !!draft}>＋ New exercise</button>
+        <button className="eb-btn" onClick={() => fileInputRef.current.click()} disabled={disabled}>Import JSON</button>
+        <button className="eb-btn" onClick={exportAll} disabled={entries.length === 0}>Export JSON</button>
+        <button className="eb-btn" onClick={() => midiInputRef.current.click()} disabled={disabled}>Import MIDI</button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importFile} hidden />
+        <input ref={midiInputRef} type="file" accept="audio/midi,audio/x-midi,.mid,.midi" onChange={importMidi} hidden />
+      </div>
+
+      {entries.length > 0 && (
+        <ul className="eb-list">
+          {entries.map(([key, ex]) => (
+            <li key={key} className="eb-list__item">
+              <span className="eb-list__name">{ex.name}</span>
+              <span className="eb-list__type">{ex.type}</span>
+              <button className="eb-link" onClick={() => startEdit(key)} disabled={disabled}>Edit</button>
+              <button className="eb-link eb-link--danger" onClick={() => remove(key)} disabled={disabled}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {draft && (
+        <div className="eb-form">
+          <div className="eb-field">
+            <label htmlFor="eb-name">Name</label>
+            <input id="eb-name" type="text" value={draft.name} onChange={update('name')} placeholder="Lip Trill – Ascending" />
+          </div>
+          <div className="eb-field">
+            <label htmlFor="eb-type">Type</label>
+            <select id="eb-type" value={draft.type} onChange={update('type')}>
+              {EXERCISE_TYPES.map(t => <option key={t} value={t}>{TYPE_LABELS[t]}</option>)}
+            </select>
+          </div>
+          <div className="eb-field">
+            <label htmlFor="eb-pattern">Pattern <span className="eb-hint">semitones from the root</span></label>
+            <input id="eb-pattern" type="text" value={draft.pattern} onChange={update('pattern')} placeholder="0 2 4 5 7 5 4 2 0" />
+          </div>
+          <div className="eb-field">
+            <label htmlFor="eb-syllables">Syllables <span className="eb-hint">one per note</span></label>
+            <input id="eb-syllables" type="text" value={draft.syllables} onChange={update('syllables')} placeholder="Brr Brr Brr Brr Brr" />
+          </div>
+          <div className="eb-field">
+            <label htmlFor="eb-rhythm">Rhythm <span className="eb-hint">beats per note — blank for all 1</span></label>
+            <input id="eb-rhythm" type="text" value={draft.rhythm} onChange={update('rhythm')} placeholder="1 1 1 1 2" />
+          </div>
+          {draft.type !== 'static' && (
+            <div className="eb-row">
+              <div className="eb-field">
+                <label htmlFor="eb-step">Step size <span className="eb-hint">semitones</span></label>
+                <input id="eb-step" type="number" min="1" max="12" value={draft.stepSize} onChange={update('stepSize')} />
+              </div>
+              <div className="eb-field">
+                <label htmlFor="eb-iterations">Iterations</label>
+                <input id="eb-iterations" type="number" min="1" max="24" value={draft.iterations} onChange={update('iterations')} />
+              </div>
+            </div>
+          )}
+          <div className="eb-field">
+            <label className="eb-check">
+              <input type="checkbox" checked={draft.chordEnabled} onChange={update('chordEnabled')} />
+              Chord intro
+            </label>
+            {draft.chordEnabled && (
+              <input type="text" aria-label="Chord intro semitones" value={draft.chordIntro} onChange={update('chordIntro')} placeholder="0 4 7" />
+            )}
+          </div>
+          <div className="eb-toolbar">
+            <button className="eb-btn eb-btn--primary" onClick={save}>{draft.key ? 'Save changes' : 'Save exercise'}</button>
+            <button className="eb-btn" onClick={cancel}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="eb-errors">
+          {errors.map((err, i) => <li key={i}>{err}</li>)}
+        </ul>
+      )}
+      {message && <p className="eb-message">{message}</p>}
+    </div>
+  );
+}
+
+export default ExerciseBuilder;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { SUBDIVISIONS } from './metronome';
+
+// ─── MetronomePanel ──────────────────────────────────────────────────────────
+// The metronome switch, its subdivision, count-in, accent and volume.
+function MetronomePanel({ metronome, onChange }) {
+  return (
+    <div className="control-group metronome-group">
+      <label className="chord-toggle-label">
+        <span className="toggle-switch">
+          <input type="checkbox" checked={metronome.enabled} onChange={e => onChange({ enabled: e.target.checked })} />
+          <span className="toggle-knob" />
+        </span>
+        <span className="chord-toggle-text">
+          Metronome
+          <span className="chord-toggle-sub">Clicks along with the exercise, restarting on the downbeat after each breath</span>
+        </span>
+      </label>
+      <div className="metronome-row">
+        <select
+          value={metronome.subdivision}
+          onChange={e => onChange({ subdivision: e.target.value })}
+          disabled={!metronome.enabled}
+          aria-label="Metronome subdivision"
+        >
+          {Object.entries(SUBDIVISIONS).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+        </select>
+        <select value={metronome.countInBars} onChange={e => onChange({ countInBars: Number(e.target.value) })} aria-label="Count-in">
+          <option value={0}>No count-in</option>
+          <option value={1}>1 bar count-in</option>
+          <option value={2}>2 bar count-in</option>
+        </select>
+        <label className="metronome-row__check">
+          <input type="checkbox" checked={metronome.accent} onChange={e => onChange({ accent: e.target.checked })} />
+          Accent downbeat
+        </label>
+        <label className="metronome-row__volume">
+          Volume
+          <input
+            type="range" min="0" max="1" step="0.05" value={metronome.volume}
+            onChange={e => onChange({ volume: Number(e.target.value) })}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default MetronomePanel;
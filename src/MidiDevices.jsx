@@ -0,0 +1,57 @@
+import React from 'react';
+import { ALL_INPUTS } from './webMidi';
+
+// ─── MidiDevices ─────────────────────────────────────────────────────────────
+// Input and output pickers. A chosen device that has been unplugged stays
+// selected, marked as disconnected, and is used again as soon as it returns.
+function MidiDevices({ supported, status, inputs, outputs, settings, onConnect, onChange }) {
+  if (!supported) return <p className="midi-devices__note">This browser doesn't support Web MIDI — try Chrome, Edge or Firefox.</p>;
+
+  if (status !== 'ready') {
+    return (
+      <div className="midi-devices midi-devices--closed">
+        <span className="midi-devices__note">
+          {status === 'denied' ? 'MIDI access was blocked — allow it in your browser to use a keyboard or synth.' : 'Use a MIDI keyboard or send playback to a synth or digital piano.'}
+        </span>
+        <button className="eb-btn" onClick={onConnect} disabled={status === 'connecting'}>
+          {status === 'connecting' ? 'Connecting…' : 'Connect MIDI'}
+        </button>
+      </div>
+    );
+  }
+
+  const inputMissing = settings.inputId !== ALL_INPUTS && settings.inputId !== '' && !inputs.some(p => p.id === settings.inputId);
+  const outputMissing = settings.outputId !== '' && !outputs.some(p => p.id === settings.outputId);
+
+  return (
+    <div className="midi-devices">
+      <label className="midi-devices__row">
+        <span>Keyboard in</span>
+        <select value={settings.inputId} onChange={e => onChange({ inputId: e.target.value })}>
+          <option value="">None</option>
+          <option value={ALL_INPUTS}>All connected inputs</option>
+          {inputs.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          {inputMissing && <option value={settings.inputId}>Disconnected device</option>}
+        </select>
+      </label>
+      <label className="midi-devices__row">
+        <span>Playback out</span>
+        <select value={settings.outputId} onChange={e => onChange({ outputId: e.target.value })}>
+          <option value="">Sampled instrument only</option>
+          {outputs.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          {outputMissing && <option value={settings.outputId}>Disconnected device</option>}
+        </select>
+      </label>
+      {settings.outputId && (
+        <label className="midi-devices__check">
+          <input type="checkbox" checked={settings.withSampler} onChange={e => onChange({ withSampler: e.target.checked })} />
+          Also play the sampled instrument
+        </label>
+      )}
+      {outputMissing && <p className="range-note range-note--warn">The output device is disconnected — playing the sampled instrument until it's back.</p>}
+      {inputs.length === 0 && <p className="midi-devices__note">No MIDI inputs found — plug one in and it will appear here.</p>}
+    </div>
+  );
+}
+
+export default MidiDevices;
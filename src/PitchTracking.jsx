@@ -0,0 +1,91 @@
+import React from 'react';
+import { MidiNumbers } from 'react-piano';
+import { centsFrom, foldOctave, frequencyToMidi } from './pitchDetector';
+import { IN_TUNE_CENTS } from './pitchScoring';
+
+const noteName = (midi) => MidiNumbers.getAttributes(midi).note;
+const formatCents = (c) => `${c > 0 ? '+' : ''}${c}¢`;
+
+// ─── PitchMeter ──────────────────────────────────────────────────────────────
+// Live readout: sung pitch against the target note while an exercise plays,
+// or against the nearest semitone (plain tuner) when nothing is playing.
+export function PitchMeter({ pitch, targetMidi }) {
+  const sungMidi = pitch ? frequencyToMidi(pitch.frequency) : null;
+  const reference = targetMidi ?? (sungMidi !== null ? Math.round(sungMidi) : null);
+  const cents = pitch && reference !== null ? Math.round(foldOctave(centsFrom(pitch.frequency, reference))) : null;
+  const inTune = cents !== null && Math.abs(cents) <= IN_TUNE_CENTS;
+  // Needle covers ±50¢; anything further pins to the edge.
+  const needlePct = cents === null ? 50 : 50 + Math.max(-50, Math.min(50, cents));
+
+  return (
+    <div className="pitch-meter">
+      <div className="pitch-meter__notes">
+        <span className="pitch-meter__target">
+          {targetMidi != null ? <>Target <strong>{noteName(targetMidi)}</strong></> : 'Tuner'}
+        </span>
+        <span className="pitch-meter__sung">
+          {sungMidi !== null ? <>You <strong>{noteName(Math.round(sungMidi))}</strong></> : 'Listening…'}
+        </span>
+        <span className={`pitch-meter__cents ${cents === null ? '' : inTune ? 'is-ok' : 'is-off'}`}>
+          {cents === null ? '—' : inTune ? `in tune ${formatCents(cents)}` : `${formatCents(cents)} ${cents > 0 ? 'sharp' : 'flat'}`}
+        </span>
+      </div>
+      <div className="pitch-meter__scale">
+        <span className="pitch-meter__zone" style={{ left: `${50 - IN_TUNE_CENTS}%`, width: `${IN_TUNE_CENTS * 2}%` }} />
+        {cents !== null && <span className={`pitch-meter__needle ${inTune ? 'is-ok' : 'is-off'}`} style={{ left: `${needlePct}%` }} />}
+      </div>
+    </div>
+  );
+}
+
+// ─── PitchSummary ────────────────────────────────────────────────────────────
+const STATUS_LABEL = { sharp: 'sharp', flat: 'flat', missed: 'not heard' };
+
+export function PitchSummary({ summary, onClose }) {
+  const pct = summary.total ? Math.round((summary.inTune / summary.total) * 100) : 0;
+  const showSteps = summary.byIteration.length > 1;
+
+  return (
+    <section className="pitch-summary">
+      <div className="pitch-summary__head">
+        <h2>Pitch accuracy</h2>
+        <button className="eb-link" onClick={onClose}>Dismiss</button>
+      </div>
+      <p className="pitch-summary__overall">
+        <strong>{summary.inTune}</strong> of {summary.total} notes in tune ({pct}%) — within ±{IN_TUNE_CENTS}¢
+      </p>
+
+      {showSteps && (
+        <>
+          <h3>By step</h3>
+          <ul className="pitch-summary__list">
+            {summary.byIteration.map(it => (
+              <li key={it.seqIndex} className={it.off.length ? 'is-off' : 'is-ok'}>
+                <span className="pitch-summary__key">{it.label || 'Root'}</span>
+                <span>{it.inTune}/{it.total}</span>
+                <span className="pitch-summary__detail">
+                  {it.off.length === 0
+                    ? 'all in tune'
+                    : it.off.map(n => `${n.syllable || noteName(n.target)} ${n.cents === null ? STATUS_LABEL.missed : formatCents(n.cents)}`).join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <h3>By note</h3>
+      <ul className="pitch-summary__list">
+        {summary.byPosition.map(p => (
+          <li key={p.noteIndex} className={p.inTune < p.total ? 'is-off' : 'is-ok'}>
+            <span className="pitch-summary__key">{p.noteIndex + 1}. {p.syllable}</span>
+            <span>{p.inTune}/{p.total}</span>
+            <span className="pitch-summary__detail">
+              {p.meanCents === null ? STATUS_LABEL.missed : `average ${formatCents(p.meanCents)}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
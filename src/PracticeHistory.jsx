@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { dailyTotals, formatPracticeTime, localDay, mostPracticed, practiceStreaks, tempoProgress } from './practiceLog';
+
+const CHART_DAYS = 14;
+const RECENT_RUNS = 8;
+
+// Last CHART_DAYS calendar days, oldest first, including ones with no practice.
+function recentDays(totals, today) {
+  const byDay = new Map(totals.map(t => [t.day, t.seconds]));
+  return Array.from({ length: CHART_DAYS }, (_, i) => {
+    const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (CHART_DAYS - 1 - i));
+    const day = localDay(d);
+    return { day, date: d, seconds: byDay.get(day) || 0 };
+  });
+}
+
+// ─── TempoChart ──────────────────────────────────────────────────────────────
+// Fastest tempo per practice day as a line. Days are spaced evenly — the
+// question is "am I getting faster", not how often.
+function TempoChart({ points }) {
+  const width = 320;
+  const height = 90;
+  const pad = 14;
+  const tempos = points.map(p => p.tempo);
+  const low = Math.min(...tempos);
+  const high = Math.max(...tempos);
+  const x = (i) => (points.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (points.length - 1));
+  const y = (t) => (high === low ? height / 2 : height - pad - ((t - low) * (height - 2 * pad)) / (high - low));
+
+  return (
+    <svg className="tempo-chart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Tempo over time">
+      <polyline className="tempo-chart__line" points={points.map((p, i) => `${x(i)},${y(p.tempo)}`).join(' ')} />
+      {points.map((p, i) => (
+        <circle key={p.day} className="tempo-chart__dot" cx={x(i)} cy={y(p.tempo)} r={3}>
+          <title>{`${p.day}: ${p.tempo} BPM`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+// ─── PracticeHistory ─────────────────────────────────────────────────────────
+// Dashboard over the local practice log, with report export for section leaders.
+function PracticeHistory({ history, singer, onSingerChange, onExport, onClear }) {
+  const today = new Date();
+  const todayKey = localDay(today);
+  const stats = useMemo(() => {
+    const totals = dailyTotals(history);
+    return {
+      totals,
+      streaks: practiceStreaks(history, new Date()),
+      top: mostPracticed(history),
+      practised: mostPracticed(history, Infinity),
+      totalSeconds: totals.reduce((sum, t) => sum + t.seconds, 0),
+    };
+  }, [history]);
+  const [tempoWarmup, setTempoWarmup] = useState('');
+  const chartWarmup = stats.practised.some(e => e.warmup === tempoWarmup) ? tempoWarmup : stats.practised[0]?.warmup;
+  const progress = useMemo(() => (chartWarmup ? tempoProgress(history, chartWarmup) : []), [history, chartWarmup]);
+
+  if (history.length === 0) {
+    return <p className="history-empty">Nothing logged yet — every exercise you play shows up here, with daily totals, streaks and tempo progress.</p>;
+  }
+
+  const days = recentDays(stats.totals, today);
+  const busiest = Math.max(...days.map(d => d.seconds), 1);
+  const todaySeconds = stats.totals.find(t => t.day === todayKey)?.seconds || 0;
+  const recent = history.slice(-RECENT_RUNS).reverse();
+
+  const clear = () => {
+    if (window.confirm('Delete the whole practice history on this device?')) onClear();
+  };
+
+  return (
+    <div className="history">
+      <div className="history-stats">
+        <div className="history-stat"><span className="history-stat__value">{formatPracticeTime(todaySeconds)}</span><span className="history-stat__label">today</span></div>
+        <div className="history-stat"><span className="history-stat__value">{stats.streaks.current} {stats.streaks.current === 1 ? 'day' : 'days'}</span><span className="history-stat__label">current streak</span></div>
+        <div className="history-stat"><span className="history-stat__value">{stats.streaks.longest} {stats.streaks.longest === 1 ? 'day' : 'days'}</span><span className="history-stat__label">longest streak</span></div>
+        <div className="history-stat"><span className="history-stat__value">{formatPracticeTime(stats.totalSeconds)}</span><span className="history-stat__label">in {history.length} {history.length === 1 ? 'run' : 'runs'}</span></div>
+      </div>
+
+      <div className="history-grid">
+        <div>
+          <h3 className="history-heading">Last {CHART_DAYS} days</h3>
+          <div className="history-days">
+            {days.map(d => (
+              <div key={d.day} className={`history-day ${d.day === todayKey ? 'history-day--today' : ''}`} title={`${d.day}: ${formatPracticeTime(d.seconds)}`}>
+                <div className="history-day__bar" style={{ height: `${(d.seconds / busiest) * 100}%` }} />
+                <span className="history-day__label">{d.date.toLocaleDateString(undefined, { weekday: 'narrow' })}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="history-heading">Most practised</h3>
+          <ol className="history-top">
+            {stats.top.map(e => (
+              <li key={e.warmup}><span>{e.exercise}</span><span className="history-muted">{formatPracticeTime(e.seconds)} · {e.runs}×</span></li>
+            ))}
+          </ol>
+        </div>
+
+        <div>
+          <h3 className="history-heading">
+            Tempo progress
+            <select className="history-select" value={chartWarmup} onChange={e => setTempoWarmup(e.target.value)} aria-label="Exercise for tempo progress">
+              {stats.practised.map(e => <option key={e.warmup} value={e.warmup}>{e.exercise}</option>)}
+            </select>
+          </h3>
+          <TempoChart points={progress} />
+          <p className="history-muted">
+            {progress.length > 1
+              ? `${progress[0].tempo} → ${progress[progress.length - 1].tempo} BPM over ${progress.length} days`
+              : `${progress[0]?.tempo} BPM — practise on another day to see a trend`}
+          </p>
+        </div>
+      </div>
+
+      <h3 className="history-heading">Recent runs</h3>
+      <div className="history-table-wrap">
+        <table className="history-table">
+          <thead>
+            <tr><th>When</th><th>Exercise</th><th>Part</th><th>Instrument</th><th>Tempo</th><th>Loops</th><th>Time</th><th></th></tr>
+          </thead>
+          <tbody>
+            {recent.map(r => (
+              <tr key={r.id}>
+                <td>{new Date(r.startedAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
+                <td>{r.exercise}{r.routine && <span className="history-muted"> · {r.routine}</span>}</td>
+                <td>{r.vocalPart}</td>
+                <td>{r.instrument}</td>
+                <td>{r.tempo}</td>
+                <td>{r.loops}</td>
+                <td>{formatPracticeTime(r.seconds)}</td>
+                <td className="history-muted">{r.outcome === 'completed' ? '✓' : 'stopped'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="history-export">
+        <input type="text" className="history-singer" value={singer} onChange={e => onSingerChange(e.target.value)} placeholder="Your name (shown on reports)" aria-label="Singer name" />
+        <button className="eb-btn" onClick={() => onExport('csv')}>⤓ CSV</button>
+        <button className="eb-btn" onClick={() => onExport('json')}>⤓ JSON</button>
+        <button className="eb-link eb-link--danger" onClick={clear}>Clear history</button>
+      </div>
+    </div>
+  );
+}
+
+export default PracticeHistory;
@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MidiNumbers } from 'react-piano';
+import { frequencyToMidi } from './pitchDetector';
+import { LOWEST_NOTE, HIGHEST_NOTE, isValidProfile } from './vocalRange';
+
+const noteName = (midi) => MidiNumbers.getAttributes(midi).note;
+
+// A sung note counts once it has been held within a semitone for this long.
+const HOLD_MS = 800;
+const HOLD_WINDOW_MS = 1000;
+
+const DEFAULT_DRAFT = { low: MidiNumbers.fromNote('C3'), high: MidiNumbers.fromNote('G4') };
+
+// ─── RangeFinder ─────────────────────────────────────────────────────────────
+// Walks the singer through setting their lowest and highest comfortable notes,
+// either by pressing a key on the on-screen keyboard or by singing and holding
+// the note with pitch tracking on.
+function RangeFinder({ profile, onSave, lastPlayedNote, sungPitch, micEnabled, onCapturingChange, disabled }) {
+  const [draft, setDraft]         = useState(null);
+  const [capturing, setCapturing] = useState(null); // 'low' | 'high' | null
+  const readingsRef = useRef([]);
+
+  const setEdge = (edge, midi) => {
+    const m = Math.max(LOWEST_NOTE, Math.min(HIGHEST_NOTE, midi));
+    setDraft(d => ({ ...d, [edge]: m }));
+  };
+
+  const capture = (edge) => {
+    readingsRef.current = [];
+    setCapturing(c => (c === edge ? null : edge));
+  };
+
+  useEffect(() => { onCapturingChange(!!capturing); }, [capturing, onCapturingChange]);
+
+  // Key presses on the on-screen keyboard
+  useEffect(() => {
+    if (!capturing || !lastPlayedNote) return;
+    setEdge(capturing, lastPlayedNote.midi);
+    setCapturing(null);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lastPlayedNote]);
+
+  // Sung notes — wait for a steady hold so a scoop or crack isn't captured
+  useEffect(() => {
+    if (!capturing || !sungPitch) return;
+    const now = performance.now();
+    const readings = readingsRef.current.filter(r => now - r.at <= HOLD_WINDOW_MS);
+    readings.push({ midi: frequencyToMidi(sungPitch.frequency), at: now });
+    readingsRef.current = readings;
+
+    const values = readings.map(r => r.midi).sort((a, b) => a - b);
+    const steady = values[values.length - 1] - values[0] <= 1;
+    if (steady && now - readings[0].at >= HOLD_MS) {
+      setEdge(capturing, Math.round(values[values.length >> 1]));
+      setCapturing(null);
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sungPitch]);
+
+  const open   = () => { setDraft(profile ? { ...profile } : { ...DEFAULT_DRAFT }); setCapturing(null); };
+  const cancel = () => { setDraft(null); setCapturing(null); };
+  const save   = () => { onSave(draft); setDraft(null); setCapturing(null); };
+
+  if (!draft) {
+    return (
+      <div className="range-finder range-finder--closed">
+        {profile
+          ? <span className="range-finder__summary">My Range: <strong>{noteName(profile.low)} – {noteName(profile.high)}</strong></span>
+          : <span className="range-finder__summary">Set your own comfortable range to keep every exercise inside it.</span>}
+        <button className="eb-btn" onClick={open} disabled={disabled}>{profile ? 'Edit range' : 'Find my range'}</button>
+        {profile && <button className="eb-link eb-link--danger" onClick={() => onSave(null)} disabled={disabled}>Remove</button>}
+      </div>
+    );
+  }
+
+  const edgeRow = (edge, title) => (
+    <div className={`range-finder__row ${capturing === edge ? 'is-capturing' : ''}`}>
+      <span className="range-finder__title">{title}</span>
+      <button className="eb-btn" onClick={() => setEdge(edge, draft[edge] - 1)} aria-label={`${title} down a semitone`}>−</button>
+      <span className="range-finder__note">{noteName(draft[edge])}</span>
+      <button className="eb-btn" onClick={() => setEdge(edge, draft[edge] + 1)} aria-label={`${title} up a semitone`}>+</button>
+      <button className="eb-btn eb-btn--primary" onClick={() => capture(edge)}>{capturing === edge ? 'Cancel' : 'Set by playing or singing'}</button>
+    </div>
+  );
+
+  return (
+    <div className="range-finder">
+      {edgeRow('low', 'Lowest comfortable note')}
+      {edgeRow('high', 'Highest comfortable note')}
+      {capturing && (
+        <p className="range-finder__hint">
+          Press the note on the keyboard below{micEnabled ? ', or sing it and hold it steady for a second' : ' — or turn on Pitch tracking to sing it instead'}.
+        </p>
+      )}
+      {!isValidProfile(draft) && <p className="mic-error">The highest note must be above the lowest.</p>}
+      <div className="eb-toolbar">
+        <button className="eb-btn eb-btn--primary" onClick={save} disabled={!isValidProfile(draft)}>Save range</button>
+        <button className="eb-btn" onClick={cancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default RangeFinder;
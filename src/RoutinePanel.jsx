@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { RHYTHM_PRESETS, partLabel } from './warmups';
+import { MAX_REST, newRoutineId, formatDuration } from './routines';
+
+// ─── RoutinePanel ────────────────────────────────────────────────────────────
+// Builds and launches routines. Edits apply immediately — a routine is a
+// short list, so there is no separate draft/save step.
+export function RoutinePanel({ routines, onChange, exercises, parts, chordIntros, makeEntry, estimate, onPlay, disabled }) {
+  const [selectedId, setSelectedId] = useState(routines[0]?.id ?? null);
+  const routine = routines.find(r => r.id === selectedId) || null;
+
+  const updateRoutine = (changes) => onChange(routines.map(r => (r.id === routine.id ? { ...r, ...changes } : r)));
+  const updateEntry = (i, changes) => updateRoutine({ entries: routine.entries.map((e, j) => (j === i ? { ...e, ...changes } : e)) });
+  const moveEntry = (i, dir) => {
+    const entries = [...routine.entries];
+    [entries[i], entries[i + dir]] = [entries[i + dir], entries[i]];
+    updateRoutine({ entries });
+  };
+  const removeEntry = (i) => updateRoutine({ entries: routine.entries.filter((_, j) => j !== i) });
+
+  const createRoutine = () => {
+    const created = { id: newRoutineId(), name: `Routine ${routines.length + 1}`, entries: [makeEntry()] };
+    onChange([...routines, created]);
+    setSelectedId(created.id);
+  };
+
+  const deleteRoutine = () => {
+    if (!window.confirm(`Delete routine "${routine.name}"?`)) return;
+    const rest = routines.filter(r => r.id !== routine.id);
+    onChange(rest);
+    setSelectedId(rest[0]?.id ?? null);
+  };
+
+  return (
+    <div className="routine-panel">
+      <div className="eb-toolbar">
+        {routines.length > 0 && (
+          <select className="routine-select" value={routine?.id ?? ''} onChange={e => setSelectedId(e.target.value)} disabled={disabled} aria-label="Routine">
+            {routines.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+          </select>
+        )}
+        <button className="eb-btn" onClick={createRoutine} disabled={disabled}>＋ New routine</button>
+        {routine && (
+          <button className="eb-btn eb-btn--primary" onClick={() => onPlay(routine)} disabled={disabled || routine.entries.length === 0}>
+            ▶ Play routine
+          </button>
+        )}
+      </div>
+
+      {routine && (
+        <div className="routine-editor">
+          <div className="routine-editor__head">
+            <input
+              type="text"
+              className="routine-name"
+              value={routine.name}
+              onChange={e => updateRoutine({ name: e.target.value })}
+              disabled={disabled}
+              aria-label="Routine name"
+            />
+            <span className="routine-total">{formatDuration(estimate(routine))}</span>
+            <button className="eb-link eb-link--danger" onClick={deleteRoutine} disabled={disabled}>Delete</button>
+          </div>
+
+          <ol className="routine-entries">
+            {routine.entries.map((entry, i) => {
+              const exercise = exercises[entry.warmup];
+              return (
+                <li key={i} className={`routine-entry ${exercise ? '' : 'routine-entry--missing'}`}>
+                  <select value={entry.warmup} onChange={e => updateEntry(i, { warmup: e.target.value, rhythm: null, chordIntro: entry.chordIntro && !!chordIntros[e.target.value] })} disabled={disabled} aria-label="Exercise">
+                    {!exercise && <option value={entry.warmup}>Missing exercise</option>}
+                    {Object.entries(exercises).map(([key, w]) => <option key={key} value={key}>{w.name}</option>)}
+                  </select>
+                  <select value={parts[entry.vocalPart] ? entry.vocalPart : 'tenor'} onChange={e => updateEntry(i, { vocalPart: e.target.value })} disabled={disabled} aria-label="Vocal part">
+                    {Object.entries(parts).map(([key, part]) => <option key={key} value={key}>{partLabel(key, part)}</option>)}
+                  </select>
+                  <label className="routine-field">
+                    <input type="number" min="60" max="180" value={entry.tempo} onChange={e => updateEntry(i, { tempo: Math.max(60, Math.min(180, Number(e.target.value) || 120)) })} disabled={disabled} />
+                    BPM
+                  </label>
+                  <select value={Array.isArray(entry.rhythm) ? 'custom' : entry.rhythm ?? ''} onChange={e => updateEntry(i, { rhythm: e.target.value || null })} disabled={disabled} aria-label="Rhythm">
+                    <option value="">Exercise rhythm</option>
+                    {RHYTHM_PRESETS.filter(p => p.id !== 'original').map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    {Array.isArray(entry.rhythm) && <option value="custom">Custom rhythm</option>}
+                  </select>
+                  <label className="routine-field" title={chordIntros[entry.warmup] ? 'Tonic chord intro' : 'No chord intro for this exercise'}>
+                    <input type="checkbox" checked={!!entry.chordIntro} onChange={e => updateEntry(i, { chordIntro: e.target.checked })} disabled={disabled || !chordIntros[entry.warmup]} />
+                    Chord
+                  </label>
+                  {i < routine.entries.length - 1 && (
+                    <label className="routine-field">
+                      Rest
+                      <input type="number" min="0" max={MAX_REST} value={entry.rest} onChange={e => updateEntry(i, { rest: Math.max(0, Math.min(MAX_REST, Number(e.target.value) || 0)) })} disabled={disabled} />
+                      s
+                    </label>
+                  )}
+                  <span className="routine-entry__actions">
+                    <button className="eb-link" onClick={() => moveEntry(i, -1)} disabled={disabled || i === 0} aria-label="Move up">↑</button>
+                    <button className="eb-link" onClick={() => moveEntry(i, 1)} disabled={disabled || i === routine.entries.length - 1} aria-label="Move down">↓</button>
+                    <button className="eb-link eb-link--danger" onClick={() => removeEntry(i)} disabled={disabled} aria-label="Remove">✕</button>
+                  </span>
+                </li>
+              );
+            })}
+          </ol>
+          <button className="eb-btn" onClick={() => updateRoutine({ entries: [...routine.entries, makeEntry()] })} disabled={disabled}>
+            ＋ Add current exercise
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── RoutineProgress ─────────────────────────────────────────────────────────
+export function RoutineProgress({ run, elapsed, exercises, onBack, onSkip }) {
+  const step = run.plan.steps[run.stepIndex];
+  const next = run.plan.steps[run.stepIndex + 1];
+  const total = run.plan.totalSeconds;
+  const pct = total ? Math.min(100, (elapsed / total) * 100) : 0;
+
+  return (
+    <section className="routine-progress">
+      <div className="routine-progress__head">
+        <strong>{run.name}</strong>
+        <span>{run.stepIndex + 1} / {run.plan.steps.length}</span>
+      </div>
+      <div className="routine-progress__now">
+        {run.phase === 'rest'
+          ? <>Rest — next up <strong>{exercises[next?.entry.warmup]?.name}</strong> in {Math.ceil(run.restLeft)}s</>
+          : <>Now: <strong>{exercises[step.entry.warmup]?.name}</strong>{next && <span className="routine-progress__next"> · then {exercises[next.entry.warmup]?.name}</span>}</>}
+      </div>
+      <div className="routine-progress__bar">
+        {run.plan.steps.map((s, i) => (
+          <span key={i} className="routine-progress__tick" style={{ left: `${(s.offset / total) * 100}%` }} />
+        ))}
+        <span className="routine-progress__fill" style={{ width: `${pct}%` }} />
+      </div>
+      <div className="routine-progress__foot">
+        <span>{formatDuration(elapsed)} elapsed</span>
+        <span className="routine-progress__nav">
+          <button className="eb-btn" onClick={onBack}>⏮ Back</button>
+          <button className="eb-btn" onClick={onSkip}>Skip ⏭</button>
+        </span>
+        <span>{formatDuration(total - elapsed)} remaining</span>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,126 @@
+import React, { useMemo } from 'react';
+import { CLEFS, accidentals, keySignature, keySignatureSteps, noteValue, spellNote } from './notation';
+
+// Staff geometry, in SVG units: one step (line to space) is half a space.
+const SPACE = 10;
+const STEP = SPACE / 2;
+const STEM = 3.5 * SPACE;
+const CLEF_WIDTH = 44;
+const KEY_ACCIDENTAL_WIDTH = 10;
+const ACCIDENTAL_WIDTH = 12;
+const MARGIN = 16;
+
+const CLEF_GLYPH = { treble: '𝄞', bass: '𝄢' };
+// SMuFL convention: a clef's origin sits on its line — G4 for treble, F3 for bass.
+const CLEF_LINE = { treble: 32, bass: 24 };
+const KEY_NAMES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+const noteAdvance = (beats) => Math.max(34, 24 + beats * 16);
+
+// ─── StaffView ───────────────────────────────────────────────────────────────
+// One iteration of the exercise on a staff: key signature from the iteration's
+// root and mode, each note at its rhythm's written value, syllables underneath.
+// The chord intro, when enabled, is drawn as a chord at the start.
+function StaffView({ events, root, clef: clefKey, mode, activeEvent, caption }) {
+  const layout = useMemo(() => {
+    const clef = CLEFS[clefKey] || CLEFS.treble;
+    const key = keySignature(root, mode.signature);
+    const written = events.map(ev => ev.midis.map(m => spellNote(m + clef.shift, root + clef.shift, key)).sort((a, b) => a.step - b.step));
+    const marks = accidentals(written, key);
+    const sigSteps = keySignatureSteps(key, clefKey in CLEFS ? clefKey : 'treble');
+
+    const top = clef.bottomLine + 8;
+    const middle = clef.bottomLine + 4;
+    const steps = written.flat().map(n => n.step);
+    const highest = Math.max(top, ...steps);
+    const lowest = Math.min(clef.bottomLine, ...steps);
+    // Notes above the middle line take downward stems, so only ledger notes
+    // need extra room above; the lyric line clears downward stems below.
+    const topY = 2 * SPACE + (highest - top) * STEP;
+    const y = (step) => topY + (top - step) * STEP;
+    const lyricY = y(lowest) + STEM + 6;
+
+    let x = MARGIN + CLEF_WIDTH + sigSteps.length * KEY_ACCIDENTAL_WIDTH + 14;
+    const notes = events.map((ev, i) => {
+      const chord = written[i];
+      const value = noteValue(ev.beats);
+      if (marks[i].some(Boolean)) x += ACCIDENTAL_WIDTH;
+      const avg = chord.reduce((sum, n) => sum + n.step, 0) / chord.length;
+      const note = { ev, chord, marks: marks[i], value, x, stemUp: avg < middle };
+      x += noteAdvance(ev.beats);
+      return note;
+    });
+
+    return { clef, key, sigSteps, notes, y, top, lyricY, width: x + MARGIN, height: lyricY + 14 };
+  }, [events, root, clefKey, mode]);
+
+  const { clef, key, sigSteps, notes, y, top, lyricY, width, height } = layout;
+  const left = MARGIN;
+  const right = width - MARGIN;
+  const sigGlyph = key.fifths > 0 ? '♯' : '♭';
+  const tonic = spellNote(root, root, key);
+
+  return (
+    <div className="staff-view">
+      <div className="staff-view__caption">
+        <span>{KEY_NAMES[tonic.letter]}{tonic.alter > 0 ? '♯' : tonic.alter < 0 ? '♭' : ''} {mode.label.toLowerCase()}</span>
+        {caption && <span>{caption}</span>}
+      </div>
+      <div className="staff-view__scroll">
+        <svg className="staff" width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Exercise on a staff">
+          {[0, 2, 4, 6, 8].map(s => (
+            <line key={s} className="staff__line" x1={left} x2={right} y1={y(clef.bottomLine + s)} y2={y(clef.bottomLine + s)} />
+          ))}
+          <line className="staff__line" x1={right} x2={right} y1={y(top)} y2={y(clef.bottomLine)} />
+          <line className="staff__line staff__line--final" x1={right - 4} x2={right - 4} y1={y(top)} y2={y(clef.bottomLine)} />
+
+          <text className="staff__glyph" x={left + 4} y={y(CLEF_LINE[clef.sign])} fontSize={4 * SPACE}>{CLEF_GLYPH[clef.sign]}</text>
+          {clef.octaveBelow && <text className="staff__small" x={left + 14} y={y(clef.bottomLine) + 22}>8</text>}
+          {sigSteps.map((s, i) => (
+            <text key={i} className="staff__accidental" x={left + CLEF_WIDTH + i * KEY_ACCIDENTAL_WIDTH} y={y(s) + 4}>{sigGlyph}</text>
+          ))}
+
+          {notes.map(({ ev, chord, marks: noteMarks, value, x, stemUp }, i) => {
+            const active = activeEvent && activeEvent.seqIndex === ev.seqIndex && activeEvent.noteIndex === ev.noteIndex;
+            const hollow = value.base === 'whole' || value.base === 'half';
+            const lowY = y(chord[0].step);
+            const highY = y(chord[chord.length - 1].step);
+            const stemX = stemUp ? x + 5.5 : x - 5.5;
+            const stemEnd = stemUp ? highY - STEM : lowY + STEM;
+            const flags = value.base === 'eighth' ? 1 : value.base === '16th' ? 2 : 0;
+            const dir = stemUp ? 1 : -1;
+            return (
+              <g key={i} className={`staff__note ${active ? 'staff__note--active' : ''} ${ev.kind === 'chord' ? 'staff__note--chord' : ''}`}>
+                {chord.map((n, j) => {
+                  const ny = y(n.step);
+                  const ledgers = [];
+                  for (let s = clef.bottomLine - 2; s >= n.step; s -= 2) ledgers.push(s);
+                  for (let s = top + 2; s <= n.step; s += 2) ledgers.push(s);
+                  // Dots sit in a space, so a note on a line has its dot nudged up.
+                  const dotY = (n.step - clef.bottomLine) % 2 === 0 ? ny - STEP : ny;
+                  return (
+                    <g key={j}>
+                      {ledgers.map(s => <line key={s} className="staff__line" x1={x - 9} x2={x + 9} y1={y(s)} y2={y(s)} />)}
+                      {noteMarks[j] && <text className="staff__accidental" x={x - 18} y={ny + 4}>{noteMarks[j]}</text>}
+                      <ellipse className={`staff__head ${hollow ? 'staff__head--hollow' : ''}`} cx={x} cy={ny} rx={6} ry={4.3} transform={`rotate(-20 ${x} ${ny})`} />
+                      {value.dots > 0 && <circle className="staff__dot" cx={x + 11} cy={dotY} r={1.8} />}
+                    </g>
+                  );
+                })}
+                {value.base !== 'whole' && <line className="staff__stem" x1={stemX} x2={stemX} y1={stemUp ? lowY : highY} y2={stemEnd} />}
+                {Array.from({ length: flags }, (_, f) => {
+                  const fy = stemEnd + dir * f * 7;
+                  return <path key={f} className="staff__flag" d={`M ${stemX} ${fy} c 2 ${dir * 6} 10 ${dir * 8} 7 ${dir * 18}`} />;
+                })}
+                {value.triplet && <text className="staff__small" x={x} y={stemUp ? stemEnd - 4 : stemEnd + 12} textAnchor="middle">3</text>}
+                {ev.kind === 'note' && <text className="staff__lyric" x={x} y={lyricY} textAnchor="middle">{ev.syllable}</text>}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+export default StaffView;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { formatDuration } from './routines';
+
+// ─── TakeWaveform ────────────────────────────────────────────────────────────
+// The recording's peaks as bars, with a line where each note of the lead
+// (or the chord intro) starts — so a late entry or a drifting note is easy to spot.
+// Ensemble parts play along but aren't marked.
+function TakeWaveform({ take }) {
+  const width = 480;
+  const height = 56;
+  const mid = height / 2;
+  const step = width / Math.max(1, take.peaks.length);
+  const x = (time) => (Math.max(0, time) / take.duration) * width;
+
+  return (
+    <svg className="take-wave" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img" aria-label="Waveform with note starts">
+      {take.notes.filter(n => !n.part && n.time < take.duration).map((n, i) => (
+        <line key={i} className={`take-wave__mark take-wave__mark--${n.kind}`} x1={x(n.time)} x2={x(n.time)} y1={0} y2={height}>
+          <title>{n.syllable}</title>
+        </line>
+      ))}
+      {take.peaks.map((p, i) => (
+        <rect key={i} className="take-wave__bar" x={i * step} y={mid - p * mid} width={Math.max(1, step * 0.7)} height={Math.max(1, p * height)} />
+      ))}
+    </svg>
+  );
+}
+
+// ─── TakesPanel ──────────────────────────────────────────────────────────────
+// Recorded takes of the current exercise, newest first. Playback mixes the
+// recording with its accompaniment, each on its own volume slider.
+function TakesPanel({ takes, playingId, volumes, onVolumeChange, onPlay, onStop, onDelete, onDownload, disabled }) {
+  const remove = (take) => {
+    if (window.confirm('Delete this take?')) onDelete(take);
+  };
+
+  return (
+    <div className="takes">
+      <div className="takes-mix">
+        <label>
+          Voice
+          <input type="range" min="0" max="1" step="0.05" value={volumes.voice} onChange={e => onVolumeChange('voice', Number(e.target.value))} />
+        </label>
+        <label>
+          Accompaniment
+          <input type="range" min="0" max="1" step="0.05" value={volumes.accompaniment} onChange={e => onVolumeChange('accompaniment', Number(e.target.value))} />
+        </label>
+      </div>
+
+      {takes.length === 0 && <p className="history-empty">No takes of this exercise yet — turn on Record takes and press Play.</p>}
+
+      <ul className="take-list">
+        {takes.map(take => (
+          <li key={take.id} className={`take ${playingId === take.id ? 'take--playing' : ''}`}>
+            <div className="take__head">
+              <span className="take__when">
+                {new Date(take.recordedAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+              </span>
+              <span className="history-muted">
+                {take.settings.vocalPart} · {take.settings.tempo} BPM · {take.settings.instrument} · {formatDuration(take.duration)}
+              </span>
+              <span className="take__actions">
+                {playingId === take.id
+                  ? <button className="eb-btn" onClick={onStop}>■ Stop</button>
+                  : <button className="eb-btn" onClick={() => onPlay(take)} disabled={disabled}>▶ Play</button>}
+                <button className="eb-btn" onClick={() => onDownload(take)}>⤓ Download</button>
+                <button className="eb-link eb-link--danger" onClick={() => remove(take)}>Delete</button>
+              </span>
+            </div>
+            <TakeWaveform take={take} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default TakesPanel;
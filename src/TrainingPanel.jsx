@@ -0,0 +1,98 @@
+import React from 'react';
+import { MidiNumbers } from 'react-piano';
+import { MAX_PASSES, MAX_TEMPO_CEILING, ROOT_STEPS, STEP_EVERY } from './training';
+
+const clampWhole = (value, min, max) => Math.max(min, Math.min(max, Math.round(Number(value) || min)));
+
+// ─── TrainingPanel ───────────────────────────────────────────────────────────
+// Progressive training settings: what each pass (or sequence step) adds, and
+// where the run stops. `limitedTo` is the pass count a personal range cuts the
+// run down to, if it does.
+export function TrainingPanel({ training, onChange, disabled, isStatic, loopOff, limitedTo, result }) {
+  const unit = STEP_EVERY[training.stepEvery].unit;
+  return (
+    <div className="control-group training-group">
+      <label className="chord-toggle-label">
+        <span className="toggle-switch">
+          <input type="checkbox" checked={training.enabled} onChange={e => onChange({ enabled: e.target.checked })} disabled={disabled} />
+          <span className="toggle-knob" />
+        </span>
+        <span className="chord-toggle-text">
+          Progressive training
+          <span className="chord-toggle-sub">With Loop on, each pass steps up from the last and the run stops at the limit</span>
+        </span>
+      </label>
+      {training.enabled && (
+        <div className="training-row">
+          <label>
+            Step on
+            <select value={training.stepEvery} onChange={e => onChange({ stepEvery: e.target.value })} disabled={disabled}>
+              {Object.entries(STEP_EVERY).map(([id, every]) => <option key={id} value={id}>{every.label}</option>)}
+            </select>
+          </label>
+          <label>
+            Tempo +
+            <input
+              type="number" min="0" max="20" value={training.tempoStep} disabled={disabled}
+              onChange={e => onChange({ tempoStep: clampWhole(e.target.value, 0, 20) })}
+            />
+            BPM a {unit}, up to
+            <input
+              type="number" min="40" max={MAX_TEMPO_CEILING} value={training.tempoCeiling} disabled={disabled}
+              onChange={e => onChange({ tempoCeiling: clampWhole(e.target.value, 40, MAX_TEMPO_CEILING) })}
+              aria-label="Tempo ceiling"
+            />
+          </label>
+          <label>
+            Root
+            <select value={training.rootStep} onChange={e => onChange({ rootStep: Number(e.target.value) })} disabled={disabled}>
+              {ROOT_STEPS.map(step => (
+                <option key={step} value={step}>{step === 0 ? 'stays put' : `${step > 0 ? 'up' : 'down'} ${Math.abs(step)} semitone${Math.abs(step) > 1 ? 's' : ''}`}</option>
+              ))}
+            </select>
+            a {unit}
+          </label>
+          <label>
+            Steps +
+            <input
+              type="number" min="0" max="2" value={training.iterationStep}
+              disabled={disabled || isStatic || training.stepEvery === 'iteration'}
+              onChange={e => onChange({ iterationStep: clampWhole(e.target.value, 0, 2) })}
+            />
+            a pass
+          </label>
+          <label>
+            Stop after
+            <input
+              type="number" min="2" max={MAX_PASSES} value={training.passes} disabled={disabled}
+              onChange={e => onChange({ passes: clampWhole(e.target.value, 2, MAX_PASSES) })}
+            />
+            passes
+          </label>
+        </div>
+      )}
+      {training.enabled && loopOff && <p className="range-note">Turn on Loop to train across passes.</p>}
+      {training.enabled && limitedTo !== null && (
+        <p className="range-note">Stops after {limitedTo} passes to stay within your range.</p>
+      )}
+      {result && (
+        <p className="range-note">
+          Training complete — {result.passes} passes, finishing at {result.tempo} BPM.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// ─── TrainingStatus ──────────────────────────────────────────────────────────
+// The pass playing, shown under the syllable while a training run plays.
+export function TrainingStatus({ training, pass, planned, tempo, baseTempo, root, placement }) {
+  return (
+    <div className="training-status" aria-live="polite">
+      <strong>Pass {pass + 1} of {planned}</strong>
+      <span>{tempo} BPM{training.tempoStep > 0 && ` → ${Math.max(baseTempo, training.tempoCeiling)}`}</span>
+      {training.rootStep !== 0 && <span>Root {MidiNumbers.getAttributes(root).note}</span>}
+      {placement.warmup.type !== 'static' && <span>{placement.warmup.iterations} steps</span>}
+    </div>
+  );
+}
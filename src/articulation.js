@@ -0,0 +1,110 @@
+import { readJson, writeJson } from './storage';
+
+// ─── Articulation & dynamics ─────────────────────────────────────────────────
+// How an exercise is phrased rather than what it plays: how much of each
+// note's length sounds (its gate), a dynamics shape across each iteration or
+// the whole run, and accented notes. Settings are kept per exercise since
+// accents belong to particular notes of the pattern.
+
+const STORAGE_KEY = 'vocal-warmups.articulation';
+
+/** `gate`: the fraction of each note's written length that sounds. */
+export const ARTICULATIONS = {
+  legato:   { label: 'Legato',   gate: 1 },
+  tenuto:   { label: 'Tenuto',   gate: 0.9 },
+  staccato: { label: 'Staccato', gate: 0.3 },
+  custom:   { label: 'Custom gate' },
+};
+export const MIN_GATE = 0.05;
+
+export const DYNAMICS = {
+  flat:        { label: 'Flat' },
+  crescendo:   { label: 'Crescendo' },
+  decrescendo: { label: 'Decrescendo' },
+  messaDiVoce: { label: 'Messa di voce' },
+};
+
+// What one dynamics shape spans.
+export const DYNAMICS_SPANS = {
+  iteration: { label: 'Each iteration' },
+  exercise:  { label: 'Whole exercise' },
+};
+
+// Velocity multipliers at the quiet and loud ends of a shape, and for an accent.
+const SOFT = 0.6;
+const LOUD = 1.2;
+export const ACCENT_LEVEL = 1.3;
+
+// No articulation picked (`null`) keeps how every exercise sounded before it
+// was adjustable: notes released at 30% and the chord intro left to ring.
+// `gate` is where a custom gate starts.
+export const DEFAULT_EXPRESSION = { articulation: null, gate: 0.3, dynamics: 'flat', span: 'iteration', accents: [] };
+
+const validExpression = (stored) => ({
+  articulation: ARTICULATIONS[stored.articulation] ? stored.articulation : DEFAULT_EXPRESSION.articulation,
+  gate: Number.isFinite(stored.gate) ? Math.max(MIN_GATE, Math.min(1, stored.gate)) : DEFAULT_EXPRESSION.gate,
+  dynamics: DYNAMICS[stored.dynamics] ? stored.dynamics : DEFAULT_EXPRESSION.dynamics,
+  span: DYNAMICS_SPANS[stored.span] ? stored.span : DEFAULT_EXPRESSION.span,
+  accents: Array.isArray(stored.accents) ? [...new Set(stored.accents.filter(i => Number.isInteger(i) && i >= 0))].sort((a, b) => a - b) : [],
+});
+
+/** Expression settings per exercise key. */
+export function loadExpressions() {
+  return readJson(STORAGE_KEY, stored => {
+    if (!stored || typeof stored !== 'object') return {};
+    return Object.fromEntries(Object.entries(stored)
+      .filter(([, e]) => e && typeof e === 'object')
+      .map(([key, e]) => [key, validExpression(e)]));
+  }, {});
+}
+
+export function saveExpressions(expressions) {
+  writeJson(STORAGE_KEY, expressions);
+}
+
+/** Exercise `key`'s settings, defaults filled in. */
+export const expressionFor = (expressions, key) => ({ ...DEFAULT_EXPRESSION, ...expressions[key] });
+
+/** The gate `expression` plays at, or undefined with no articulation picked — eventSound's own then applies. */
+export const expressionGate = (expression) => (
+  expression.articulation === null ? undefined : ARTICULATIONS[expression.articulation].gate ?? expression.gate
+);
+
+/** Velocity multiplier for `shape` at `position`, 0 at the first note of its span to 1 at the last. */
+export function dynamicLevel(shape, position) {
+  if (shape === 'crescendo')   return SOFT + (LOUD - SOFT) * position;
+  if (shape === 'decrescendo') return LOUD - (LOUD - SOFT) * position;
+  if (shape === 'messaDiVoce') return SOFT + (LOUD - SOFT) * Math.sin(Math.PI * position);
+  return 1;
+}
+
+/**
+ * `timeline` with each event's `gate` and `level` (velocity multiplier) set
+ * for eventSound, and `accent` on accented notes. A shape runs over note
+ * onsets, so a single held note stays at its starting level; a chord intro
+ * takes the level of the note it leads into, and the articulation's gate.
+ */
+export function applyExpression(timeline, expression) {
+  const gate = expressionGate(expression);
+  const notes = timeline.events.filter(ev => ev.kind === 'note');
+  const spans = expression.span === 'exercise'
+    ? [notes]
+    : timeline.iterations.map((_, seqIndex) => notes.filter(ev => ev.seqIndex === seqIndex));
+
+  const levels = new Map();
+  spans.forEach(span => {
+    const first = span[0]?.beat;
+    const length = span.length ? span[span.length - 1].beat - first : 0;
+    span.forEach(ev => levels.set(ev, dynamicLevel(expression.dynamics, length ? (ev.beat - first) / length : 0)));
+  });
+
+  const events = timeline.events.map((ev, i) => {
+    if (ev.kind === 'chord') {
+      const next = timeline.events.slice(i + 1).find(e => e.kind === 'note');
+      return { ...ev, gate, level: next ? levels.get(next) : 1 };
+    }
+    const accent = expression.accents.includes(ev.noteIndex);
+    return { ...ev, gate, level: levels.get(ev) * (accent ? ACCENT_LEVEL : 1), accent };
+  });
+  return { ...timeline, events };
+}
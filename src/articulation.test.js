@@ -0,0 +1,44 @@
+import { eventSound } from './timeline';
+import { DEFAULT_EXPRESSION, applyExpression, dynamicLevel, expressionFor, loadExpressions } from './articulation';
+import { scaleTimeline } from './testFixtures';
+
+afterEach(() => { localStorage.clear(); });
+
+const timeline = scaleTimeline({ root: 48, chord: [0, 4, 7] });
+
+const sounds = (expression) => applyExpression(timeline, { ...DEFAULT_EXPRESSION, ...expression }).events.map(ev => eventSound(ev, 0.5));
+
+test('sounds the articulation\'s share of each note, chord intro included', () => {
+  expect(sounds({ articulation: 'legato' }).map(s => s.duration)).toEqual([1, 0.5, 0.5, 1, 1, 0.5, 0.5, 1]);
+  expect(sounds({ articulation: 'custom', gate: 0.5 })[3].duration).toBe(0.5);
+  // With none picked, notes keep the old 30% release and the chord its old ring.
+  expect(sounds({})[1]).toEqual(eventSound(timeline.events[1], 0.5));
+  expect(sounds({})[0].duration).toBe(timeline.events[0].beats * 0.5 * 0.85);
+  // Staccato picked shortens the chord too.
+  expect(sounds({ articulation: 'staccato' })[0].duration).toBe(timeline.events[0].beats * 0.5 * 0.3);
+});
+
+test('shapes dynamics over each iteration or the whole exercise', () => {
+  expect(sounds({ dynamics: 'crescendo' }).map(s => s.velocity)).toEqual([39, 48, 72, 96, 39, 48, 72, 96]);
+  expect(sounds({ dynamics: 'crescendo', span: 'exercise' }).map(s => s.velocity)).toEqual([39, 48, 53, 59, 69, 85, 91, 96]);
+  expect(sounds({ dynamics: 'messaDiVoce' }).slice(1, 4).map(s => s.velocity)).toEqual([48, 96, 48]);
+  expect(dynamicLevel('decrescendo', 1)).toBeCloseTo(0.6);
+  expect(dynamicLevel('flat', 0.5)).toBe(1);
+});
+
+test('accents notes by their place in the pattern', () => {
+  const events = applyExpression(timeline, { ...DEFAULT_EXPRESSION, accents: [1] }).events;
+  expect(events.filter(ev => ev.accent).map(ev => ev.midis[0])).toEqual([50, 52]);
+  expect(eventSound(events[2], 0.5).velocity).toBe(104);
+});
+
+test('reads stored settings per exercise, discarding anything unknown', () => {
+  localStorage.setItem('vocal-warmups.articulation', JSON.stringify({
+    arpeggio: { articulation: 'legato', dynamics: 'swell', accents: [3, 0, 3, -1, 'x'] },
+    broken: 'legato',
+  }));
+  const expressions = loadExpressions();
+  expect(Object.keys(expressions)).toEqual(['arpeggio']);
+  expect(expressionFor(expressions, 'arpeggio')).toEqual({ ...DEFAULT_EXPRESSION, articulation: 'legato', accents: [0, 3] });
+  expect(expressionFor(expressions, 'majorScale')).toEqual(DEFAULT_EXPRESSION);
+});
@@ -0,0 +1,104 @@
+import { MODES, scaleStep } from './modes';
+import { INSTRUMENTS } from './instruments';
+import { eventSound } from './timeline';
+import { readJson, writeJson } from './storage';
+
+// ─── Ensemble ────────────────────────────────────────────────────────────────
+// Several vocal parts at once. The selected part leads with the exercise as
+// usual; every other part that's on follows its timeline — the same exercise
+// from its own root, in parallel 3rds or 6ths, or holding the tonic — each on
+// its own instrument so the parts are easy to tell apart.
+
+const STORAGE_KEY = 'vocal-warmups.ensemble';
+// Score order, top down.
+export const ENSEMBLE_PARTS = ['soprano', 'alto', 'tenor', 'baritone', 'bass'];
+
+/** `steps`: scale steps to the harmony note — above the lead for higher parts, below for lower. */
+export const HARMONIES = {
+  root:  { label: 'Own root' },
+  third: { label: 'Parallel 3rds', steps: 2 },
+  sixth: { label: 'Parallel 6ths', steps: 5 },
+  drone: { label: 'Tonic drone' },
+};
+
+// A different timbre for each part by default.
+export const PART_INSTRUMENTS = { soprano: 'flute', alto: 'vibraphone', tenor: 'piano', baritone: 'marimba', bass: 'cello' };
+
+const DEFAULT_PART = { on: false, harmony: 'root', instrument: 'piano', volume: 0.8, mute: false, solo: false };
+
+/** A part's settings, defaults filled in — the lead and the personal range included. */
+export const partSettings = (ensemble, key) => ({
+  ...DEFAULT_PART,
+  instrument: PART_INSTRUMENTS[key] || DEFAULT_PART.instrument,
+  ...ensemble.parts[key],
+});
+
+export const DEFAULT_ENSEMBLE = { enabled: false, parts: {} };
+
+export function loadEnsembleSettings() {
+  return readJson(STORAGE_KEY, stored => {
+    if (!stored || typeof stored !== 'object') return { ...DEFAULT_ENSEMBLE };
+    const parts = {};
+    Object.entries(stored.parts || {}).forEach(([key, p]) => {
+      if (!p || typeof p !== 'object') return;
+      parts[key] = {
+        on: p.on === true,
+        harmony: HARMONIES[p.harmony] ? p.harmony : DEFAULT_PART.harmony,
+        instrument: INSTRUMENTS[p.instrument] ? p.instrument : PART_INSTRUMENTS[key] || DEFAULT_PART.instrument,
+        volume: Number.isFinite(p.volume) ? Math.max(0, Math.min(1, p.volume)) : DEFAULT_PART.volume,
+        mute: p.mute === true,
+        solo: p.solo === true,
+      };
+    });
+    return { enabled: stored.enabled === true, parts };
+  }, { ...DEFAULT_ENSEMBLE });
+}
+
+export function saveEnsembleSettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
+
+/** Whether part `key` is heard: any solo among `keys` (the parts playing) silences the rest, otherwise mute does. */
+export function isAudible(ensemble, key, keys) {
+  const soloed = keys.some(k => partSettings(ensemble, k).solo);
+  const part = partSettings(ensemble, key);
+  return soloed ? part.solo : !part.mute;
+}
+
+/**
+ * What a following part sings against the lead's `timeline`: Map event →
+ * { midis, beats }, with no entry where it rests. `offset` is the semitones
+ * from the lead's root to the part's own; harmony lines and the drone keep
+ * the lead's key and take the octave nearest that root. Chord intros are left
+ * to the lead, but a drone sounds from the start of each iteration to its end.
+ */
+export function partTrack(timeline, { harmony = 'root', offset = 0, mode = 'major' }) {
+  const steps = (MODES[mode] || MODES.major).steps;
+  const degrees = (HARMONIES[harmony]?.steps ?? 0) * (offset < 0 ? -1 : 1);
+  const octaves = 12 * Math.round((offset - scaleStep(0, steps, degrees)) / 12);
+  const track = new Map();
+
+  timeline.iterations.forEach((it, seqIndex) => {
+    const end = timeline.iterations[seqIndex + 1]?.startIndex ?? timeline.events.length;
+    const events = timeline.events.slice(it.startIndex, end);
+    if (harmony === 'drone') {
+      const last = events[events.length - 1];
+      track.set(events[0], { midis: [it.root + octaves], beats: last.beat + last.beats - events[0].beat });
+      return;
+    }
+    events.filter(ev => ev.kind === 'note').forEach(ev => {
+      const shift = harmony === 'root' ? offset : octaves + scaleStep(ev.midis[0] - it.root, steps, degrees) - (ev.midis[0] - it.root);
+      track.set(ev, { midis: ev.midis.map(m => m + shift), beats: ev.beats });
+    });
+  });
+  return track;
+}
+
+/**
+ * How a part's `sung` entry sounds against the lead's event `ev`: harmony
+ * lines phrase like the lead, and a drone is held through its iteration at
+ * the lead's level.
+ */
+export function partSound(ev, sung, harmony, secondsPerBeat) {
+  return eventSound(harmony === 'drone' ? { kind: 'chord', beats: sung.beats, level: ev.level } : ev, secondsPerBeat);
+}
@@ -0,0 +1,40 @@
+import { DEFAULT_ENSEMBLE, isAudible, partSettings, partTrack } from './ensemble';
+import { scaleTimeline } from './testFixtures';
+
+const timeline = scaleTimeline({ root: 48, chord: [0, 4, 7] });
+
+// Each event's notes in the part, '-' where it rests.
+const sung = (options) => {
+  const track = partTrack(timeline, options);
+  return timeline.events.map(ev => track.get(ev)?.midis.join(',') ?? '-');
+};
+
+test('plays the exercise from the part\'s own root', () => {
+  expect(sung({ harmony: 'root', offset: -8 })).toEqual(['-', '40', '42', '44', '-', '42', '44', '46']);
+});
+
+test('harmonises in the key, above higher parts and below lower ones', () => {
+  // Alto over a tenor lead: 3rds in C major, then in D major for the second step.
+  expect(sung({ harmony: 'third', offset: 7 })).toEqual(['-', '52', '53', '55', '-', '54', '55', '57']);
+  // Bass under it: 6ths below.
+  expect(sung({ harmony: 'sixth', offset: -8 })).toEqual(['-', '40', '41', '43', '-', '42', '43', '45']);
+  // Soprano an octave and more above: 3rds, an octave up.
+  expect(sung({ harmony: 'third', offset: 12 })).toEqual(['-', '64', '65', '67', '-', '66', '67', '69']);
+  expect(sung({ harmony: 'third', offset: 7, mode: 'naturalMinor' })[1]).toBe('51');
+});
+
+test('holds the tonic through each iteration as a drone', () => {
+  const track = partTrack(timeline, { harmony: 'drone', offset: -8 });
+  expect(sung({ harmony: 'drone', offset: -8 })).toEqual(['36', '-', '-', '-', '38', '-', '-', '-']);
+  // From the chord intro to the end of the last note.
+  expect(track.get(timeline.events[0]).beats).toBe(timeline.events[3].beat + 2);
+});
+
+test('solo overrides mute', () => {
+  const ensemble = { ...DEFAULT_ENSEMBLE, parts: { bass: { mute: true }, alto: { solo: true } } };
+  expect(isAudible(ensemble, 'bass', ['tenor', 'bass'])).toBe(false);
+  expect(isAudible(ensemble, 'tenor', ['tenor', 'bass'])).toBe(true);
+  expect(isAudible(ensemble, 'tenor', ['tenor', 'alto'])).toBe(false);
+  expect(isAudible(ensemble, 'alto', ['tenor', 'alto'])).toBe(true);
+  expect(partSettings(ensemble, 'bass')).toMatchObject({ instrument: 'cello', harmony: 'root', mute: true });
+});
@@ -0,0 +1,151 @@
+import { readJson, writeJson } from './storage';
+
+// ─── Custom exercise library ─────────────────────────────────────────────────
+// User-built exercises share the shape of the built-in `warmups` entries so the
+// rest of the app can treat them identically:
+//   static    → { name, type, pattern, rhythm, syllables }
+//   sequences → { name, type, basePattern, rhythm, baseSyllables, stepSize, iterations }
+// plus an optional `chordIntro` (semitone offsets, same meaning as CHORD_INTROS).
+
+export const EXERCISE_TYPES = ['static', 'ascending', 'descending', 'roundtrip'];
+
+export const CUSTOM_PREFIX = 'custom-';
+
+const STORAGE_KEY = 'vocal-warmups.custom-exercises';
+const FILE_FORMAT = 'vocal-warmups-exercises';
+const FILE_VERSION = 1;
+
+// Generous bounds — wide enough for sirens and octave-plus leaps, tight enough
+// that a typo can't send the keyboard range off the end of the piano.
+const MIN_SEMITONE = -24;
+const MAX_SEMITONE = 36;
+const MAX_BEATS = 8;
+const MAX_ITERATIONS = 24;
+const MAX_STEP = 12;
+
+export const isCustomKey = (key) => key.startsWith(CUSTOM_PREFIX);
+
+export function newCustomKey() {
+  return CUSTOM_PREFIX + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** "0, 2 4" → [0, 2, 4]. Unparseable tokens become NaN so validation can flag them. */
+export function parseNumberList(str) {
+  return String(str ?? '').split(/[\s,]+/).filter(Boolean).map(Number);
+}
+
+const toSyllableList = (val) => Array.isArray(val) ? val.map(String) : String(val ?? '').split(/\s+/).filter(Boolean);
+
+/**
+ * Checks a raw exercise (from the builder or an imported file) and returns a
+ * normalised copy in `warmups` shape. `errors` is empty when the exercise is usable.
+ */
+export function validateExercise(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { exercise: null, errors: ['Exercise must be an object'] };
+  }
+  const errors = [];
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) errors.push('Name is required');
+  if (name.length > 60) errors.push('Name must be 60 characters or fewer');
+
+  const type = raw.type;
+  if (!EXERCISE_TYPES.includes(type)) errors.push(`Type must be one of: ${EXERCISE_TYPES.join(', ')}`);
+
+  const pattern = raw.pattern ?? raw.basePattern;
+  if (!Array.isArray(pattern) || pattern.length === 0) {
+    errors.push('Pattern needs at least one note');
+  } else if (!pattern.every(s => Number.isInteger(s) && s >= MIN_SEMITONE && s <= MAX_SEMITONE)) {
+    errors.push(`Pattern must be whole semitones between ${MIN_SEMITONE} and ${MAX_SEMITONE}`);
+  }
+  const len = Array.isArray(pattern) ? pattern.length : 0;
+
+  const syllables = toSyllableList(raw.syllables ?? raw.baseSyllables);
+  if (syllables.length !== len) errors.push(`Syllables: expected ${len}, got ${syllables.length}`);
+
+  const rhythm = raw.rhythm ?? Array(len).fill(1);
+  if (!Array.isArray(rhythm) || rhythm.length !== len) {
+    errors.push(`Rhythm: expected ${len} durations, got ${Array.isArray(rhythm) ? rhythm.length : 0}`);
+  } else if (!rhythm.every(b => typeof b === 'number' && b > 0 && b <= MAX_BEATS)) {
+    errors.push(`Rhythm durations must be greater than 0 and at most ${MAX_BEATS} beats`);
+  }
+
+  let stepSize, iterations;
+  if (type !== 'static') {
+    stepSize = raw.stepSize;
+    iterations = raw.iterations;
+    if (!Number.isInteger(stepSize) || stepSize < 1 || stepSize > MAX_STEP) errors.push(`Step size must be a whole number from 1 to ${MAX_STEP}`);
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) errors.push(`Iterations must be a whole number from 1 to ${MAX_ITERATIONS}`);
+  }
+
+  const chordIntro = raw.chordIntro ?? null;
+  if (chordIntro !== null) {
+    if (!Array.isArray(chordIntro) || chordIntro.length === 0) errors.push('Chord intro must list at least one semitone offset');
+    else if (!chordIntro.every(s => Number.isInteger(s) && s >= MIN_SEMITONE && s <= MAX_SEMITONE)) errors.push('Chord intro offsets must be whole semitones');
+  }
+
+  if (errors.length) return { exercise: null, errors };
+
+  const exercise = type === 'static'
+    ? { name, type, pattern: [...pattern], rhythm: [...rhythm], syllables: syllables.join(' ') }
+    : { name, type, basePattern: [...pattern], rhythm: [...rhythm], baseSyllables: syllables.join(' '), stepSize, iterations };
+  if (chordIntro) exercise.chordIntro = [...chordIntro];
+  return { exercise, errors };
+}
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+// Anything that no longer validates (hand-edited storage, older formats) is
+// dropped rather than allowed to break the exercise select.
+export function loadCustomExercises() {
+  return readJson(STORAGE_KEY, stored => {
+    const result = {};
+    Object.entries(stored ?? {}).forEach(([key, raw]) => {
+      const { exercise } = validateExercise(raw);
+      if (exercise && isCustomKey(key)) result[key] = exercise;
+    });
+    return result;
+  }, {});
+}
+
+export function saveCustomExercises(exercises) {
+  writeJson(STORAGE_KEY, exercises);
+}
+
+// ─── JSON import / export ────────────────────────────────────────────────────
+export function serializeExercises(exercises) {
+  return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, exercises: Object.values(exercises) }, null, 2);
+}
+
+/**
+ * Parses an exported file. Accepts the full export wrapper, a bare array, or a
+ * single exercise object. Valid exercises are returned even when others fail,
+ * each failure reported with its position and name.
+ */
+export function parseExerciseFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { exercises: [], errors: ['File is not valid JSON'] };
+  }
+
+  let list;
+  if (Array.isArray(data)) list = data;
+  else if (data && data.format === FILE_FORMAT) {
+    if (data.version > FILE_VERSION) return { exercises: [], errors: [`File version ${data.version} is newer than this app supports`] };
+    list = Array.isArray(data.exercises) ? data.exercises : [];
+  } else if (data && typeof data === 'object') list = [data];
+  else list = [];
+
+  if (list.length === 0) return { exercises: [], errors: ['File contains no exercises'] };
+
+  const exercises = [];
+  const errors = [];
+  list.forEach((raw, i) => {
+    const result = validateExercise(raw);
+    if (result.exercise) exercises.push(result.exercise);
+    else errors.push(`#${i + 1}${raw?.name ? ` "${raw.name}"` : ''}: ${result.errors.join('; ')}`);
+  });
+  return { exercises, errors };
+}
@@ -0,0 +1,41 @@
+import { validateExercise, parseExerciseFile, serializeExercises, parseNumberList } from './exerciseLibrary';
+
+const lipTrill = {
+  name: 'Lip Trill – Ascending', type: 'ascending',
+  basePattern: [0, 2, 4, 2, 0], rhythm: [1, 1, 1, 1, 2], baseSyllables: 'Brr Brr Brr Brr Brr',
+  stepSize: 1, iterations: 8, chordIntro: [0, 4, 7],
+};
+
+test('parses space- and comma-separated number lists', () => {
+  expect(parseNumberList('0, 2 4,5')).toEqual([0, 2, 4, 5]);
+  expect(parseNumberList('0 x')[1]).toBeNaN();
+});
+
+test('normalises a static exercise to warmups shape', () => {
+  const { exercise, errors } = validateExercise({ name: ' Ng ', type: 'static', pattern: [0, 4, 7], syllables: ['Ng', 'Ng', 'Ng'] });
+  expect(errors).toEqual([]);
+  expect(exercise).toEqual({ name: 'Ng', type: 'static', pattern: [0, 4, 7], rhythm: [1, 1, 1], syllables: 'Ng Ng Ng' });
+});
+
+test('rejects mismatched syllables, bad rhythm and missing sequence settings', () => {
+  const { exercise, errors } = validateExercise({ name: 'Bad', type: 'descending', pattern: [0, 2], syllables: 'Ah', rhythm: [1, 0] });
+  expect(exercise).toBeNull();
+  expect(errors.join('\n')).toMatch(/Syllables: expected 2, got 1/);
+  expect(errors.join('\n')).toMatch(/Rhythm durations/);
+  expect(errors.join('\n')).toMatch(/Step size/);
+  expect(errors.join('\n')).toMatch(/Iterations/);
+});
+
+test('round-trips exercises through the export format', () => {
+  const text = serializeExercises({ 'custom-a': validateExercise(lipTrill).exercise });
+  const { exercises, errors } = parseExerciseFile(text);
+  expect(errors).toEqual([]);
+  expect(exercises).toEqual([lipTrill]);
+});
+
+test('imports the valid entries of a partially broken file', () => {
+  const { exercises, errors } = parseExerciseFile(JSON.stringify([lipTrill, { name: 'Broken', type: 'siren' }]));
+  expect(exercises).toHaveLength(1);
+  expect(errors[0]).toMatch(/^#2 "Broken":/);
+  expect(parseExerciseFile('not json').errors).toEqual(['File is not valid JSON']);
+});
@@ -0,0 +1,38 @@
+import { SplendidGrandPiano, Soundfont } from 'smplr';
+
+// ─── Sampled instruments ─────────────────────────────────────────────────────
+export const INSTRUMENTS = {
+  piano: 'Grand Piano',
+  marimba: 'Marimba',
+  cello: 'Cello',
+  vibraphone: 'Vibraphone',
+  flute: 'Flute',
+};
+
+// smplr output level (0–127) for every instrument.
+export const INSTRUMENT_VOLUME = 90;
+
+/**
+ * smplr storage that rejects on an HTTP error — by default smplr skips a
+ * sample that fails and reports the instrument loaded with notes missing —
+ * and reports every URL it fetches, which is the instrument's offline file list.
+ */
+export function sampleStorage(onUrl = () => {}) {
+  return {
+    async fetch(url) {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Sample ${url} failed to load (${response.status})`);
+      onUrl(url);
+      return response;
+    },
+  };
+}
+
+/**
+ * A smplr instrument for `key`; its `load` promise settles once every sample
+ * is in. `options` are passed through to smplr.
+ */
+export function createInstrument(context, key, storage, options = {}) {
+  if (key === 'piano' || !INSTRUMENTS[key]) return new SplendidGrandPiano(context, { volume: INSTRUMENT_VOLUME, storage, ...options });
+  return new Soundfont(context, { instrument: key, volume: INSTRUMENT_VOLUME, storage, ...options });
+}
@@ -0,0 +1,20 @@
+import { sampleStorage } from './instruments';
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+test('reports each sample it fetches', async () => {
+  globalThis.fetch = async () => ({ ok: true, status: 200 });
+  const urls = [];
+  const storage = sampleStorage(url => urls.push(url));
+  await storage.fetch('https://s/a.ogg');
+  await storage.fetch('https://s/b.ogg');
+  expect(urls).toEqual(['https://s/a.ogg', 'https://s/b.ogg']);
+});
+
+test('rejects on an HTTP error instead of loading with samples missing', async () => {
+  globalThis.fetch = async () => ({ ok: false, status: 404 });
+  const urls = [];
+  await expect(sampleStorage(url => urls.push(url)).fetch('https://s/a.ogg')).rejects.toThrow('404');
+  expect(urls).toEqual([]);
+});
@@ -0,0 +1,109 @@
+import { readJson, writeJson } from './storage';
+
+// ─── Metronome ───────────────────────────────────────────────────────────────
+// A click track derived from the timeline. The pulse restarts on the chord
+// intro and on each iteration's first note, and falls silent through the
+// short breaths between them — so it never drifts against the half-beat
+// iteration gaps, and every iteration starts on an accented downbeat.
+
+const STORAGE_KEY = 'vocal-warmups.metronome';
+export const BEATS_PER_BAR = 4;
+const EPSILON = 1e-6;
+
+export const SUBDIVISIONS = {
+  quarter: { label: 'Quarters', perBeat: 1 },
+  eighth:  { label: 'Eighths',  perBeat: 2 },
+  triplet: { label: 'Triplets', perBeat: 3 },
+};
+
+export const DEFAULT_METRONOME = { enabled: false, volume: 0.6, subdivision: 'quarter', accent: true, countInBars: 0 };
+
+export function loadMetronomeSettings() {
+  return readJson(STORAGE_KEY, stored => (stored && typeof stored === 'object' ? {
+    enabled: stored.enabled === true,
+    volume: Number.isFinite(stored.volume) ? Math.max(0, Math.min(1, stored.volume)) : DEFAULT_METRONOME.volume,
+    subdivision: SUBDIVISIONS[stored.subdivision] ? stored.subdivision : DEFAULT_METRONOME.subdivision,
+    accent: stored.accent !== false,
+    countInBars: [0, 1, 2].includes(stored.countInBars) ? stored.countInBars : 0,
+  } : { ...DEFAULT_METRONOME }), { ...DEFAULT_METRONOME });
+}
+
+export function saveMetronomeSettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
+
+// Stretches of steady pulse: each chord, and each iteration's run of notes.
+function segments(timeline) {
+  const list = [];
+  timeline.events.forEach(ev => {
+    const end = ev.beat + ev.beats;
+    const last = list[list.length - 1];
+    if (ev.kind === 'note' && last && last.kind === 'note' && last.seqIndex === ev.seqIndex) last.end = end;
+    else list.push({ kind: ev.kind, seqIndex: ev.seqIndex, start: ev.beat, end });
+  });
+  return list;
+}
+
+/**
+ * Clicks for `timeline`, grouped under the event they fall in (or the breath
+ * after it): Map event → [{ offset, level }]. `offset` is in beats from the
+ * event's start so clicks follow live tempo changes exactly as notes do;
+ * `level` is 'bar', 'beat' or 'sub'.
+ */
+export function metronomeTrack(timeline, { subdivision = 'quarter', accent = true } = {}) {
+  const per = (SUBDIVISIONS[subdivision] || SUBDIVISIONS.quarter).perBeat;
+  const track = new Map(timeline.events.map(ev => [ev, []]));
+  let e = 0;
+  segments(timeline).forEach(seg => {
+    for (let k = 0; seg.start + k / per < seg.end - EPSILON; k++) {
+      const beat = seg.start + k / per;
+      while (e + 1 < timeline.events.length && timeline.events[e + 1].beat <= beat + EPSILON) e++;
+      const ev = timeline.events[e];
+      const level = k % per !== 0 ? 'sub' : accent && (k / per) % BEATS_PER_BAR === 0 ? 'bar' : 'beat';
+      track.get(ev).push({ offset: beat - ev.beat, level });
+    }
+  });
+  return track;
+}
+
+/** Level of count-in beat `beat` (0-based): each bar's first beat is accented. */
+export const countInLevel = (beat, accent = true) => (accent && beat % BEATS_PER_BAR === 0 ? 'bar' : 'beat');
+
+// ─── Click sound ─────────────────────────────────────────────────────────────
+// A short synthesized blip: no samples to load, and it cuts through any
+// instrument. Accents are higher and louder, subdivisions softer.
+const CLICK = {
+  bar:  { frequency: 1760, gain: 1 },
+  beat: { frequency: 1175, gain: 0.6 },
+  sub:  { frequency: 1175, gain: 0.3 },
+};
+const CLICK_SECONDS = 0.05;
+
+/** Click voice on `context`, with its own volume (0–1). */
+export function createClick(context, volume = DEFAULT_METRONOME.volume) {
+  const output = context.createGain();
+  output.gain.value = volume;
+  output.connect(context.destination);
+  const pending = new Set(); // clicks scheduled ahead, so Stop can cut them
+  return {
+    play(time, level = 'beat') {
+      const { frequency, gain } = CLICK[level] || CLICK.beat;
+      const osc = context.createOscillator();
+      const env = context.createGain();
+      osc.frequency.value = frequency;
+      env.gain.setValueAtTime(gain, time);
+      env.gain.exponentialRampToValueAtTime(0.001, time + CLICK_SECONDS);
+      osc.connect(env);
+      env.connect(output);
+      osc.onended = () => pending.delete(env);
+      pending.add(env);
+      osc.start(time);
+      osc.stop(time + CLICK_SECONDS);
+    },
+    silence() {
+      pending.forEach(env => env.disconnect());
+      pending.clear();
+    },
+    setVolume(v) { output.gain.value = v; },
+  };
+}
@@ -0,0 +1,35 @@
+import { metronomeTrack } from './metronome';
+import { scaleTimeline } from './testFixtures';
+
+const MARK = { bar: '!', beat: '', sub: '·' };
+
+// Absolute click positions in beats, marked by level: "0!" accent, "1" beat, "1.5·" subdivision.
+const clicks = (timeline, options) => {
+  const track = metronomeTrack(timeline, options);
+  return timeline.events.flatMap(ev => track.get(ev).map(c => `${+(ev.beat + c.offset).toFixed(3)}${MARK[c.level]}`));
+};
+
+test('clicks through held notes and restarts on a downbeat after the breath', () => {
+  const timeline = scaleTimeline({ rhythm: [1, 1, 3] });
+  // Five beats of notes, a silent half-beat breath, then the next iteration.
+  expect(clicks(timeline)).toEqual(['0!', '1', '2', '3', '4!', '5.5!', '6.5', '7.5', '8.5', '9.5!']);
+  expect(clicks(timeline, { accent: false })).toEqual(['0', '1', '2', '3', '4', '5.5', '6.5', '7.5', '8.5', '9.5']);
+});
+
+test('pulses the chord intro separately from the notes', () => {
+  const timeline = scaleTimeline({ iterations: 1, chord: [0, 4, 7] });
+  // Chord for two beats, quarter-beat breath, notes from 2.25.
+  expect(clicks(timeline)).toEqual(['0!', '1', '2.25!', '3.25', '4.25', '5.25']);
+});
+
+test('subdivides into eighths and triplets', () => {
+  const timeline = scaleTimeline({ rhythm: [1, 1, 1], iterations: 1 });
+  expect(clicks(timeline, { subdivision: 'eighth' })).toEqual(['0!', '0.5·', '1', '1.5·', '2', '2.5·']);
+  expect(clicks(timeline, { subdivision: 'triplet' })).toEqual(['0!', '0.333·', '0.667·', '1', '1.333·', '1.667·', '2', '2.333·', '2.667·']);
+});
+
+test('files each click under the event it sounds during', () => {
+  const timeline = scaleTimeline({ rhythm: [0.5, 0.5, 3], iterations: 1 });
+  const track = metronomeTrack(timeline);
+  expect(timeline.events.map(ev => track.get(ev).map(c => c.offset))).toEqual([[0], [], [0, 1, 2]]);
+});
@@ -0,0 +1,85 @@
+import { detectPitch } from './pitchDetector';
+
+const FFT_SIZE = 2048;   // ~43 ms at 48 kHz — two periods of a bass's low E
+const POLL_MS = 40;
+
+/**
+ * Opens the microphone and reports a pitch reading every POLL_MS.
+ * Everything stays on-device: samples go AnalyserNode → detectPitch, nowhere else.
+ * Resolves to a function that releases the microphone.
+ *
+ * @param {AudioContext} context
+ * @param {(pitch: {frequency, clarity} | null, now: number) => void} onPitch
+ */
+export async function startMicPitch(context, onPitch) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    // Echo cancellation keeps the accompaniment out of the reading when
+    // singing without headphones; AGC and noise suppression smear pitch.
+    audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false },
+  });
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  source.connect(analyser);
+
+  const buffer = new Float32Array(FFT_SIZE);
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(buffer);
+    onPitch(detectPitch(buffer, context.sampleRate), performance.now());
+  }, POLL_MS);
+
+  return () => {
+    clearInterval(timer);
+    source.disconnect();
+    stream.getTracks().forEach(t => t.stop());
+  };
+}
+
+// Preferred recording formats, best first; Safari only records MP4.
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+export const isRecordingSupported = () => typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+
+/** First of RECORDING_TYPES the browser can record, or '' for its default. */
+export function pickRecordingType(isSupported = (type) => MediaRecorder.isTypeSupported(type)) {
+  return RECORDING_TYPES.find(isSupported) || '';
+}
+
+/**
+ * Opens the microphone for recording takes. Resolves to { start, release }:
+ * `start(onStart)` begins a take with MediaRecorder and returns its controls —
+ * pause, resume and stop, which resolves to the recorded Blob. `onStart` fires
+ * once audio is actually being captured.
+ */
+export async function openMicRecorder() {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    // Echo cancellation keeps the accompaniment out of the take when singing
+    // without headphones; it's added back, in sync, on playback.
+    audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false },
+  });
+  const mimeType = pickRecordingType();
+
+  return {
+    start(onStart = () => {}) {
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const chunks = [];
+      recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+      recorder.onstart = onStart;
+      const recorded = new Promise((resolve) => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' }));
+      });
+      recorder.start();
+      return {
+        pause: () => { if (recorder.state === 'recording') recorder.pause(); },
+        resume: () => { if (recorder.state === 'paused') recorder.resume(); },
+        stop: () => {
+          if (recorder.state !== 'inactive') recorder.stop();
+          return recorded;
+        },
+      };
+    },
+    release() {
+      stream.getTracks().forEach(t => t.stop());
+    },
+  };
+}
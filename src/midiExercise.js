@@ -0,0 +1,156 @@
+import { DEFAULT_TICKS_PER_BEAT, bpmToMicroseconds, parseMidiFile, writeMidiFile } from './midiFile';
+import { validateExercise } from './exerciseLibrary';
+import { eventSound } from './timeline';
+import { partSound } from './ensemble';
+
+// ─── Exercises ⇄ MIDI files ──────────────────────────────────────────────────
+
+// General MIDI programs for the instrument select, so notation software opens
+// the export with a matching sound.
+export const GM_PROGRAMS = { piano: 0, vibraphone: 11, marimba: 12, cello: 42, flute: 73 };
+
+const DRUM_CHANNEL = 9;
+
+/**
+ * A timeline as a MIDI file: tempo, track name, then each note with its
+ * syllable as a lyric meta-event. Notes are written at their full rhythmic
+ * length — the articulation used for live playback is a sound choice, not
+ * part of the rhythm — but at the velocities playback uses.
+ *
+ * Ensemble `parts` ([{ name, track (a partTrack), harmony, program }]) follow
+ * as a track each, on channels of their own.
+ */
+export function timelineToMidi(timeline, { name, tempo, program = 0, parts = [], ticksPerBeat = DEFAULT_TICKS_PER_BEAT }) {
+  const events = [
+    { tick: 0, type: 'trackName', text: name },
+    { tick: 0, type: 'tempo', microsecondsPerBeat: bpmToMicroseconds(tempo) },
+    { tick: 0, type: 'programChange', channel: 0, program },
+  ];
+  timeline.events.forEach(ev => {
+    const start = ev.beat * ticksPerBeat;
+    const end = (ev.beat + ev.beats) * ticksPerBeat;
+    const { velocity } = eventSound(ev, 1);
+    if (ev.kind === 'note' && ev.syllable) events.push({ tick: start, type: 'lyric', text: ev.syllable });
+    ev.midis.forEach(note => events.push({ tick: start, type: 'noteOn', channel: 0, note, velocity }));
+    ev.midis.forEach(note => events.push({ tick: end, type: 'noteOff', channel: 0, note }));
+  });
+  const partTracks = parts.map((part, i) => {
+    const channel = i + 1; // at most four parts follow, so this never reaches the drum channel
+    const track = [
+      { tick: 0, type: 'trackName', text: part.name },
+      { tick: 0, type: 'programChange', channel, program: part.program ?? 0 },
+    ];
+    timeline.events.forEach(ev => {
+      const sung = part.track.get(ev);
+      if (!sung) return;
+      const start = ev.beat * ticksPerBeat;
+      const { velocity } = partSound(ev, sung, part.harmony, 1);
+      sung.midis.forEach(note => track.push({ tick: start, type: 'noteOn', channel, note, velocity }));
+      sung.midis.forEach(note => track.push({ tick: start + sung.beats * ticksPerBeat, type: 'noteOff', channel, note }));
+    });
+    return track;
+  });
+  return writeMidiFile({ ticksPerBeat, tracks: [events, ...partTracks] });
+}
+
+// Snap to the nearest quarter- or third-of-a-beat, whichever is closer, so
+// human-played files land on values the rhythm editor can show.
+function quantizeBeats(beats) {
+  const quarters = Math.round(beats * 4) / 4;
+  const thirds = Math.round(beats * 3) / 3;
+  const snapped = Math.abs(beats - quarters) <= Math.abs(beats - thirds) ? quarters : thirds;
+  return Math.max(0.25, Number(snapped.toFixed(3)));
+}
+
+const MAX_IMPORT_BEATS = 8;
+
+// Pairs note-ons with their note-offs: [{ tick, end, note, lyric }]
+function collectNotes(track) {
+  const notes = [];
+  const open = new Map();
+  track.forEach(ev => {
+    if (ev.channel === DRUM_CHANNEL) return;
+    if (ev.type === 'noteOn') {
+      const n = { tick: ev.tick, end: null, note: ev.note };
+      notes.push(n);
+      open.set(ev.note, n);
+    } else if (ev.type === 'noteOff' && open.has(ev.note)) {
+      open.get(ev.note).end = ev.tick;
+      open.delete(ev.note);
+    }
+  });
+  const lastTick = track.length ? track[track.length - 1].tick : 0;
+  notes.forEach(n => { if (n.end === null) n.end = Math.max(n.tick + 1, lastTick); });
+  return notes;
+}
+
+const chordShape = (notes) => notes.map(n => n - notes[0]).join(',');
+
+/**
+ * Reads a single-track MIDI file as a new static exercise. Returns
+ * `{ exercise, errors }` like validateExercise.
+ *
+ * The melody is the sequence of note onsets. A chord before the first melody
+ * note becomes the exercise's chord intro; later chords of the same shape are
+ * taken as repeated intros and dropped, and any other chord keeps its top
+ * note. Lyric meta-events at a note's onset become its syllable ("Ah" where a
+ * note has none), and each note's rhythm runs to the next onset.
+ */
+export function midiToExercise(data, fallbackName = 'Imported MIDI') {
+  let midi;
+  try {
+    midi = parseMidiFile(data);
+  } catch (err) {
+    return { exercise: null, errors: [err.message] };
+  }
+
+  const withNotes = midi.tracks.filter(t => t.some(ev => ev.type === 'noteOn' && ev.channel !== DRUM_CHANNEL));
+  if (withNotes.length === 0) return { exercise: null, errors: ['MIDI file contains no notes'] };
+  if (withNotes.length > 1) return { exercise: null, errors: [`MIDI file has ${withNotes.length} tracks with notes — only single-track files can be imported`] };
+  const track = withNotes[0];
+
+  // Group notes that start together.
+  const groups = [];
+  collectNotes(track).forEach(n => {
+    const last = groups[groups.length - 1];
+    if (last && last.tick === n.tick) last.notes.push(n);
+    else groups.push({ tick: n.tick, notes: [n] });
+  });
+  groups.forEach(g => g.notes.sort((a, b) => a.note - b.note));
+
+  let chordIntro = null;
+  let introShape = null;
+  let reference = null;
+  if (groups[0].notes.length > 1) {
+    const pitches = groups[0].notes.map(n => n.note);
+    reference = pitches[0];
+    chordIntro = pitches.map(p => p - reference);
+    introShape = chordShape(pitches);
+  }
+
+  const lyrics = track.filter(ev => ev.type === 'lyric');
+  const melody = [];
+  groups.forEach((g, i) => {
+    const pitches = g.notes.map(n => n.note);
+    if (pitches.length > 1 && (i === 0 ? chordIntro : chordShape(pitches) === introShape)) return;
+    const top = g.notes[g.notes.length - 1];
+    const lyric = lyrics.find(ev => ev.tick === g.tick)?.text.trim().replace(/\s+/g, '-');
+    const next = groups[i + 1];
+    melody.push({ note: top.note, ticks: next ? next.tick - g.tick : top.end - g.tick, syllable: lyric || 'Ah' });
+  });
+  if (melody.length === 0) return { exercise: null, errors: ['MIDI file contains no melody notes'] };
+  if (reference === null) reference = melody[0].note;
+
+  const name = track.find(ev => ev.type === 'trackName')?.text.trim()
+    || midi.tracks.flat().find(ev => ev.type === 'trackName')?.text.trim()
+    || fallbackName;
+
+  return validateExercise({
+    name: name.slice(0, 60),
+    type: 'static',
+    pattern: melody.map(m => m.note - reference),
+    rhythm: melody.map(m => Math.min(MAX_IMPORT_BEATS, quantizeBeats(m.ticks / midi.ticksPerBeat))),
+    syllables: melody.map(m => m.syllable),
+    chordIntro,
+  });
+}
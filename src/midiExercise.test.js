@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import { midiToExercise, timelineToMidi } from './midiExercise';
+import { parseMidiFile, microsecondsToBpm, writeMidiFile } from './midiFile';
+import { buildSequences, buildTimeline } from './timeline';
+import { partTrack } from './ensemble';
+
+const triad = { name: 'Triad', type: 'static', pattern: [0, 4, 7, 4, 0], rhythm: [1, 0.5, 0.5, 1, 2], syllables: 'Do Mi Sol Mi Do' };
+
+test('exports notes at their rhythm with syllables as lyrics', () => {
+  const timeline = buildTimeline(buildSequences(triad, 60, triad.rhythm), { chord: [0, 4, 7] });
+  const { tracks, ticksPerBeat } = parseMidiFile(timelineToMidi(timeline, { name: 'Triad – Tenor', tempo: 90, program: 42 }));
+  const track = tracks[0];
+
+  expect(track.find(ev => ev.type === 'trackName').text).toBe('Triad – Tenor');
+  expect(microsecondsToBpm(track.find(ev => ev.type === 'tempo').microsecondsPerBeat)).toBeCloseTo(90, 3);
+  expect(track.find(ev => ev.type === 'programChange').program).toBe(42);
+  expect(track.filter(ev => ev.type === 'lyric').map(ev => ev.text)).toEqual(['Do', 'Mi', 'Sol', 'Mi', 'Do']);
+
+  const ons = track.filter(ev => ev.type === 'noteOn');
+  expect(ons.slice(0, 3).map(ev => [ev.tick, ev.note])).toEqual([[0, 60], [0, 64], [0, 67]]);
+  expect(ons[3].tick).toBe(2.25 * ticksPerBeat);
+  expect(ons[4].tick - ons[3].tick).toBe(ticksPerBeat);
+});
+
+test('exports each ensemble part as a track of its own', () => {
+  const timeline = buildTimeline(buildSequences(triad, 60, triad.rhythm), { chord: [0, 4, 7] });
+  const parts = [
+    { name: 'Bass', track: partTrack(timeline, { offset: -12 }), harmony: 'root', program: 42 },
+    { name: 'Alto', track: partTrack(timeline, { harmony: 'drone', offset: 7 }), harmony: 'drone', program: 73 },
+  ];
+  const { tracks, ticksPerBeat } = parseMidiFile(timelineToMidi(timeline, { name: 'Triad – Tenor', tempo: 90, parts }));
+
+  expect(tracks).toHaveLength(3);
+  const [bass, alto] = tracks.slice(1);
+  expect(bass.find(ev => ev.type === 'trackName').text).toBe('Bass');
+  expect(bass.find(ev => ev.type === 'programChange')).toMatchObject({ channel: 1, program: 42 });
+  expect(bass.filter(ev => ev.type === 'noteOn').map(ev => [ev.tick / ticksPerBeat, ev.note])).toEqual([[2.25, 48], [3.25, 52], [3.75, 55], [4.25, 52], [5.25, 48]]);
+  // The drone holds the tonic an octave up, from the chord intro to the last note's end.
+  expect(alto.filter(ev => ev.type === 'noteOn' || ev.type === 'noteOff').map(ev => [ev.type, ev.tick / ticksPerBeat, ev.note, ev.channel]))
+    .toEqual([['noteOn', 0, 72, 2], ['noteOff', 7.25, 72, 2]]);
+});
+
+test('imports its own export, recovering pattern, rhythm, syllables and chord intro', () => {
+  const timeline = buildTimeline(buildSequences(triad, 55, triad.rhythm), { chord: [0, 4, 7] });
+  const { exercise, errors } = midiToExercise(timelineToMidi(timeline, { name: 'Triad', tempo: 120 }));
+
+  expect(errors).toEqual([]);
+  expect(exercise).toEqual({ ...triad, chordIntro: [0, 4, 7] });
+});
+
+test('drops repeated chord intros between transpositions', () => {
+  const ascending = { type: 'ascending', basePattern: [0, 2, 4], rhythm: [1, 1, 1], baseSyllables: 'Ma Me Mi', stepSize: 1, iterations: 2 };
+  const timeline = buildTimeline(buildSequences(ascending, 60, ascending.rhythm), { chord: [0, 4, 7] });
+  const { exercise } = midiToExercise(timelineToMidi(timeline, { name: 'Steps', tempo: 120 }));
+
+  expect(exercise.pattern).toEqual([0, 2, 4, 1, 3, 5]);
+  expect(exercise.syllables).toBe('Ma Me Mi Ma Me Mi');
+  // The last note of the first pass runs on through the breath before the repeated intro.
+  expect(exercise.rhythm).toEqual([1, 1, 1.5, 1, 1, 1]);
+});
+
+test('quantises played rhythms and fills missing lyrics', () => {
+  const ppq = 480;
+  const played = [[0, 62], [500, 64], [655, 66], [1440, 67]].flatMap(([tick, note], i, all) => [
+    { tick, type: 'noteOn', channel: 0, note, velocity: 90 },
+    { tick: (all[i + 1]?.[0] ?? tick + 470) - 10, type: 'noteOff', channel: 0, note, velocity: 0 },
+  ]);
+  const { exercise } = midiToExercise(writeMidiFile({ ticksPerBeat: ppq, tracks: [played] }), 'Take 1');
+
+  expect(exercise.name).toBe('Take 1');
+  expect(exercise.pattern).toEqual([0, 2, 4, 5]);
+  expect(exercise.rhythm).toEqual([1, 0.333, 1.667, 1]);
+  expect(exercise.syllables).toBe('Ah Ah Ah Ah');
+});
+
+test('refuses multi-track and note-less files', () => {
+  const note = (n) => [{ tick: 0, type: 'noteOn', channel: 0, note: n, velocity: 90 }, { tick: 480, type: 'noteOff', channel: 0, note: n }];
+  expect(midiToExercise(writeMidiFile({ tracks: [note(60), note(64)] })).errors[0]).toMatch(/2 tracks with notes/);
+  expect(midiToExercise(writeMidiFile({ tracks: [[{ tick: 0, type: 'text', text: 'hi' }]] })).errors).toEqual(['MIDI file contains no notes']);
+  expect(midiToExercise(new Uint8Array([1, 2, 3])).errors).toEqual(['Not a MIDI file']);
+});
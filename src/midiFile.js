@@ -0,0 +1,173 @@
+// ─── Standard MIDI File reader / writer ──────────────────────────────────────
+// Just enough of the SMF spec for exercises: note on/off, program change,
+// tempo, track name, text and lyric meta-events. Events use absolute ticks;
+// delta times are an encoding detail handled here.
+//
+//   { ticksPerBeat, tracks: [[{ tick, type, ... }]] }
+//
+//   noteOn / noteOff  { channel, note, velocity }
+//   programChange     { channel, program }
+//   controller        { channel, controller, value }   (read only)
+//   tempo             { microsecondsPerBeat }
+//   trackName / text / lyric  { text }
+//
+// Anything else in a file being read (sysex, other meta-events, pitch bend…)
+// is skipped.
+
+export const DEFAULT_TICKS_PER_BEAT = 480;
+
+const TEXT_META = { text: 0x01, trackName: 0x03, lyric: 0x05 };
+const META_TEXT = Object.fromEntries(Object.entries(TEXT_META).map(([k, v]) => [v, k]));
+const META_TEMPO = 0x51;
+const META_END = 0x2f;
+
+const utf8 = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+export const bpmToMicroseconds = (bpm) => Math.round(60000000 / bpm);
+export const microsecondsToBpm = (us) => 60000000 / us;
+
+// ─── Writing ─────────────────────────────────────────────────────────────────
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  for (let v = value >>> 7; v > 0; v >>>= 7) bytes.unshift((v & 0x7f) | 0x80);
+  return bytes;
+}
+
+const uint32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const uint16 = (n) => [(n >>> 8) & 0xff, n & 0xff];
+const ascii = (s) => [...s].map(c => c.charCodeAt(0));
+
+function encodeEvent(ev) {
+  const ch = (ev.channel ?? 0) & 0x0f;
+  switch (ev.type) {
+    case 'noteOn':        return [0x90 | ch, ev.note & 0x7f, (ev.velocity ?? 64) & 0x7f];
+    case 'noteOff':       return [0x80 | ch, ev.note & 0x7f, (ev.velocity ?? 0) & 0x7f];
+    case 'programChange': return [0xc0 | ch, ev.program & 0x7f];
+    case 'tempo': {
+      const us = ev.microsecondsPerBeat;
+      return [0xff, META_TEMPO, 3, (us >>> 16) & 0xff, (us >>> 8) & 0xff, us & 0xff];
+    }
+    default: {
+      if (!(ev.type in TEXT_META)) throw new Error(`Cannot write MIDI event "${ev.type}"`);
+      const data = utf8.encode(ev.text ?? '');
+      return [0xff, TEXT_META[ev.type], ...variableLength(data.length), ...data];
+    }
+  }
+}
+
+function encodeTrack(events) {
+  // Stable sort: events sharing a tick keep the order they were given in, so
+  // callers control e.g. note-off before the next note-on.
+  const sorted = events.map((ev, i) => [ev, i]).sort((a, b) => a[0].tick - b[0].tick || a[1] - b[1]).map(([ev]) => ev);
+  const bytes = [];
+  let last = 0;
+  sorted.forEach(ev => {
+    const tick = Math.max(0, Math.round(ev.tick));
+    bytes.push(...variableLength(tick - last), ...encodeEvent(ev));
+    last = tick;
+  });
+  bytes.push(0, 0xff, META_END, 0);
+  return [...ascii('MTrk'), ...uint32(bytes.length), ...bytes];
+}
+
+/** Encodes a song as SMF bytes — format 0 for one track, format 1 otherwise. */
+export function writeMidiFile({ ticksPerBeat = DEFAULT_TICKS_PER_BEAT, tracks }) {
+  const format = tracks.length === 1 ? 0 : 1;
+  const header = [...ascii('MThd'), ...uint32(6), ...uint16(format), ...uint16(tracks.length), ...uint16(ticksPerBeat)];
+  return new Uint8Array([...header, ...tracks.flatMap(encodeTrack)]);
+}
+
+// ─── Reading ─────────────────────────────────────────────────────────────────
+function createReader(bytes) {
+  let pos = 0;
+  const need = (n) => { if (pos + n > bytes.length) throw new Error('MIDI file is truncated'); };
+  return {
+    get pos() { return pos; },
+    set pos(p) { pos = p; },
+    byte() { need(1); return bytes[pos++]; },
+    peek() { need(1); return bytes[pos]; },
+    bytes(n) { need(n); const out = bytes.subarray(pos, pos + n); pos += n; return out; },
+    uint16() { need(2); const v = (bytes[pos] << 8) | bytes[pos + 1]; pos += 2; return v; },
+    uint32() { need(4); const v = ((bytes[pos] << 24) >>> 0) + (bytes[pos + 1] << 16) + (bytes[pos + 2] << 8) + bytes[pos + 3]; pos += 4; return v; },
+    tag() { return String.fromCharCode(...this.bytes(4)); },
+    variableLength() {
+      let v = 0;
+      for (let i = 0; i < 4; i++) {
+        const b = this.byte();
+        v = (v << 7) | (b & 0x7f);
+        if (!(b & 0x80)) return v;
+      }
+      throw new Error('Invalid variable-length number in MIDI file');
+    },
+  };
+}
+
+// Data bytes that follow each channel-message status nibble.
+const DATA_LENGTH = { 0x8: 2, 0x9: 2, 0xa: 2, 0xb: 2, 0xc: 1, 0xd: 1, 0xe: 2 };
+
+function readTrack(r, end) {
+  const events = [];
+  let tick = 0;
+  let running = null;
+  while (r.pos < end) {
+    tick += r.variableLength();
+    let status = r.peek();
+    if (status & 0x80) r.byte();
+    else if (running === null) throw new Error('MIDI data byte without a status');
+    else status = running;
+
+    if (status === 0xff) {
+      const metaType = r.byte();
+      const data = r.bytes(r.variableLength());
+      if (metaType === META_END) break;
+      if (metaType === META_TEMPO && data.length === 3) {
+        events.push({ tick, type: 'tempo', microsecondsPerBeat: (data[0] << 16) | (data[1] << 8) | data[2] });
+      } else if (META_TEXT[metaType]) {
+        events.push({ tick, type: META_TEXT[metaType], text: utf8Decoder.decode(data) });
+      }
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      r.bytes(r.variableLength());
+      continue;
+    }
+
+    const kind = status >> 4;
+    const channel = status & 0x0f;
+    if (!DATA_LENGTH[kind]) throw new Error('Unsupported MIDI status byte');
+    running = status;
+    const [a, b] = r.bytes(DATA_LENGTH[kind]);
+    // A note-on at velocity 0 is the common shorthand for note-off.
+    if (kind === 0x9 && b > 0) events.push({ tick, type: 'noteOn', channel, note: a, velocity: b });
+    else if (kind === 0x8 || kind === 0x9) events.push({ tick, type: 'noteOff', channel, note: a, velocity: kind === 0x8 ? b : 0 });
+    else if (kind === 0xc) events.push({ tick, type: 'programChange', channel, program: a });
+    else if (kind === 0xb) events.push({ tick, type: 'controller', channel, controller: a, value: b });
+  }
+  r.pos = end;
+  return events;
+}
+
+/** Parses SMF bytes (ArrayBuffer or Uint8Array). Throws on anything that isn't a readable MIDI file. */
+export function parseMidiFile(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const r = createReader(bytes);
+  if (bytes.length < 14 || r.tag() !== 'MThd') throw new Error('Not a MIDI file');
+  const headerLength = r.uint32();
+  const headerEnd = r.pos + headerLength;
+  const format = r.uint16();
+  const trackCount = r.uint16();
+  const division = r.uint16();
+  if (division & 0x8000) throw new Error('SMPTE-timed MIDI files are not supported');
+  r.pos = headerEnd;
+
+  const tracks = [];
+  while (tracks.length < trackCount && r.pos + 8 <= bytes.length) {
+    const tag = r.tag();
+    const length = r.uint32();
+    const end = Math.min(bytes.length, r.pos + length);
+    if (tag === 'MTrk') tracks.push(readTrack(r, end));
+    else r.pos = end; // unknown chunk
+  }
+  return { format, ticksPerBeat: division, tracks };
+}
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import { parseMidiFile, writeMidiFile, bpmToMicroseconds } from './midiFile';
+
+const song = {
+  ticksPerBeat: 96,
+  tracks: [[
+    { tick: 0, type: 'trackName', text: 'Siren' },
+    { tick: 0, type: 'tempo', microsecondsPerBeat: bpmToMicroseconds(90) },
+    { tick: 0, type: 'programChange', channel: 0, program: 42 },
+    { tick: 0, type: 'lyric', text: 'Sol' },
+    { tick: 0, type: 'noteOn', channel: 0, note: 55, velocity: 80 },
+    { tick: 96, type: 'noteOff', channel: 0, note: 55, velocity: 0 },
+    { tick: 96, type: 'lyric', text: 'Fá' },
+    { tick: 96, type: 'noteOn', channel: 0, note: 53, velocity: 80 },
+    // Long delta to exercise multi-byte variable-length numbers.
+    { tick: 96 + 20000, type: 'noteOff', channel: 0, note: 53, velocity: 0 },
+  ]],
+};
+
+test('round-trips notes, tempo, program and UTF-8 lyrics', () => {
+  const parsed = parseMidiFile(writeMidiFile(song));
+  expect(parsed.format).toBe(0);
+  expect(parsed.ticksPerBeat).toBe(96);
+  expect(parsed.tracks).toEqual(song.tracks);
+});
+
+test('writes format 1 for several tracks and keeps same-tick order', () => {
+  const bytes = writeMidiFile({ tracks: [[{ tick: 0, type: 'text', text: 'conductor' }], [
+    { tick: 10, type: 'noteOn', channel: 1, note: 60, velocity: 1 },
+    { tick: 0, type: 'noteOn', channel: 1, note: 62, velocity: 1 },
+    { tick: 10, type: 'noteOff', channel: 1, note: 62, velocity: 0 },
+  ]] });
+  const parsed = parseMidiFile(bytes);
+  expect(parsed.format).toBe(1);
+  expect(parsed.ticksPerBeat).toBe(480);
+  expect(parsed.tracks[1].map(ev => `${ev.tick}:${ev.type}:${ev.note}`)).toEqual(['0:noteOn:62', '10:noteOn:60', '10:noteOff:62']);
+});
+
+test('reads running status, velocity-0 note-offs and skips unknown events', () => {
+  const track = [
+    0x00, 0x90, 60, 100,      // note on
+    0x10, 62, 100,            // running status note on
+    0x00, 0xf0, 0x02, 1, 2,   // sysex, skipped
+    0x10, 0x90, 60, 0,        // velocity 0 → note off
+    0x00, 0xe0, 0, 64,        // pitch bend, skipped
+    0x00, 0xff, 0x7f, 1, 9,   // sequencer-specific meta, skipped
+    0x00, 0xff, 0x2f, 0,
+  ];
+  const bytes = new Uint8Array([
+    ...'MThd'.split('').map(c => c.charCodeAt(0)), 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+    ...'MTrk'.split('').map(c => c.charCodeAt(0)), 0, 0, 0, track.length, ...track,
+  ]);
+  expect(parseMidiFile(bytes.buffer).tracks[0]).toEqual([
+    { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 100 },
+    { tick: 16, type: 'noteOn', channel: 0, note: 62, velocity: 100 },
+    { tick: 32, type: 'noteOff', channel: 0, note: 60, velocity: 0 },
+  ]);
+});
+
+test('rejects files that are not MIDI', () => {
+  expect(() => parseMidiFile(new TextEncoder().encode('{"format":"vocal-warmups-exercises"}'))).toThrow('Not a MIDI file');
+  const truncated = writeMidiFile(song).slice(0, 30);
+  expect(() => parseMidiFile(truncated)).toThrow('truncated');
+});
@@ -0,0 +1,135 @@
+// ─── Keys and modes ──────────────────────────────────────────────────────────
+// Built-in patterns are written as major-scale semitone offsets. A mode
+// re-reads each offset as a scale degree and replaces it with that degree of
+// the chosen scale, so Major Scale becomes a minor or Dorian scale, Major
+// Arpeggio a minor arpeggio, and so on. Pattern length never changes, so
+// rhythms and syllable counts stay valid.
+//
+// For the non-heptatonic scales, a stepwise pattern moves one step of the new
+// scale per step — a scale run becomes a chromatic or whole-tone run of the
+// same length. A pattern that leaps (an arpeggio, a triad) keeps its octaves
+// and moves each note to the nearest note of the scale instead.
+//
+// Interval drills (flagged `intervals`) keep their notes in every mode — an
+// octave jump stays an octave and a fifth stays a fifth.
+
+const MAJOR_STEPS = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * `signature` describes the key signature: the relative major sits `offset`
+ * semitones above the tonic, and the tonic is its `degree`-th (0-based) note.
+ * `spelling` picks the movable-do syllables for altered notes: 'flat' always
+ * (Me, Le, Te), or 'direction' — sharps going up, flats coming down.
+ */
+export const MODES = {
+  major:         { label: 'Major',          steps: MAJOR_STEPS,                signature: { offset: 0, degree: 0 }, spelling: 'flat' },
+  naturalMinor:  { label: 'Natural minor',  steps: [0, 2, 3, 5, 7, 8, 10],     signature: { offset: 3, degree: 5 }, spelling: 'flat' },
+  harmonicMinor: { label: 'Harmonic minor', steps: [0, 2, 3, 5, 7, 8, 11],     signature: { offset: 3, degree: 5 }, spelling: 'flat' },
+  dorian:        { label: 'Dorian',         steps: [0, 2, 3, 5, 7, 9, 10],     signature: { offset: 10, degree: 1 }, spelling: 'flat' },
+  mixolydian:    { label: 'Mixolydian',     steps: [0, 2, 4, 5, 7, 9, 10],     signature: { offset: 5, degree: 4 }, spelling: 'flat' },
+  chromatic:     { label: 'Chromatic',      steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], signature: { offset: 0, degree: 0 }, spelling: 'direction', chord: [0, 7, 12] },
+  wholeTone:     { label: 'Whole-tone',     steps: [0, 2, 4, 6, 8, 10],        signature: { offset: 0, degree: 0 }, spelling: 'direction' },
+};
+
+export const DEFAULT_MODE = 'major';
+
+/** Pitch-class names for the key picker, index = pitch class. */
+export const KEYS = ['C', 'C♯/D♭', 'D', 'E♭', 'E', 'F', 'F♯/G♭', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+/**
+ * Where a semitone offset from the tonic falls in scale `steps`: `index`
+ * counts degrees from the tonic across octaves (negative below it), `degree`
+ * is the degree within its octave, and `raise` the semitones above that
+ * degree for a note between degrees.
+ */
+export function scaleDegree(semitones, steps) {
+  const octave = Math.floor(semitones / 12);
+  const pc = semitones - octave * 12;
+  let degree = steps.length - 1;
+  while (steps[degree] > pc) degree--;
+  return { index: octave * steps.length + degree, degree, raise: pc - steps[degree] };
+}
+
+// The semitone offset of degree `index` of `steps`, counted as scaleDegree counts it.
+function degreeSemitones(index, steps) {
+  const octave = Math.floor(index / steps.length);
+  return octave * 12 + steps[index - octave * steps.length];
+}
+
+/** Re-reads a major-scale offset as a degree of `steps`. Notes between degrees keep their raise. */
+export function mapSemitone(semitones, steps) {
+  const { index, raise } = scaleDegree(semitones, MAJOR_STEPS);
+  return degreeSemitones(index, steps) + raise;
+}
+
+/**
+ * Moves a semitone offset from the tonic `degrees` steps along scale `steps`
+ * (down when negative) — parallel harmony that stays in the key. Notes between
+ * degrees keep their raise.
+ */
+export function scaleStep(semitones, steps, degrees) {
+  const { index, raise } = scaleDegree(semitones, steps);
+  return degreeSemitones(index + degrees, steps) + raise;
+}
+
+// ─── Movable-do syllables ────────────────────────────────────────────────────
+const NATURAL = { 0: 'Do', 2: 'Re', 4: 'Mi', 5: 'Fa', 7: 'Sol', 9: 'La', 11: 'Ti' };
+const FLATS = { 1: 'Ra', 3: 'Me', 6: 'Se', 8: 'Le', 10: 'Te' };
+const SHARPS = { 1: 'Di', 3: 'Ri', 6: 'Fi', 8: 'Si', 10: 'Li' };
+const SOLFEGE = /^(do|di|ra|re|ri|me|mi|fa|fi|se|sol|so|si|le|la|li|te|ti)$/i;
+
+/** Movable-do name of a semitone offset from the tonic. */
+export function solfege(semitones, { spelling = 'flat', ascending = true } = {}) {
+  const pc = ((semitones % 12) + 12) % 12;
+  return NATURAL[pc] || (spelling === 'direction' && ascending ? SHARPS[pc] : FLATS[pc]);
+}
+
+/** Movable-do names for a whole pattern, altered notes spelt by the direction they're approached from. */
+export function patternSolfege(pattern, spelling = 'flat') {
+  return pattern.map((s, i) => solfege(s, { spelling, ascending: i === 0 || s >= pattern[i - 1] }));
+}
+
+function modeSyllables(syllables, pattern, mode) {
+  const list = syllables.split(' ');
+  // Only solfège is renamed — vowel patterns like "Ma Me Mi" are left alone.
+  if (!list.every(s => SOLFEGE.test(s))) return syllables;
+  return patternSolfege(pattern, mode.spelling).join(' ');
+}
+
+/** The note of `steps` nearest a semitone offset, in the same octave; ties go up. */
+function nearestScaleNote(semitones, steps) {
+  const octave = Math.floor(semitones / 12);
+  const pc = semitones - octave * 12;
+  const nearest = [...steps, 12].reduce((best, s) => (Math.abs(s - pc) <= Math.abs(best - pc) ? s : best));
+  return octave * 12 + nearest;
+}
+
+// Runs move by tones and semitones only.
+const isStepwise = (pattern) => pattern.every((s, i) => i === 0 || Math.abs(s - pattern[i - 1]) <= 2);
+
+function mapPattern(pattern, mode) {
+  if (mode.steps.length === MAJOR_STEPS.length || isStepwise(pattern)) return pattern.map(s => mapSemitone(s, mode.steps));
+  return pattern.map(s => nearestScaleNote(s, mode.steps));
+}
+
+/** `warmup` with its pattern and solfège moved into mode `modeId`. Major and interval drills return it unchanged. */
+export function applyMode(warmup, modeId) {
+  if (!warmup || warmup.intervals || modeId === DEFAULT_MODE || !MODES[modeId]) return warmup;
+  const mode = MODES[modeId];
+  if (warmup.type === 'static') {
+    const pattern = mapPattern(warmup.pattern, mode);
+    return { ...warmup, pattern, syllables: modeSyllables(warmup.syllables, pattern, mode) };
+  }
+  const basePattern = mapPattern(warmup.basePattern, mode);
+  return { ...warmup, basePattern, baseSyllables: modeSyllables(warmup.baseSyllables, basePattern, mode) };
+}
+
+/**
+ * A chord intro in mode `modeId` — the tonic triad becomes minor in the minor
+ * modes, and so on. An interval drill's chord sounds its interval, so it stays.
+ */
+export function modeChord(chord, modeId, warmup = null) {
+  if (!chord || warmup?.intervals || modeId === DEFAULT_MODE || !MODES[modeId]) return chord;
+  const mode = MODES[modeId];
+  return mode.chord || chord.map(s => mapSemitone(s, mode.steps));
+}
@@ -0,0 +1,71 @@
+import { MODES, applyMode, mapSemitone, modeChord, scaleDegree, scaleStep, solfege } from './modes';
+import { warmups } from './warmups';
+
+const majorScale = { type: 'static', pattern: [0, 2, 4, 5, 7, 9, 11, 12, 11, 9, 7, 5, 4, 2, 0], rhythm: [], syllables: 'Do Re Mi Fa Sol La Ti Do Ti La Sol Fa Mi Re Do' };
+const arpeggio = { type: 'ascending', basePattern: [0, 4, 7, 12, 7, 4, 0], baseSyllables: 'Do Mi Sol Do Sol Mi Do', stepSize: 1, iterations: 3 };
+
+test('maps major-scale degrees onto each mode', () => {
+  expect(applyMode(majorScale, 'naturalMinor').pattern.slice(0, 8)).toEqual([0, 2, 3, 5, 7, 8, 10, 12]);
+  expect(applyMode(majorScale, 'harmonicMinor').pattern.slice(0, 8)).toEqual([0, 2, 3, 5, 7, 8, 11, 12]);
+  expect(applyMode(arpeggio, 'naturalMinor').basePattern).toEqual([0, 3, 7, 12, 7, 3, 0]);
+  expect(applyMode(arpeggio, 'mixolydian').basePattern).toEqual([0, 4, 7, 12, 7, 4, 0]);
+});
+
+test('turns scale steps into chromatic and whole-tone steps', () => {
+  expect(applyMode(majorScale, 'chromatic').pattern.slice(0, 8)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  expect(applyMode(majorScale, 'wholeTone').pattern.slice(0, 8)).toEqual([0, 2, 4, 6, 8, 10, 12, 14]);
+});
+
+test('leaves interval drills as written in every mode', () => {
+  ['chromatic', 'wholeTone'].forEach(mode => {
+    expect(applyMode(warmups.octaveJumps, mode).pattern).toEqual([0, 12, 0, 12, 0]);
+    expect(applyMode(warmups.fifths, mode).pattern).toEqual([0, 7, 0, 7, 0]);
+    expect(applyMode(warmups.fifthsAscending, mode).basePattern).toEqual([0, 7, 0]);
+    expect(modeChord([0, 7], mode, warmups.fifths)).toEqual([0, 7]);
+  });
+});
+
+test('keeps leaping patterns in their octaves in chromatic and whole-tone', () => {
+  expect(applyMode(warmups.arpeggio, 'chromatic').pattern).toEqual([0, 4, 7, 12, 7, 4, 0]);
+  expect(applyMode(warmups.arpeggio, 'wholeTone').pattern).toEqual([0, 4, 8, 12, 8, 4, 0]);
+  expect(applyMode(warmups.triadAscending, 'wholeTone').basePattern).toEqual([0, 4, 8, 4, 0]);
+  expect(applyMode(warmups.arpeggio, 'wholeTone').syllables).toBe('Do Mi Si Do Le Mi Do');
+});
+
+test('finds a note\'s degree across octaves', () => {
+  const major = MODES.major.steps;
+  expect(scaleDegree(16, major)).toEqual({ index: 9, degree: 2, raise: 0 });
+  expect(scaleDegree(6, major)).toEqual({ index: 3, degree: 3, raise: 1 });
+  expect(scaleDegree(-1, major)).toEqual({ index: -1, degree: 6, raise: 0 });
+});
+
+test('keeps notes between degrees and below the root', () => {
+  expect(mapSemitone(3, MODES.naturalMinor.steps)).toBe(3);   // a raised 2nd stays raised
+  expect(mapSemitone(-1, MODES.naturalMinor.steps)).toBe(-2); // Ti below becomes Te below
+  expect(mapSemitone(-5, MODES.dorian.steps)).toBe(-5);
+});
+
+test('renames solfège with movable-do and leaves vowel patterns alone', () => {
+  expect(applyMode(majorScale, 'naturalMinor').syllables).toBe('Do Re Me Fa Sol Le Te Do Te Le Sol Fa Me Re Do');
+  expect(applyMode(arpeggio, 'dorian').baseSyllables).toBe('Do Me Sol Do Sol Me Do');
+  expect(applyMode(majorScale, 'chromatic').syllables.split(' ').slice(0, 9)).toEqual(['Do', 'Di', 'Re', 'Ri', 'Mi', 'Fa', 'Fi', 'Sol', 'Se']);
+  const vowels = { type: 'static', pattern: [0, 4, 7], syllables: 'Ma Me Mi' };
+  expect(applyMode(vowels, 'naturalMinor').syllables).toBe('Ma Me Mi');
+  expect(solfege(8, { spelling: 'direction', ascending: false })).toBe('Le');
+});
+
+test('follows the mode in chord intros', () => {
+  expect(modeChord([0, 4, 7], 'naturalMinor')).toEqual([0, 3, 7]);
+  expect(modeChord([0, 4, 7], 'wholeTone')).toEqual([0, 4, 8]);
+  expect(modeChord([0, 4, 7], 'chromatic')).toEqual([0, 7, 12]);
+  expect(modeChord([0, 7], 'major')).toEqual([0, 7]);
+  expect(applyMode(majorScale, 'major')).toBe(majorScale);
+});
+
+test('steps along the scale for parallel harmony', () => {
+  const major = MODES.major.steps;
+  expect([0, 2, 4, 5, 7, 9, 11].map(s => scaleStep(s, major, 2))).toEqual([4, 5, 7, 9, 11, 12, 14]);
+  expect([0, 4, 7].map(s => scaleStep(s, major, -5))).toEqual([-8, -5, -1]);
+  expect(scaleStep(0, MODES.naturalMinor.steps, 2)).toBe(3);
+  expect(scaleStep(6, major, 2)).toBe(10);                      // a raised 4th keeps its raise
+});
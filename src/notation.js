@@ -0,0 +1,102 @@
+// ─── Staff notation ──────────────────────────────────────────────────────────
+// Spelling and layout maths for the staff view. Pitches are placed by
+// "step": a diatonic index where C4 is 28 and each letter name is one step,
+// so a step maps straight to a line or space on the staff.
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NATURAL_PC = [0, 2, 4, 5, 7, 9, 11];
+
+// Scale degree (0-based) of each semitone above the tonic: chromatic notes are
+// spelt as ♭2 ♭3 ♯4 ♭6 ♭7, the usual choice in a major key.
+const DEGREE_OF_INTERVAL = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+
+// Major key with the fewest accidentals for each tonic pitch class, in fifths
+// (positive = sharps, negative = flats).
+const FIFTHS_OF_PC = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+
+const SHARP_ORDER = [3, 0, 4, 1, 5, 2, 6]; // F C G D A E B
+const FLAT_ORDER = [6, 2, 5, 1, 4, 0, 3];  // B E A D G C F
+
+const pitchClass = (midi) => ((midi % 12) + 12) % 12;
+const mod7 = (n) => ((n % 7) + 7) % 7;
+
+/**
+ * Clefs: `shift` is added to sounding pitch for display (tenor parts read an
+ * octave-transposing treble clef), `bottomLine` is the step of the lowest line.
+ */
+export const CLEFS = {
+  treble:  { sign: 'treble', shift: 0,  bottomLine: 30 }, // E4
+  treble8: { sign: 'treble', shift: 12, bottomLine: 30, octaveBelow: true },
+  bass:    { sign: 'bass',   shift: 0,  bottomLine: 18 }, // G2
+};
+
+/**
+ * Key signature for a tonic on `rootMidi`: { fifths, tonicLetter, alters: letter → -1|0|1 }.
+ * `signature` places the tonic within its relative major (see MODES) — the
+ * default is the major key itself.
+ */
+export function keySignature(rootMidi, signature = { offset: 0, degree: 0 }) {
+  const fifths = FIFTHS_OF_PC[pitchClass(rootMidi + signature.offset)];
+  const alters = Array(7).fill(0);
+  if (fifths > 0) SHARP_ORDER.slice(0, fifths).forEach(l => { alters[l] = 1; });
+  if (fifths < 0) FLAT_ORDER.slice(0, -fifths).forEach(l => { alters[l] = -1; });
+  return { fifths, tonicLetter: mod7(fifths * 4 + signature.degree), alters };
+}
+
+/** Spells `midi` in the key of `rootMidi`: { step, letter, octave, alter }. */
+export function spellNote(midi, rootMidi, key = keySignature(rootMidi)) {
+  const letter = mod7(key.tonicLetter + DEGREE_OF_INTERVAL[pitchClass(midi - rootMidi)]);
+  let alter = pitchClass(midi - NATURAL_PC[letter]);
+  if (alter > 6) alter -= 12;
+  const octave = (midi - alter - NATURAL_PC[letter]) / 12 - 1;
+  return { step: octave * 7 + letter, letter, octave, alter };
+}
+
+export const noteName = ({ letter, octave, alter }) => LETTERS[letter] + ['𝄫', '♭', '', '♯', '𝄪'][alter + 2] + octave;
+
+// Written values, longest first. Thirds of a beat are triplet eighths/quarters.
+const NOTE_VALUES = [
+  { beats: 6,    base: 'whole',   dots: 1 },
+  { beats: 4,    base: 'whole',   dots: 0 },
+  { beats: 3,    base: 'half',    dots: 1 },
+  { beats: 2,    base: 'half',    dots: 0 },
+  { beats: 1.5,  base: 'quarter', dots: 1 },
+  { beats: 1,    base: 'quarter', dots: 0 },
+  { beats: 2 / 3, base: 'quarter', dots: 0, triplet: true },
+  { beats: 0.75, base: 'eighth',  dots: 1 },
+  { beats: 0.5,  base: 'eighth',  dots: 0 },
+  { beats: 1 / 3, base: 'eighth', dots: 0, triplet: true },
+  { beats: 0.25, base: '16th',    dots: 0 },
+];
+
+/** The written value closest to a duration in beats: { base, dots, triplet }. */
+export function noteValue(beats) {
+  const best = NOTE_VALUES.reduce((a, b) => (Math.abs(b.beats - beats) < Math.abs(a.beats - beats) ? b : a));
+  return { base: best.base, dots: best.dots, triplet: !!best.triplet };
+}
+
+/**
+ * Accidental to print before each note of `chords` (arrays of spelt notes, one
+ * array per event), given the key signature. An accidental holds for the rest
+ * of the line on that letter and octave, as it would within a bar.
+ */
+export function accidentals(chords, key) {
+  const current = new Map();
+  return chords.map(notes => notes.map(n => {
+    const id = n.step;
+    const expected = current.has(id) ? current.get(id) : key.alters[n.letter];
+    current.set(id, n.alter);
+    if (n.alter === expected) return null;
+    return ['𝄫', '♭', '♮', '♯', '𝄪'][n.alter + 2];
+  }));
+}
+
+/** Key signature positions (steps) on a clef, in the order they're written. */
+export function keySignatureSteps(key, clef) {
+  // Treble positions: sharps F5 C5 G5 D5 A4 E5 B4, flats B4 E5 A4 D5 G4 C5 F4.
+  const trebleSharps = [38, 35, 39, 36, 33, 37, 34];
+  const trebleFlats = [34, 37, 33, 36, 32, 35, 31];
+  const offset = CLEFS[clef].sign === 'bass' ? -14 : 0;
+  const list = key.fifths > 0 ? trebleSharps.slice(0, key.fifths) : trebleFlats.slice(0, -key.fifths);
+  return list.map(step => step + offset);
+}
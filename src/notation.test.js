@@ -0,0 +1,47 @@
+import { accidentals, keySignature, keySignatureSteps, noteName, noteValue, spellNote } from './notation';
+
+const spell = (midi, root) => noteName(spellNote(midi, root));
+
+test('picks the major key signature for a root', () => {
+  expect(keySignature(48).fifths).toBe(0);   // C
+  expect(keySignature(55).fifths).toBe(1);   // G
+  expect(keySignature(58).fifths).toBe(-2);  // B♭
+  expect(keySignature(40).alters).toEqual([1, 1, 0, 1, 1, 0, 0]); // E: F♯ C♯ G♯ D♯
+  expect(keySignature(60, { offset: 3, degree: 5 })).toMatchObject({ fifths: -3, tonicLetter: 0 }); // C minor
+  expect(keySignature(62, { offset: 10, degree: 1 })).toMatchObject({ fifths: 0, tonicLetter: 1 }); // D Dorian
+});
+
+test('spells notes in the key of the root', () => {
+  expect([60, 62, 64, 65, 67].map(m => spell(m, 60))).toEqual(['C4', 'D4', 'E4', 'F4', 'G4']);
+  expect([58, 62, 65].map(m => spell(m, 58))).toEqual(['B♭3', 'D4', 'F4']);
+  expect([40, 44, 47].map(m => spell(m, 40))).toEqual(['E2', 'G♯2', 'B2']);
+  // Chromatic notes: ♭3 and ♯4 in C. A C♯ root reads as D♭ major.
+  expect([63, 66].map(m => spell(m, 60))).toEqual(['E♭4', 'F♯4']);
+  expect(spell(61, 61)).toBe('D♭4');
+  expect(spellNote(60, 60).step).toBe(28);
+});
+
+test('prints accidentals only against the key and what came before', () => {
+  const key = keySignature(60);
+  const notes = [60, 66, 67, 66, 65].map(m => [spellNote(m, 60, key)]);
+  // F♯ holds for the line, so the F after it needs a natural.
+  expect(accidentals(notes, key)).toEqual([[null], ['♯'], [null], [null], ['♮']]);
+
+  const bb = keySignature(58);
+  // ♯4 in B♭ is E♮; the E♭ after it needs its flat back.
+  expect(accidentals([[spellNote(64, 58, bb)], [spellNote(63, 58, bb)]], bb)).toEqual([['♮'], ['♭']]);
+});
+
+test('maps beat durations to written note values', () => {
+  expect(noteValue(1)).toEqual({ base: 'quarter', dots: 0, triplet: false });
+  expect(noteValue(1.5)).toEqual({ base: 'quarter', dots: 1, triplet: false });
+  expect(noteValue(3)).toEqual({ base: 'half', dots: 1, triplet: false });
+  expect(noteValue(0.25).base).toBe('16th');
+  expect(noteValue(1 / 3)).toEqual({ base: 'eighth', dots: 0, triplet: true });
+  expect(noteValue(8).base).toBe('whole');
+});
+
+test('places key signatures on either clef', () => {
+  expect(keySignatureSteps(keySignature(55), 'treble')).toEqual([38]);     // F♯5
+  expect(keySignatureSteps(keySignature(58), 'bass')).toEqual([20, 23]);   // B♭2, E♭3
+});
@@ -0,0 +1,94 @@
+import { createInstrument, sampleStorage } from './instruments';
+import { readJson, writeJson } from './storage';
+
+// ─── Offline support ─────────────────────────────────────────────────────────
+// public/sw.js caches the app shell and every instrument sample. Here the page
+// keeps a list of the sample URLs each instrument loaded, and an instrument
+// counts as available offline when every one of them is in the sample cache.
+
+const SAMPLE_CACHE = 'vocal-warmups-samples'; // also named in public/sw.js
+const STORAGE_KEY = 'vocal-warmups.offline';
+
+export const isOfflineSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof caches !== 'undefined';
+
+/**
+ * Registers the service worker served from `baseUrl`. Production builds only
+ * (`production`) — in development it would cache the dev server.
+ */
+export function registerServiceWorker({ production, baseUrl }) {
+  if (!production || !isOfflineSupported()) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${baseUrl}sw.js`).catch(() => {
+      // No offline support this visit; the app works as before.
+    });
+  });
+}
+
+/**
+ * Calls `onChange(inControl)` now and whenever a service worker takes over
+ * the page. Samples only reach the cache while one is in control. Returns an
+ * unsubscribe function.
+ */
+export function watchServiceWorker(onChange) {
+  if (!isOfflineSupported()) { onChange(false); return () => {}; }
+  const report = () => onChange(!!navigator.serviceWorker.controller);
+  report();
+  navigator.serviceWorker.addEventListener('controllerchange', report);
+  return () => navigator.serviceWorker.removeEventListener('controllerchange', report);
+}
+
+/** { instrumentKey: [sample URL] } */
+export function loadSampleLists() {
+  return readJson(STORAGE_KEY, stored => (stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}), {});
+}
+
+export function saveSampleLists(lists) {
+  writeJson(STORAGE_KEY, lists);
+}
+
+/** The instrument keys whose samples are all cached. */
+export async function offlineInstruments(lists) {
+  if (!isOfflineSupported()) return new Set();
+  const cache = await caches.open(SAMPLE_CACHE);
+  const ready = await Promise.all(Object.entries(lists).map(async ([key, urls]) => {
+    if (!Array.isArray(urls) || urls.length === 0) return null;
+    const hits = await Promise.all(urls.map(url => cache.match(url)));
+    return hits.every(Boolean) ? key : null;
+  }));
+  return new Set(ready.filter(Boolean));
+}
+
+/**
+ * Fetches every sample of an instrument through the service worker without
+ * playing it, and resolves with the URLs. smplr decodes as it loads, so a
+ * tiny offline context stands in for the real one.
+ */
+export async function downloadInstrument(key) {
+  const urls = [];
+  const context = new OfflineAudioContext(1, 1, 44100);
+  await createInstrument(context, key, sampleStorage(url => urls.push(url))).load;
+  return urls;
+}
+
+/** { usage, quota } in bytes, or null where the browser doesn't say. */
+export async function storageUsage() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
+
+/** Asks the browser not to evict the cache under storage pressure. Best effort. */
+export function persistStorage() {
+  return navigator.storage?.persist ? navigator.storage.persist().catch(() => false) : Promise.resolve(false);
+}
+
+/** "850 KB", "23.4 MB", "1.2 GB" */
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(0, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+}
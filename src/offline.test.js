@@ -0,0 +1,30 @@
+import { formatBytes, offlineInstruments } from './offline';
+
+afterEach(() => {
+  delete globalThis.caches;
+  delete navigator.serviceWorker;
+});
+
+test('counts an instrument offline only when every sample is cached', async () => {
+  const cached = new Set(['https://s/piano/a.ogg', 'https://s/piano/b.ogg', 'https://s/cello.js']);
+  globalThis.caches = { open: async () => ({ match: async (url) => (cached.has(url) ? {} : undefined) }) };
+  Object.defineProperty(navigator, 'serviceWorker', { value: {}, configurable: true });
+
+  const ready = await offlineInstruments({
+    piano: ['https://s/piano/a.ogg', 'https://s/piano/b.ogg'],
+    cello: ['https://s/cello.js'],
+    flute: ['https://s/flute.js'],
+    marimba: [],
+  });
+  expect([...ready].sort()).toEqual(['cello', 'piano']);
+});
+
+test('reports nothing offline without service worker support', async () => {
+  expect((await offlineInstruments({ piano: ['https://s/a.ogg'] })).size).toBe(0);
+});
+
+test('formats storage sizes', () => {
+  expect(formatBytes(850 * 1024)).toBe('850 KB');
+  expect(formatBytes(23.44 * 1024 * 1024)).toBe('23.4 MB');
+  expect(formatBytes(1.2 * 1024 ** 3)).toBe('1.2 GB');
+});
@@ -0,0 +1,76 @@
+// ─── Pitch detection ─────────────────────────────────────────────────────────
+// YIN (de Cheveigné & Kawahara, 2002) over a single buffer of time-domain
+// samples. Pure and synchronous so it can be driven by an AnalyserNode in the
+// browser or by synthesized buffers in tests.
+
+const DEFAULTS = {
+  minFrequency: 60,    // below a bass's low E2 (82 Hz) with margin
+  maxFrequency: 1400,  // above a soprano's high F6
+  threshold: 0.15,     // YIN absolute threshold — lower is stricter
+  minRms: 0.01,        // silence gate
+};
+
+/**
+ * Estimates the fundamental frequency of `buffer`.
+ * @param {Float32Array} buffer  mono samples in [-1, 1]
+ * @param {number} sampleRate
+ * @returns {{ frequency: number, clarity: number } | null}  null for silence or unpitched input
+ */
+export function detectPitch(buffer, sampleRate, options = {}) {
+  const { minFrequency, maxFrequency, threshold, minRms } = { ...DEFAULTS, ...options };
+  const n = buffer.length;
+
+  let energy = 0;
+  for (let i = 0; i < n; i++) energy += buffer[i] * buffer[i];
+  if (Math.sqrt(energy / n) < minRms) return null;
+
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const tauMax = Math.min(Math.ceil(sampleRate / minFrequency), Math.floor(n / 2));
+  const span = n - tauMax;
+
+  // Difference function, then cumulative-mean normalisation (YIN steps 2–3).
+  const cmnd = new Float32Array(tauMax + 1);
+  cmnd[0] = 1;
+  let running = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let sum = 0;
+    for (let i = 0; i < span; i++) {
+      const delta = buffer[i] - buffer[i + tau];
+      sum += delta * delta;
+    }
+    running += sum;
+    cmnd[tau] = running ? (sum * tau) / running : 1;
+  }
+
+  // First dip under the threshold, followed down to its local minimum (step 4).
+  let tau = -1;
+  for (let t = tauMin; t <= tauMax; t++) {
+    if (cmnd[t] < threshold) {
+      while (t + 1 <= tauMax && cmnd[t + 1] < cmnd[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  if (tau === -1) return null;
+
+  // Parabolic interpolation for sub-sample period accuracy (step 5).
+  const before = cmnd[tau - 1];
+  const at = cmnd[tau];
+  const after = tau + 1 <= tauMax ? cmnd[tau + 1] : at;
+  const curve = before + after - 2 * at;
+  const period = tau + (curve ? (before - after) / (2 * curve) : 0);
+
+  return { frequency: sampleRate / period, clarity: 1 - at };
+}
+
+export const midiToFrequency = (midi) => 440 * Math.pow(2, (midi - 69) / 12);
+export const frequencyToMidi = (freq) => 69 + 12 * Math.log2(freq / 440);
+
+/** Signed distance in cents from `midi` to `frequency`; positive is sharp. */
+export const centsFrom = (frequency, midi) => 1200 * Math.log2(frequency / midiToFrequency(midi));
+
+/**
+ * Wraps cents into ±600 so singing the right note in another octave (a tenor
+ * on a soprano exercise, say) counts by pitch class, not as 1200¢ off.
+ */
+export const foldOctave = (cents) => ((((cents + 600) % 1200) + 1200) % 1200) - 600;
@@ -0,0 +1,50 @@
+import { detectPitch, centsFrom, foldOctave, frequencyToMidi, midiToFrequency } from './pitchDetector';
+
+const sine = (frequency, { sampleRate = 44100, length = 2048, amplitude = 0.5, phase = 0 } = {}) => {
+  const buf = new Float32Array(length);
+  for (let i = 0; i < length; i++) buf[i] = amplitude * Math.sin(phase + (2 * Math.PI * frequency * i) / sampleRate);
+  return buf;
+};
+
+const centsError = (detected, expected) => Math.abs(1200 * Math.log2(detected / expected));
+
+test.each([
+  [82.41, 44100],   // E2 — bass root
+  [130.81, 48000],  // C3 — tenor root
+  [196, 44100],     // G3 — alto root
+  [440, 48000],
+  [1046.5, 44100],  // C6 — top of soprano display range
+])('detects a %f Hz sine at %i Hz within 5 cents', (freq, sampleRate) => {
+  const pitch = detectPitch(sine(freq, { sampleRate, phase: 0.7 }), sampleRate);
+  expect(pitch).not.toBeNull();
+  expect(centsError(pitch.frequency, freq)).toBeLessThan(5);
+  expect(pitch.clarity).toBeGreaterThan(0.9);
+});
+
+test('resolves a quarter-tone-sharp A4', () => {
+  const freq = midiToFrequency(69.5);
+  const pitch = detectPitch(sine(freq), 44100);
+  expect(centsFrom(pitch.frequency, 69)).toBeCloseTo(50, 0);
+});
+
+test('tracks the fundamental when harmonics are present', () => {
+  const a = sine(220), b = sine(440, { amplitude: 0.3 }), c = sine(660, { amplitude: 0.2 });
+  const mixed = a.map((v, i) => v + b[i] + c[i]);
+  expect(centsError(detectPitch(mixed, 44100).frequency, 220)).toBeLessThan(5);
+});
+
+test('returns null for silence and for noise', () => {
+  expect(detectPitch(new Float32Array(2048), 44100)).toBeNull();
+  expect(detectPitch(sine(440, { amplitude: 0.001 }), 44100)).toBeNull();
+  let seed = 1;
+  const noise = new Float32Array(2048).map(() => { seed = (seed * 16807) % 2147483647; return seed / 2147483647 - 0.5; });
+  expect(detectPitch(noise, 44100)).toBeNull();
+});
+
+test('converts between frequency, MIDI and cents', () => {
+  expect(frequencyToMidi(440)).toBe(69);
+  expect(midiToFrequency(60)).toBeCloseTo(261.63, 2);
+  expect(centsFrom(midiToFrequency(60.1), 60)).toBeCloseTo(10, 6);
+  expect(foldOctave(1210)).toBeCloseTo(10, 6);
+  expect(foldOctave(-1195)).toBeCloseTo(5, 6);
+});
@@ -0,0 +1,96 @@
+import { centsFrom, foldOctave } from './pitchDetector';
+
+// ±25¢ is the usual "in tune" window for choral singing; wider than a
+// tuner's, tighter than what a section leader would let slide.
+export const IN_TUNE_CENTS = 25;
+// Ignore the scoop into each note — nobody lands a pitch in the first instant.
+const SETTLE_MS = 150;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+export function noteStatus(cents) {
+  if (cents === null) return 'missed';
+  if (Math.abs(cents) <= IN_TUNE_CENTS) return 'ok';
+  return cents > 0 ? 'sharp' : 'flat';
+}
+
+/**
+ * Collects pitch readings against the note currently playing. Readings are
+ * keyed by (iteration, note) so looped passes accumulate into the same slot.
+ */
+export function createScorecard({ settleMs = SETTLE_MS } = {}) {
+  const notes = new Map();
+  let current = null;
+  let startedAt = 0;
+
+  return {
+    /** Timeline event starts — chord intros end the current note without opening a new one. */
+    begin(ev, now) {
+      if (ev.kind !== 'note') { current = null; return; }
+      const key = `${ev.seqIndex}:${ev.noteIndex}`;
+      if (!notes.has(key)) {
+        notes.set(key, { seqIndex: ev.seqIndex, noteIndex: ev.noteIndex, label: ev.label, syllable: ev.syllable, target: ev.midis[0], readings: [] });
+      }
+      current = notes.get(key);
+      startedAt = now;
+    },
+    end() { current = null; },
+    add(frequency, now) {
+      if (!current || now - startedAt < settleMs) return;
+      current.readings.push(foldOctave(centsFrom(frequency, current.target)));
+    },
+    get size() { return notes.size; },
+    summary() { return summarizeScores([...notes.values()]); },
+  };
+}
+
+/**
+ * Reduces raw readings to per-note medians, then groups them two ways: by
+ * transposition step (which keys were hard) and by position in the pattern
+ * (which intervals were hard).
+ */
+export function summarizeScores(rawNotes) {
+  const notes = rawNotes
+    .map(({ readings, ...n }) => {
+      const cents = readings.length ? Math.round(median(readings)) : null;
+      return { ...n, cents, status: noteStatus(cents) };
+    })
+    .sort((a, b) => a.seqIndex - b.seqIndex || a.noteIndex - b.noteIndex);
+
+  const group = (keyOf, build) => {
+    const groups = new Map();
+    notes.forEach(n => {
+      const k = keyOf(n);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(n);
+    });
+    return [...groups.entries()].sort((a, b) => a[0] - b[0]).map(([k, list]) => build(k, list));
+  };
+
+  const stats = (list) => {
+    const sung = list.filter(n => n.cents !== null);
+    return {
+      total: list.length,
+      inTune: list.filter(n => n.status === 'ok').length,
+      meanCents: sung.length ? Math.round(mean(sung.map(n => n.cents))) : null,
+    };
+  };
+
+  return {
+    notes,
+    total: notes.length,
+    inTune: notes.filter(n => n.status === 'ok').length,
+    byIteration: group(n => n.seqIndex, (seqIndex, list) => ({
+      seqIndex, label: list[0].label, ...stats(list), off: list.filter(n => n.status !== 'ok'),
+    })),
+    byPosition: group(n => n.noteIndex, (noteIndex, list) => ({
+      noteIndex, syllable: list[0].syllable, ...stats(list),
+    })),
+  };
+}
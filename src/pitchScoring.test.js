@@ -0,0 +1,31 @@
+import { createScorecard } from './pitchScoring';
+import { midiToFrequency } from './pitchDetector';
+
+const note = (seqIndex, noteIndex, midi, label = null) => ({ kind: 'note', seqIndex, noteIndex, midis: [midi], syllable: 'Ma', label });
+
+test('scores notes per iteration and per pattern position', () => {
+  const card = createScorecard({ settleMs: 0 });
+  card.begin(note(0, 0, 60), 0);
+  [0, 2, -3].forEach(c => card.add(midiToFrequency(60 + c / 100), 1));
+  card.begin(note(0, 1, 64), 0);
+  card.add(midiToFrequency(64.4), 1);
+  card.begin({ kind: 'chord', seqIndex: 1, noteIndex: -1, midis: [62, 66, 69] }, 0);
+  card.add(440, 1);                          // ignored — chord intro
+  card.begin(note(1, 0, 62, '(+2)'), 0);
+  card.add(midiToFrequency(62 - 0.3 + 12), 1); // octave up, 30¢ flat
+  card.begin(note(1, 1, 66, '(+2)'), 0);   // never sung
+
+  const summary = card.summary();
+  expect(summary.notes.map(n => [n.cents, n.status])).toEqual([[0, 'ok'], [40, 'sharp'], [-30, 'flat'], [null, 'missed']]);
+  expect(summary.inTune).toBe(1);
+  expect(summary.byIteration.map(it => [it.label, it.inTune, it.total, it.off.length])).toEqual([[null, 1, 2, 1], ['(+2)', 0, 2, 2]]);
+  expect(summary.byPosition.map(p => p.meanCents)).toEqual([-15, 40]);
+});
+
+test('ignores readings while a note is still settling', () => {
+  const card = createScorecard({ settleMs: 150 });
+  card.begin(note(0, 0, 60), 1000);
+  card.add(midiToFrequency(61), 1100);
+  card.add(midiToFrequency(60), 1200);
+  expect(card.summary().notes[0].cents).toBe(0);
+});
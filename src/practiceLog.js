@@ -0,0 +1,135 @@
+import { readJson, writeJson } from './storage';
+
+// ─── Practice history ────────────────────────────────────────────────────────
+// Every run that plays for a moment is logged locally as one record:
+//   { id, startedAt, day, warmup, exercise, vocalPart, instrument, tempo,
+//     loops, seconds, outcome: 'completed' | 'stopped', routine }
+// `day` is the local calendar date the run started on, so totals and streaks
+// follow the singer's own midnight. `exercise` and `vocalPart` are display
+// names kept with the record, so reports still read well after a custom
+// exercise or range profile is deleted.
+
+const STORAGE_KEY = 'vocal-warmups.history';
+const SINGER_KEY = 'vocal-warmups.singer';
+export const MAX_RECORDS = 2000;
+// Shorter runs are accidental clicks, not practice.
+export const MIN_LOGGED_SECONDS = 2;
+
+export function newRecordId() {
+  return 'run-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** Local calendar date of `date` as "YYYY-MM-DD". */
+export function localDay(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+const isRecord = (r) => !!r && typeof r.day === 'string' && typeof r.warmup === 'string'
+  && Number.isFinite(r.tempo) && Number.isFinite(r.seconds);
+
+export function loadHistory() {
+  return readJson(STORAGE_KEY, stored => (Array.isArray(stored) ? stored.filter(isRecord) : []), []);
+}
+
+export function saveHistory(history) {
+  writeJson(STORAGE_KEY, history);
+}
+
+// The singer's name goes on exported reports, so a section leader can tell
+// them apart.
+export function loadSinger() {
+  return readJson(SINGER_KEY, stored => (typeof stored === 'string' ? stored : ''), '');
+}
+
+export function saveSinger(name) {
+  writeJson(SINGER_KEY, name);
+}
+
+/** `history` with `record` appended, oldest records dropped past MAX_RECORDS. */
+export function addRecord(history, record) {
+  const next = [...history, record];
+  return next.length > MAX_RECORDS ? next.slice(next.length - MAX_RECORDS) : next;
+}
+
+// ─── Statistics ──────────────────────────────────────────────────────────────
+// Whole days between two "YYYY-MM-DD" dates — parsed as UTC so daylight
+// saving changes can't make a day 23 or 25 hours long.
+const dayNumber = (day) => Math.round(Date.parse(`${day}T00:00:00Z`) / 86400000);
+
+/** Practice per day, oldest first: [{ day, seconds, runs }]. */
+export function dailyTotals(history) {
+  const byDay = new Map();
+  history.forEach(r => {
+    const total = byDay.get(r.day) || { day: r.day, seconds: 0, runs: 0 };
+    total.seconds += r.seconds;
+    total.runs += 1;
+    byDay.set(r.day, total);
+  });
+  return [...byDay.values()].sort((a, b) => (a.day < b.day ? -1 : 1));
+}
+
+/**
+ * { current, longest } runs of consecutive practice days. A streak is still
+ * current on a day with no practice yet, as long as yesterday had some.
+ */
+export function practiceStreaks(history, today = new Date()) {
+  const days = [...new Set(history.map(r => r.day))].map(dayNumber).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  days.forEach((d, i) => {
+    run = i > 0 && d === days[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  const gap = days.length ? dayNumber(localDay(today)) - days[days.length - 1] : Infinity;
+  return { current: gap <= 1 ? run : 0, longest };
+}
+
+/** Exercises by total time practised: [{ warmup, exercise, runs, seconds }]. */
+export function mostPracticed(history, limit = 5) {
+  const byWarmup = new Map();
+  history.forEach(r => {
+    const total = byWarmup.get(r.warmup) || { warmup: r.warmup, exercise: r.exercise, runs: 0, seconds: 0 };
+    total.exercise = r.exercise || total.exercise;
+    total.runs += 1;
+    total.seconds += r.seconds;
+    byWarmup.set(r.warmup, total);
+  });
+  return [...byWarmup.values()].sort((a, b) => b.seconds - a.seconds || b.runs - a.runs).slice(0, limit);
+}
+
+/** "45 s", "12 min", "1 h 05 min" */
+export function formatPracticeTime(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  if (s < 60) return `${s} s`;
+  const minutes = Math.round(s / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+/** The fastest tempo reached on `warmup` each day it was practised, oldest first: [{ day, tempo }]. */
+export function tempoProgress(history, warmup) {
+  const byDay = new Map();
+  history.forEach(r => {
+    if (r.warmup === warmup) byDay.set(r.day, Math.max(byDay.get(r.day) ?? 0, r.tempo));
+  });
+  return [...byDay.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1)).map(([day, tempo]) => ({ day, tempo }));
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+const CSV_COLUMNS = ['singer', 'startedAt', 'day', 'exercise', 'warmup', 'vocalPart', 'instrument', 'tempo', 'loops', 'seconds', 'outcome', 'routine'];
+
+const csvField = (value) => {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** One row per run, with a header — opens directly in a spreadsheet. */
+export function historyToCsv(history, singer = '') {
+  const rows = history.map(r => CSV_COLUMNS.map(c => csvField(c === 'singer' ? singer : r[c])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export function historyToJson(history, singer = '', exportedAt = new Date()) {
+  return JSON.stringify({ format: 'vocal-warmups-history', version: 1, singer, exportedAt: exportedAt.toISOString(), records: history }, null, 2);
+}
@@ -0,0 +1,70 @@
+import { MAX_RECORDS, addRecord, dailyTotals, formatPracticeTime, historyToCsv, historyToJson, localDay, mostPracticed, practiceStreaks, tempoProgress } from './practiceLog';
+
+const record = (overrides) => ({
+  startedAt: '2024-03-01T09:00:00.000Z', day: '2024-03-01', warmup: 'majorScale', exercise: 'Major Scale',
+  vocalPart: 'Tenor', instrument: 'piano', tempo: 100, loops: 1, seconds: 60, outcome: 'completed', routine: null,
+  ...overrides,
+});
+
+test('formats local calendar days', () => {
+  expect(localDay(new Date(2024, 0, 5, 23, 59))).toBe('2024-01-05');
+});
+
+test('totals practice per day, oldest first', () => {
+  const history = [record({ day: '2024-03-02', seconds: 30 }), record(), record({ seconds: 45 })];
+  expect(dailyTotals(history)).toEqual([
+    { day: '2024-03-01', seconds: 105, runs: 2 },
+    { day: '2024-03-02', seconds: 30, runs: 1 },
+  ]);
+});
+
+test('counts current and longest streaks', () => {
+  const history = ['2024-02-26', '2024-02-27', '2024-02-28', '2024-03-01', '2024-03-02', '2024-03-02'].map(day => record({ day }));
+  expect(practiceStreaks(history, new Date(2024, 2, 2))).toEqual({ current: 2, longest: 3 });
+  // Nothing yet today, but yesterday counts — the streak is still alive.
+  expect(practiceStreaks(history, new Date(2024, 2, 3))).toEqual({ current: 2, longest: 3 });
+  expect(practiceStreaks(history, new Date(2024, 2, 4))).toEqual({ current: 0, longest: 3 });
+  expect(practiceStreaks([], new Date())).toEqual({ current: 0, longest: 0 });
+  // Month boundaries are plain consecutive days.
+  expect(practiceStreaks([record({ day: '2024-02-29' }), record({ day: '2024-03-01' })], new Date(2024, 2, 1)).current).toBe(2);
+});
+
+test('ranks exercises by time practised', () => {
+  const history = [record(), record({ warmup: 'triad', exercise: 'Triad', seconds: 200 }), record()];
+  expect(mostPracticed(history).map(e => [e.warmup, e.runs, e.seconds])).toEqual([['triad', 1, 200], ['majorScale', 2, 120]]);
+  expect(mostPracticed(history, 1)).toHaveLength(1);
+});
+
+test('tracks the fastest tempo per day for one exercise', () => {
+  const history = [
+    record({ day: '2024-03-02', tempo: 110 }), record({ tempo: 90 }), record({ tempo: 100 }),
+    record({ warmup: 'triad', tempo: 160 }),
+  ];
+  expect(tempoProgress(history, 'majorScale')).toEqual([{ day: '2024-03-01', tempo: 100 }, { day: '2024-03-02', tempo: 110 }]);
+});
+
+test('formats practice time', () => {
+  expect(formatPracticeTime(42)).toBe('42 s');
+  expect(formatPracticeTime(12 * 60 + 10)).toBe('12 min');
+  expect(formatPracticeTime(65 * 60)).toBe('1 h 05 min');
+});
+
+test('drops the oldest records past the cap', () => {
+  let history = Array.from({ length: MAX_RECORDS }, (_, i) => record({ id: i }));
+  history = addRecord(history, record({ id: 'new' }));
+  expect(history).toHaveLength(MAX_RECORDS);
+  expect(history[0].id).toBe(1);
+  expect(history[history.length - 1].id).toBe('new');
+});
+
+test('exports CSV with quoting and JSON with the records', () => {
+  const csv = historyToCsv([record({ exercise: 'Sirens, "wide"', routine: 'Morning' })], 'Sam');
+  const [header, row] = csv.trim().split('\r\n');
+  expect(header).toBe('singer,startedAt,day,exercise,warmup,vocalPart,instrument,tempo,loops,seconds,outcome,routine');
+  expect(row).toBe('Sam,2024-03-01T09:00:00.000Z,2024-03-01,"Sirens, ""wide""",majorScale,Tenor,piano,100,1,60,completed,Morning');
+
+  const json = JSON.parse(historyToJson([record()], 'Sam', new Date('2024-03-05T00:00:00Z')));
+  expect(json.exportedAt).toBe('2024-03-05T00:00:00.000Z');
+  expect(json.singer).toBe('Sam');
+  expect(json.records).toHaveLength(1);
+});
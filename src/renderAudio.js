@@ -0,0 +1,73 @@
+import { eventSound, timelineSeconds } from './timeline';
+import { countInLevel, createClick } from './metronome';
+import { partSound } from './ensemble';
+
+// ─── Offline rendering ───────────────────────────────────────────────────────
+// Plays a timeline into an OfflineAudioContext instead of the speakers, with
+// the same timing and voicing as live playback — ensemble parts included —
+// for audio export.
+
+export const RENDER_SAMPLE_RATE = 44100;
+export const RENDER_CHANNELS = 2;
+// Room after the last note for its release to ring out.
+export const RELEASE_TAIL = 2;
+export const MAX_RENDER_LOOPS = 10;
+
+/**
+ * When each event starts over `loops` passes, in seconds: [{ ev, time }].
+ * Passes follow on seamlessly with the trailing breath between them, as a
+ * live loop does, after `countIn` beats.
+ */
+export function renderSchedule(timeline, { tempo, loops = 1, countIn = 0 }) {
+  const spb = 60 / tempo;
+  const schedule = [];
+  for (let pass = 0; pass < loops; pass++) {
+    const passStart = countIn + pass * timeline.totalBeats;
+    timeline.events.forEach(ev => schedule.push({ ev, time: (passStart + ev.beat) * spb }));
+  }
+  return schedule;
+}
+
+/** Rendered length: { seconds, frames }. */
+export function renderLength(timeline, { tempo, loops = 1, countIn = 0, sampleRate = RENDER_SAMPLE_RATE }) {
+  const seconds = (countIn * 60) / tempo + timelineSeconds(timeline, tempo) * loops + RELEASE_TAIL;
+  return { seconds, frames: Math.ceil(seconds * sampleRate) };
+}
+
+/**
+ * Renders `timeline` to an AudioBuffer. `makeInstrument(context, options)`
+ * creates the smplr instrument on the offline context; `options` must reach
+ * smplr — it turns off smplr's own look-ahead queue, which waits on timers
+ * that an offline render outruns.
+ *
+ * `metronome` adds the click layer: { clicks (a metronomeTrack, or null for
+ * count-in only), countIn (beats), accent, volume }.
+ *
+ * `level` scales the lead, and `parts` are the ensemble parts following it:
+ * [{ track (a partTrack), harmony, level, makeInstrument }].
+ */
+export async function renderTimeline(timeline, { tempo, loops = 1, sampleRate = RENDER_SAMPLE_RATE, makeInstrument, metronome = null, level = 1, parts = [] }) {
+  const countIn = metronome?.countIn ?? 0;
+  const { frames } = renderLength(timeline, { tempo, loops, countIn, sampleRate });
+  const context = new OfflineAudioContext(RENDER_CHANNELS, frames, sampleRate);
+  const options = { scheduleLookaheadMs: Infinity };
+  const instrument = makeInstrument(context, options);
+  const voices = parts.map(part => ({ ...part, instrument: part.makeInstrument(context, options) }));
+  await Promise.all([instrument.load, ...voices.map(v => v.instrument.load)]);
+
+  const spb = 60 / tempo;
+  const click = metronome ? createClick(context, metronome.volume) : null;
+  for (let b = 0; b < countIn; b++) click.play(b * spb, countInLevel(b, metronome.accent));
+  renderSchedule(timeline, { tempo, loops, countIn }).forEach(({ ev, time }) => {
+    const { velocity, duration } = eventSound(ev, spb);
+    if (level > 0) ev.midis.forEach(note => instrument.start({ note, velocity: Math.round(velocity * level), time, duration }));
+    voices.forEach(voice => {
+      const sung = voice.track.get(ev);
+      if (!sung || voice.level === 0) return;
+      const sound = partSound(ev, sung, voice.harmony, spb);
+      sung.midis.forEach(note => voice.instrument.start({ note, velocity: Math.round(sound.velocity * voice.level), time, duration: sound.duration }));
+    });
+    metronome?.clicks?.get(ev)?.forEach(c => click.play(time + c.offset * spb, c.level));
+  });
+  return context.startRendering();
+}
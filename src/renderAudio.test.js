@@ -0,0 +1,120 @@
+import { timelineSeconds } from './timeline';
+import { RELEASE_TAIL, RENDER_CHANNELS, renderLength, renderSchedule, renderTimeline } from './renderAudio';
+import { encodeWav } from './wav';
+import { metronomeTrack } from './metronome';
+import { partTrack } from './ensemble';
+import { scaleTimeline } from './testFixtures';
+
+const timeline = scaleTimeline({ rhythm: [1, 0.5, 2], chord: [0, 4, 7] });
+
+// Stands in for OfflineAudioContext: records its size and metronome clicks, and hands back a silent buffer.
+const param = () => ({ value: 0, setValueAtTime() {}, exponentialRampToValueAtTime() {} });
+class FakeOfflineContext {
+  constructor(channels, length, sampleRate) {
+    Object.assign(this, { channels, length, sampleRate, clicks: [] });
+    FakeOfflineContext.last = this;
+  }
+
+  createGain() {
+    return { gain: param(), connect() {}, disconnect() {} };
+  }
+
+  createOscillator() {
+    return { frequency: param(), connect() {}, start: (time) => this.clicks.push(time), stop() {} };
+  }
+
+  async startRendering() {
+    return {
+      numberOfChannels: this.channels,
+      sampleRate: this.sampleRate,
+      length: this.length,
+      duration: this.length / this.sampleRate,
+      getChannelData: () => new Float32Array(this.length),
+    };
+  }
+}
+
+const realContext = globalThis.OfflineAudioContext;
+beforeEach(() => { globalThis.OfflineAudioContext = FakeOfflineContext; });
+afterEach(() => { globalThis.OfflineAudioContext = realContext; });
+
+test('schedules every pass back to back, trailing breath included', () => {
+  const schedule = renderSchedule(timeline, { tempo: 120, loops: 2 });
+  const n = timeline.events.length;
+  expect(schedule).toHaveLength(n * 2);
+  expect(schedule[0].time).toBe(0);
+  expect(schedule[n].time).toBeCloseTo(timelineSeconds(timeline, 120));
+  schedule.slice(0, n).forEach(({ ev, time }) => expect(time).toBeCloseTo(ev.beat * 0.5));
+});
+
+test('renders the timeline length plus the release tail', async () => {
+  const started = [];
+  let options = null;
+  const buffer = await renderTimeline(timeline, {
+    tempo: 90,
+    loops: 3,
+    sampleRate: 8000,
+    makeInstrument: (context, opts) => {
+      options = opts;
+      return { load: Promise.resolve(), start: (s) => started.push(s) };
+    },
+  });
+
+  const seconds = timelineSeconds(timeline, 90) * 3 + RELEASE_TAIL;
+  expect(buffer.length).toBe(Math.ceil(seconds * 8000));
+  expect(buffer.duration).toBeCloseTo(seconds, 3);
+  expect(renderLength(timeline, { tempo: 90, loops: 3, sampleRate: 8000 }).frames).toBe(buffer.length);
+  expect(FakeOfflineContext.last.channels).toBe(RENDER_CHANNELS);
+  expect(options.scheduleLookaheadMs).toBe(Infinity);
+
+  // One start per sounding note: the chord's three plus each melody note, every pass.
+  const notesPerPass = timeline.events.reduce((sum, ev) => sum + ev.midis.length, 0);
+  expect(started).toHaveLength(notesPerPass * 3);
+  const last = started[started.length - 1];
+  expect(last.time + last.duration).toBeLessThan(seconds);
+
+  const wav = encodeWav(buffer);
+  expect(wav.length).toBe(44 + buffer.length * RENDER_CHANNELS * 2);
+});
+
+test('counts in and clicks along with the metronome', async () => {
+  const started = [];
+  const clicks = metronomeTrack(timeline);
+  const buffer = await renderTimeline(timeline, {
+    tempo: 120,
+    sampleRate: 8000,
+    makeInstrument: () => ({ load: Promise.resolve(), start: (s) => started.push(s) }),
+    metronome: { clicks, countIn: 4, accent: true, volume: 0.5 },
+  });
+
+  const seconds = 2 + timelineSeconds(timeline, 120) + RELEASE_TAIL;
+  expect(buffer.length).toBe(Math.ceil(seconds * 8000));
+  expect(started[0].time).toBe(2);
+
+  const clickTimes = FakeOfflineContext.last.clicks;
+  const trackClicks = [...clicks.values()].reduce((sum, list) => sum + list.length, 0);
+  expect(clickTimes).toHaveLength(4 + trackClicks);
+  expect(clickTimes.slice(0, 5)).toEqual([0, 0.5, 1, 1.5, 2]);
+});
+
+test('plays the ensemble parts on their own instruments at their levels', async () => {
+  const started = { lead: [], bass: [], drone: [] };
+  const instrument = (name) => () => ({ load: Promise.resolve(), start: (s) => started[name].push(s) });
+  await renderTimeline(timeline, {
+    tempo: 120,
+    sampleRate: 8000,
+    makeInstrument: instrument('lead'),
+    level: 0.5,
+    parts: [
+      { track: partTrack(timeline, { offset: -12 }), harmony: 'root', level: 1, makeInstrument: instrument('bass') },
+      { track: partTrack(timeline, { harmony: 'drone', offset: -12 }), harmony: 'drone', level: 0.5, makeInstrument: instrument('drone') },
+    ],
+  });
+
+  expect(started.lead[3]).toMatchObject({ note: 60, velocity: 40 });
+  // The bass sings the melody an octave down; the chord intro is left to the lead.
+  expect(started.bass.map(s => s.note)).toEqual([48, 50, 52, 50, 52, 54]);
+  expect(started.bass[0]).toMatchObject({ velocity: 80, time: started.lead[3].time, duration: started.lead[3].duration });
+  // The drone holds each iteration's tonic from its chord intro.
+  expect(started.drone.map(s => [s.note, s.time, s.velocity])).toEqual([[48, 0, 33], [50, started.lead[6].time, 33]]);
+});
@@ -0,0 +1,71 @@
+import { RHYTHM_PRESETS } from './warmups';
+import { timelineSeconds } from './timeline';
+import { readJson, writeJson } from './storage';
+
+// ─── Warm-up routines ────────────────────────────────────────────────────────
+// A routine is an ordered list of exercise entries played back to back:
+//   { id, name, entries: [{ warmup, vocalPart, tempo, rhythm, chordIntro, rest }] }
+// `rhythm` is null (the exercise's own), a RHYTHM_PRESETS id, or an explicit
+// beat array captured from the rhythm editor. `rest` is seconds of silence
+// before the next entry.
+
+const STORAGE_KEY = 'vocal-warmups.routines';
+export const MAX_REST = 120;
+export const DEFAULT_REST = 5;
+
+export function newRoutineId() {
+  return 'routine-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+const isEntry = (e) => !!e && typeof e.warmup === 'string' && typeof e.vocalPart === 'string'
+  && Number.isFinite(e.tempo) && Number.isFinite(e.rest);
+
+export function loadRoutines() {
+  return readJson(STORAGE_KEY, stored => (Array.isArray(stored)
+    ? stored.filter(r => r && typeof r.id === 'string' && typeof r.name === 'string' && Array.isArray(r.entries))
+      .map(r => ({ ...r, entries: r.entries.filter(isEntry) }))
+    : []), []);
+}
+
+export function saveRoutines(routines) {
+  writeJson(STORAGE_KEY, routines);
+}
+
+/** The beat durations an entry plays `warmup` with. */
+export function resolveRhythm(entry, warmup) {
+  if (Array.isArray(entry.rhythm) && entry.rhythm.length === warmup.rhythm.length) return [...entry.rhythm];
+  const preset = RHYTHM_PRESETS.find(p => p.id === entry.rhythm);
+  return preset ? preset.apply(warmup.rhythm) : [...warmup.rhythm];
+}
+
+/** "m:ss" */
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Lays a routine out on a clock. `buildTimeline(entry)` returns the entry's
+ * timeline, or null when its exercise no longer exists (such entries are
+ * skipped). Each step records where it starts so elapsed/remaining time and
+ * skip/back can jump straight to it. `countIn` is the metronome count-in, in
+ * beats, that every step starts with.
+ */
+export function planRoutine(routine, buildTimeline, { countIn = 0 } = {}) {
+  const steps = routine.entries
+    .map((entry, entryIndex) => {
+      const timeline = buildTimeline(entry);
+      if (!timeline) return null;
+      return { entry, entryIndex, timeline, seconds: (countIn * 60) / entry.tempo + timelineSeconds(timeline, entry.tempo) };
+    })
+    .filter(Boolean);
+
+  // Rests sit between exercises, never after the last one.
+  let offset = 0;
+  steps.forEach((step, i) => {
+    step.offset = offset;
+    step.rest = i < steps.length - 1 ? Math.max(0, Math.min(MAX_REST, step.entry.rest)) : 0;
+    offset += step.seconds + step.rest;
+  });
+  return { steps, totalSeconds: offset };
+}
@@ -0,0 +1,47 @@
+import { MAX_REST, formatDuration, planRoutine, resolveRhythm } from './routines';
+
+const scale = { rhythm: [1, 1, 1, 2] };
+const entry = (overrides) => ({ warmup: 'scale', vocalPart: 'tenor', tempo: 120, rhythm: null, chordIntro: false, rest: 5, ...overrides });
+// 8 beats at 120 BPM = 4 seconds.
+const fakeTimeline = () => ({ totalBeats: 8 });
+
+test('resolves an entry rhythm from the exercise, a preset or an explicit array', () => {
+  expect(resolveRhythm(entry(), scale)).toEqual([1, 1, 1, 2]);
+  expect(resolveRhythm(entry({ rhythm: 'even' }), scale)).toEqual([1, 1, 1, 1]);
+  expect(resolveRhythm(entry({ rhythm: [2, 2, 2, 2] }), scale)).toEqual([2, 2, 2, 2]);
+  // A stale array from before the exercise was edited falls back to its own rhythm.
+  expect(resolveRhythm(entry({ rhythm: [2, 2] }), scale)).toEqual([1, 1, 1, 2]);
+});
+
+test('plans steps with rests between entries but not after the last', () => {
+  const routine = { entries: [entry(), entry({ tempo: 60, rest: 10 }), entry({ rest: 30 })] };
+  const { steps, totalSeconds } = planRoutine(routine, fakeTimeline);
+
+  expect(steps.map(s => s.seconds)).toEqual([4, 8, 4]);
+  expect(steps.map(s => s.offset)).toEqual([0, 9, 27]);
+  expect(steps.map(s => s.rest)).toEqual([5, 10, 0]);
+  expect(totalSeconds).toBe(31);
+});
+
+test('times each step with its count-in', () => {
+  const routine = { entries: [entry(), entry({ tempo: 60 })] };
+  const { steps, totalSeconds } = planRoutine(routine, fakeTimeline, { countIn: 4 });
+
+  expect(steps.map(s => s.seconds)).toEqual([6, 12]);
+  expect(steps[1].offset).toBe(11);
+  expect(totalSeconds).toBe(23);
+});
+
+test('skips entries whose exercise is gone and clamps rests', () => {
+  const routine = { entries: [entry({ rest: 999 }), entry({ warmup: 'deleted' }), entry()] };
+  const { steps } = planRoutine(routine, e => (e.warmup === 'deleted' ? null : fakeTimeline()));
+
+  expect(steps.map(s => s.entryIndex)).toEqual([0, 2]);
+  expect(steps[0].rest).toBe(MAX_REST);
+});
+
+test('formats durations as m:ss', () => {
+  expect(formatDuration(0)).toBe('0:00');
+  expect(formatDuration(65.4)).toBe('1:05');
+  expect(formatDuration(-3)).toBe('0:00');
+});
@@ -0,0 +1,203 @@
+// ─── Look-ahead playback scheduler ───────────────────────────────────────────
+// The classic "two clocks" pattern: a coarse JS timer wakes up every few
+// milliseconds and hands the audio layer every event that falls inside a short
+// look-ahead window, stamped with an exact AudioContext time. Audio therefore
+// never drifts with main-thread load; only the visual callbacks ride setTimeout.
+//
+// Times are derived incrementally (previous event time + beat gap × current
+// seconds-per-beat), which is what lets tempo change mid-exercise: anything not
+// yet handed to the audio layer simply uses the new tempo. An event carrying
+// its own `tempo` sets the tempo from that event on.
+
+const TICK_MS = 25;
+const LOOKAHEAD = 0.1;
+// Background tabs clamp timers to ~1 s, so look much further ahead while hidden.
+const HIDDEN_LOOKAHEAD = 1.5;
+// Lead-in before the first event so AudioContext.resume() has time to settle.
+const START_DELAY = 0.05;
+
+const defaultTimers = {
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+/**
+ * @param {object}   opts
+ * @param {BaseAudioContext} opts.context  clock source
+ * @param {Function} opts.schedule  (event, time, secondsPerBeat, timeline) → start audio at `time`
+ * @param {Function} opts.notify    (event, index, durationSeconds, timeline) → UI update, fired on time
+ * @param {Function} opts.silence   () → cut every sounding or pre-scheduled note
+ * @param {Function} opts.onEnd     () → fired once the last event has finished (not looping)
+ * @param {Function} [opts.scheduleCount] (beat, time, secondsPerBeat) → sound count-in beat `beat` (0-based) at `time`
+ * @param {Function} [opts.notifyCount]   (beat, beats) → UI update for a count-in beat, fired on time
+ * @param {Function} [opts.nextPass]  (timeline) → when a looping timeline runs out: { timeline, tempo } to
+ *                                   carry straight on with (either may be left out), or null to end there
+ * @param {object}   [opts.timers]  injectable timer functions (tests)
+ */
+export function createScheduler({ context, schedule, notify, silence, onEnd, scheduleCount = () => {}, notifyCount = () => {}, nextPass = () => ({}), timers = defaultTimers }) {
+  let timeline = null;
+  let tempo = 120;
+  let loop = false;
+  let state = 'stopped';   // 'stopped' | 'playing' | 'paused'
+  let index = 0;           // next event to hand to the audio layer
+  let nextTime = 0;        // AudioContext time for events[index]
+  let prev = null;         // { index, time } of the last scheduled event
+  let currentIndex = -1;   // last event the UI has shown — where pause/resume lands
+  let timerId = null;
+  let uiTimers = [];
+
+  const secondsPerBeat = () => 60 / tempo;
+  const lookahead = () => (typeof document !== 'undefined' && document.hidden ? HIDDEN_LOOKAHEAD : LOOKAHEAD);
+  const events = () => timeline.events;
+  const beatAfter = (i) => (i + 1 < events().length ? events()[i + 1].beat : timeline.totalBeats);
+
+  const clearUiTimers = () => { uiTimers.forEach(timers.clearTimeout); uiTimers = []; };
+  const stopTimer = () => { if (timerId !== null) timers.clearInterval(timerId); timerId = null; };
+
+  const later = (fn, time) => {
+    const id = timers.setTimeout(() => {
+      uiTimers = uiTimers.filter(t => t !== id);
+      fn();
+    }, Math.max(0, (time - context.currentTime) * 1000));
+    uiTimers.push(id);
+  };
+
+  const finish = (endTime) => {
+    stopTimer();
+    later(() => {
+      state = 'stopped';
+      currentIndex = -1;
+      onEnd();
+    }, endTime);
+  };
+
+  const tick = () => {
+    const horizon = context.currentTime + lookahead();
+    while (state === 'playing' && timerId !== null && nextTime < horizon) {
+      if (index >= events().length) {
+        const next = loop ? nextPass(timeline) : null;
+        if (!next) { finish(nextTime); return; }
+        // Seamless restart: the trailing iteration gap is already in nextTime.
+        if (next.timeline) timeline = next.timeline;
+        if (next.tempo) tempo = next.tempo;
+        index = 0;
+      }
+      const i = index;
+      const ev = events()[i];
+      if (ev.tempo) tempo = ev.tempo;
+      const spb = secondsPerBeat();
+      const tl = timeline;
+      schedule(ev, nextTime, spb, tl);
+      later(() => { currentIndex = i; notify(ev, i, ev.beats * spb, tl); }, nextTime);
+      prev = { index: i, time: nextTime };
+      nextTime += (beatAfter(i) - ev.beat) * spb;
+      index = i + 1;
+    }
+  };
+
+  // `countIn` beats are counted off before the first event, at the tempo
+  // playback starts with.
+  const startFrom = (i, countIn = 0) => {
+    index = i;
+    nextTime = context.currentTime + START_DELAY;
+    prev = null;
+    state = 'playing';
+    const spb = secondsPerBeat();
+    for (let b = 0; b < countIn; b++) {
+      const time = nextTime + b * spb;
+      scheduleCount(b, time, spb);
+      later(() => notifyCount(b, countIn), time);
+    }
+    nextTime += countIn * spb;
+    stopTimer();
+    timerId = timers.setInterval(tick, TICK_MS);
+    tick();
+  };
+
+  const halt = () => {
+    stopTimer();
+    clearUiTimers();
+    silence();
+  };
+
+  // Re-time the pending event after a tempo or rhythm change so the change is
+  // heard from the very next beat rather than one note late.
+  const retime = () => {
+    if (state !== 'playing' || !prev) return;
+    const ev = events()[prev.index];
+    nextTime = Math.max(context.currentTime + 0.01, prev.time + (beatAfter(prev.index) - ev.beat) * secondsPerBeat());
+  };
+
+  // Finds the event in a rebuilt timeline that corresponds to `ev`, falling
+  // back to the nearest sensible spot when the structure changed.
+  const matchIndex = (tl, ev) => {
+    if (!ev) return 0;
+    const exact = tl.events.findIndex(e => e.seqIndex === ev.seqIndex && e.noteIndex === ev.noteIndex);
+    if (exact !== -1) return exact;
+    const sameSeq = tl.events.findIndex(e => e.seqIndex === ev.seqIndex);
+    if (sameSeq !== -1) return sameSeq;
+    return tl.events.length;
+  };
+
+  return {
+    get state() { return state; },
+    get currentIndex() { return currentIndex; },
+
+    /** Starts `tl` from the top, or from iteration `opts.startIteration`, after `opts.countIn` beats. */
+    play(tl, opts = {}) {
+      halt();
+      timeline = tl;
+      if (opts.tempo) tempo = opts.tempo;
+      if (opts.loop !== undefined) loop = opts.loop;
+      currentIndex = -1;
+      startFrom(tl.iterations[opts.startIteration ?? 0]?.startIndex ?? 0, opts.countIn ?? 0);
+    },
+
+    pause() {
+      if (state !== 'playing') return;
+      halt();
+      state = 'paused';
+      // Resume replays the note that was sounding, or the one about to.
+      if (currentIndex === -1) currentIndex = prev ? prev.index : Math.min(index, events().length - 1);
+    },
+
+    resume() {
+      if (state !== 'paused') return;
+      startFrom(Math.max(0, currentIndex));
+    },
+
+    stop() {
+      halt();
+      state = 'stopped';
+      currentIndex = -1;
+    },
+
+    /** Jump to the start of sequence iteration `seqIndex` (chord intro included). */
+    seek(seqIndex) {
+      if (state === 'stopped' || !timeline) return;
+      const target = timeline.iterations[seqIndex];
+      if (!target) return;
+      if (state === 'paused') { currentIndex = target.startIndex; return; }
+      halt();
+      startFrom(target.startIndex);
+    },
+
+    /** Live changes: `tempo` and `loop` apply from the next beat, a new `timeline` keeps the current position. */
+    update({ timeline: tl, tempo: bpm, loop: lp }) {
+      if (lp !== undefined) loop = lp;
+      if (bpm && bpm !== tempo) { tempo = bpm; retime(); }
+      if (tl && tl !== timeline && timeline) {
+        const old = timeline;
+        timeline = tl;
+        if (prev) prev = { ...prev, index: Math.min(matchIndex(tl, old.events[prev.index]), tl.events.length - 1) };
+        index = index < old.events.length ? matchIndex(tl, old.events[index]) : tl.events.length;
+        if (currentIndex !== -1) currentIndex = Math.min(matchIndex(tl, old.events[currentIndex]), tl.events.length - 1);
+        retime();
+      } else if (tl) {
+        timeline = tl;
+      }
+    },
+  };
+}
@@ -0,0 +1,163 @@
+import { createScheduler } from './scheduler';
+import { scaleTimeline } from './testFixtures';
+
+// Manual clock: advancing moves AudioContext time and fires due timers in order.
+function fakeClock() {
+  const context = { currentTime: 0 };
+  let timers = [];
+  let nextId = 1;
+  const add = (fn, ms, every) => { const id = nextId++; timers.push({ id, fn, at: context.currentTime + ms / 1000, every }); return id; };
+  const remove = (id) => { timers = timers.filter(t => t.id !== id); };
+  const advance = (seconds) => {
+    const end = context.currentTime + seconds;
+    for (;;) {
+      const due = timers.filter(t => t.at <= end).sort((a, b) => a.at - b.at)[0];
+      if (!due) break;
+      context.currentTime = Math.max(context.currentTime, due.at);
+      if (due.every) due.at += due.every / 1000; else remove(due.id);
+      due.fn();
+    }
+    context.currentTime = end;
+  };
+  return {
+    context, advance,
+    timers: {
+      setInterval: (fn, ms) => add(fn, ms, ms),
+      clearInterval: remove,
+      setTimeout: (fn, ms) => add(fn, ms),
+      clearTimeout: remove,
+    },
+  };
+}
+
+const timeline = scaleTimeline();
+
+function setup() {
+  const clock = fakeClock();
+  const played = [];
+  const shown = [];
+  let ended = 0;
+  const scheduler = createScheduler({
+    context: clock.context,
+    timers: clock.timers,
+    schedule: (ev, time) => played.push({ midi: ev.midis[0], time }),
+    notify: (ev) => shown.push(ev.midis[0]),
+    silence: () => {},
+    onEnd: () => { ended++; },
+  });
+  return { clock, scheduler, played, shown, ended: () => ended };
+}
+
+test('schedules notes on the audio clock at the given tempo', () => {
+  const { clock, scheduler, played, ended } = setup();
+  scheduler.play(timeline, { tempo: 120 });
+  clock.advance(10);
+  // 0.05 s lead-in, half-second beats, half-beat breath between iterations.
+  expect(played.map(p => p.midi)).toEqual([60, 62, 64, 62, 64, 66]);
+  expect(played.map(p => +p.time.toFixed(3))).toEqual([0.05, 0.55, 1.05, 2.3, 2.8, 3.3]);
+  expect(ended()).toBe(1);
+  expect(scheduler.state).toBe('stopped');
+});
+
+test('tempo changes apply from the next beat', () => {
+  const { clock, scheduler, played } = setup();
+  scheduler.play(timeline, { tempo: 120 });
+  clock.advance(0.1);
+  scheduler.update({ tempo: 60 });
+  clock.advance(10);
+  expect(+(played[1].time - played[0].time).toFixed(3)).toBe(1);
+  expect(+(played[2].time - played[1].time).toFixed(3)).toBe(1);
+});
+
+test('pause and resume replay the current note', () => {
+  const { clock, scheduler, played } = setup();
+  scheduler.play(timeline, { tempo: 120 });
+  clock.advance(0.7);
+  scheduler.pause();
+  expect(scheduler.state).toBe('paused');
+  clock.advance(5);
+  const before = played.length;
+  scheduler.resume();
+  clock.advance(0.01);
+  expect(played[before].midi).toBe(62);
+});
+
+test('seeks to an iteration and loops without a gap', () => {
+  const { clock, scheduler, played, ended } = setup();
+  scheduler.play(timeline, { tempo: 120, loop: true });
+  clock.advance(0.01);
+  scheduler.seek(1);
+  clock.advance(2.5);
+  expect(played.slice(1, 4).map(p => p.midi)).toEqual([62, 64, 66]);
+  // Loop restart lands exactly one iteration-length after the previous start.
+  const restart = played[4];
+  expect(restart.midi).toBe(60);
+  expect(+(restart.time - played[1].time).toFixed(3)).toBe(2.25);
+  expect(ended()).toBe(0);
+  scheduler.stop();
+});
+
+test('a rebuilt timeline keeps the playing position', () => {
+  const { clock, scheduler, played } = setup();
+  scheduler.play(timeline, { tempo: 120 });
+  clock.advance(0.6);
+  scheduler.update({ timeline: scaleTimeline({ root: 48 }) });
+  clock.advance(10);
+  expect(played.map(p => p.midi)).toEqual([60, 62, 52, 50, 52, 54]);
+});
+
+test('counts in before the first note', () => {
+  const clock = fakeClock();
+  const played = [];
+  const counts = [];
+  const counted = [];
+  const scheduler = createScheduler({
+    context: clock.context,
+    timers: clock.timers,
+    schedule: (ev, time) => played.push(+time.toFixed(3)),
+    notify: () => {},
+    silence: () => {},
+    onEnd: () => {},
+    scheduleCount: (beat, time) => counts.push([beat, +time.toFixed(3)]),
+    notifyCount: (beat, beats) => counted.push(`${beat + 1}/${beats}`),
+  });
+  scheduler.play(timeline, { tempo: 120, countIn: 4 });
+  clock.advance(1);
+  expect(counted).toEqual(['1/4', '2/4']);
+  clock.advance(10);
+  expect(counts).toEqual([[0, 0.05], [1, 0.55], [2, 1.05], [3, 1.55]]);
+  expect(counted).toEqual(['1/4', '2/4', '3/4', '4/4']);
+  expect(played[0]).toBe(2.05);
+});
+
+test('carries a loop into the next pass with a new timeline and tempo, and ends on request', () => {
+  const clock = fakeClock();
+  const played = [];
+  let ended = 0;
+  let passes = 0;
+  const scheduler = createScheduler({
+    context: clock.context,
+    timers: clock.timers,
+    schedule: (ev, time) => played.push({ midi: ev.midis[0], time: +time.toFixed(3) }),
+    notify: () => {},
+    silence: () => {},
+    onEnd: () => { ended++; },
+    nextPass: () => (++passes < 2 ? { timeline: scaleTimeline({ root: 61 }), tempo: 60 } : null),
+  });
+  scheduler.play(timeline, { tempo: 120, loop: true });
+  clock.advance(20);
+  expect(played.map(p => p.midi)).toEqual([60, 62, 64, 62, 64, 66, 61, 63, 65, 63, 65, 67]);
+  // The second pass follows on after the breath, at the new tempo.
+  expect(played[6].time).toBe(4.55);
+  expect(played[7].time).toBe(5.55);
+  expect(ended).toBe(1);
+});
+
+test('an event carrying a tempo sets the tempo from there on', () => {
+  const { clock, scheduler, played } = setup();
+  const slower = { ...timeline, events: timeline.events.map((ev, i) => (i === 3 ? { ...ev, tempo: 60 } : ev)) };
+  scheduler.play(slower, { tempo: 120 });
+  clock.advance(10);
+  // From the second iteration on, a beat lasts a second.
+  expect(played.slice(3).map(p => +(p.time - played[3].time).toFixed(3))).toEqual([0, 1, 2]);
+});
@@ -0,0 +1,76 @@
+// ─── Shareable links ─────────────────────────────────────────────────────────
+// The exercise as set up, encoded in the URL hash so a section leader can send
+// one link instead of a list of settings:
+//   #w=arpeggioDescending&part=alto&inst=piano&tempo=96&rhythm=1.5,0.5,…&chord=1&loop=0
+// Reading a link never throws: anything unknown, out of range or out of date
+// (a rhythm whose length no longer matches the pattern) falls back to the
+// default for that setting.
+
+export const DEFAULT_SETTINGS = {
+  warmup: 'majorScale',
+  vocalPart: 'tenor',
+  instrument: 'piano',
+  tempo: 120,
+  rhythm: null,        // null = the exercise's own rhythm
+  chordIntro: false,
+  loop: false,
+  key: null,
+  mode: 'major',
+};
+
+export const MIN_TEMPO = 60;
+export const MAX_TEMPO = 180;
+// Longest note a link may ask for, in beats — as long as the MIDI importer allows.
+const MAX_NOTE_BEATS = 8;
+
+// Own keys only — a link naming "constructor" must not find Object.prototype's.
+const has = (obj, key) => key !== null && Object.prototype.hasOwnProperty.call(obj, key);
+const formatBeats = (b) => String(Math.round(b * 1000) / 1000);
+
+/** Hash for `settings` (same shape as DEFAULT_SETTINGS), without the leading "#". */
+export function encodeShareHash(settings) {
+  const params = new URLSearchParams();
+  params.set('w', settings.warmup);
+  params.set('part', settings.vocalPart);
+  params.set('inst', settings.instrument);
+  params.set('tempo', String(settings.tempo));
+  if (settings.rhythm) params.set('rhythm', settings.rhythm.map(formatBeats).join(','));
+  params.set('chord', settings.chordIntro ? '1' : '0');
+  params.set('loop', settings.loop ? '1' : '0');
+  if (settings.key !== null && settings.key !== undefined) params.set('key', String(settings.key));
+  if (settings.mode && settings.mode !== DEFAULT_SETTINGS.mode) params.set('mode', settings.mode);
+  // Rhythm commas are safe in a fragment; keep them readable.
+  return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Settings from a location hash, or null when it isn't a share link.
+ * `known` lists what exists on this device:
+ *   { exercises: key → exercise, parts: key → part, instruments: [key], chordIntros: key → chord, modes: id → mode }
+ * The rhythm comes back as a full beat array — the exercise's own when the
+ * link doesn't carry a usable one.
+ */
+export function decodeShareHash(hash, known) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  if (!params.has('w')) return null;
+
+  const warmupKey = has(known.exercises, params.get('w')) ? params.get('w') : DEFAULT_SETTINGS.warmup;
+  const warmup = known.exercises[warmupKey];
+
+  const tempo = Math.round(Number(params.get('tempo')));
+  const beats = (params.get('rhythm') || '').split(',').filter(Boolean).map(Number);
+  const rhythmValid = beats.length === warmup.rhythm.length && beats.every(b => Number.isFinite(b) && b > 0 && b <= MAX_NOTE_BEATS);
+  const key = /^\d{1,2}$/.test(params.get('key') || '') ? Number(params.get('key')) : NaN;
+
+  return {
+    warmup: warmupKey,
+    vocalPart: has(known.parts, params.get('part')) ? params.get('part') : DEFAULT_SETTINGS.vocalPart,
+    instrument: known.instruments.includes(params.get('inst')) ? params.get('inst') : DEFAULT_SETTINGS.instrument,
+    tempo: Number.isFinite(tempo) && tempo > 0 ? Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, tempo)) : DEFAULT_SETTINGS.tempo,
+    rhythm: rhythmValid ? beats : [...warmup.rhythm],
+    chordIntro: params.get('chord') === '1' && has(known.chordIntros, warmupKey) && !!known.chordIntros[warmupKey],
+    loop: params.get('loop') === '1',
+    key: Number.isInteger(key) && key >= 0 && key < 12 ? key : DEFAULT_SETTINGS.key,
+    mode: has(known.modes, params.get('mode')) ? params.get('mode') : DEFAULT_SETTINGS.mode,
+  };
+}
@@ -0,0 +1,45 @@
+import { DEFAULT_SETTINGS, decodeShareHash, encodeShareHash } from './shareLink';
+
+const known = {
+  exercises: { majorScale: { rhythm: [1, 1, 2] }, arpeggioDescending: { rhythm: [1, 1, 1, 2] } },
+  parts: { tenor: {}, alto: {} },
+  instruments: ['piano', 'cello'],
+  chordIntros: { arpeggioDescending: [0, 4, 7] },
+  modes: { major: {}, dorian: {} },
+};
+
+const settings = {
+  ...DEFAULT_SETTINGS,
+  warmup: 'arpeggioDescending', vocalPart: 'alto', instrument: 'cello', tempo: 96,
+  rhythm: [1.5, 0.5, 1 / 3, 3], chordIntro: true, loop: true, key: 2, mode: 'dorian',
+};
+
+test('round-trips the full configuration', () => {
+  const hash = encodeShareHash(settings);
+  expect(hash).toBe('w=arpeggioDescending&part=alto&inst=cello&tempo=96&rhythm=1.5,0.5,0.333,3&chord=1&loop=1&key=2&mode=dorian');
+  expect(decodeShareHash('#' + hash, known)).toEqual({ ...settings, rhythm: [1.5, 0.5, 0.333, 3] });
+});
+
+test('leaves the exercise rhythm, key and mode out when they are the defaults', () => {
+  const hash = encodeShareHash({ ...DEFAULT_SETTINGS });
+  expect(hash).toBe('w=majorScale&part=tenor&inst=piano&tempo=120&chord=0&loop=0');
+  expect(decodeShareHash(hash, known)).toEqual({ ...DEFAULT_SETTINGS, rhythm: [1, 1, 2] });
+});
+
+test('ignores hashes that are not share links', () => {
+  expect(decodeShareHash('', known)).toBeNull();
+  expect(decodeShareHash('#section-2', known)).toBeNull();
+});
+
+test('falls back per setting on unknown or invalid values', () => {
+  const decoded = decodeShareHash('#w=arpeggioDescending&part=choir&inst=kazoo&tempo=999&rhythm=1,1,2&chord=1&loop=yes&key=12&mode=locrian', known);
+  expect(decoded).toEqual({
+    ...DEFAULT_SETTINGS, warmup: 'arpeggioDescending', tempo: 180,
+    // Outdated rhythm (wrong length) → the exercise's own.
+    rhythm: [1, 1, 1, 2], chordIntro: true,
+  });
+
+  expect(decodeShareHash('#w=deleted&tempo=abc&rhythm=1,-1,2&chord=1&key=', known)).toEqual({ ...DEFAULT_SETTINGS, rhythm: [1, 1, 2] });
+  // Chord intro only where the exercise has one; prototype keys are not exercises.
+  expect(decodeShareHash('#w=constructor&chord=1&part=toString', known)).toEqual({ ...DEFAULT_SETTINGS, rhythm: [1, 1, 2] });
+});
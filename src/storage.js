@@ -0,0 +1,24 @@
+// ─── Settings storage ────────────────────────────────────────────────────────
+// What the app keeps between visits lives in localStorage as JSON, one
+// `vocal-warmups.<name>` key each. Reads never throw: anything missing or
+// unparsable gives the fallback, and each caller's `validate` keeps only what
+// it recognises. Writes fail quietly, so with storage full or disabled
+// (private mode) settings last for the session only.
+
+/** The value stored under `key`, passed through `validate` — or `fallback` when there's none to read. */
+export function readJson(key, validate, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored === null ? fallback : validate(JSON.parse(stored));
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage full or disabled — the value lasts for this session only.
+  }
+}
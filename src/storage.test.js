@@ -0,0 +1,15 @@
+import { readJson, writeJson } from './storage';
+
+afterEach(() => { localStorage.clear(); });
+
+test('reads back what was written, through the validator', () => {
+  writeJson('vocal-warmups.test', { volume: 2, extra: true });
+  expect(readJson('vocal-warmups.test', stored => ({ volume: Math.min(1, stored.volume) }), null)).toEqual({ volume: 1 });
+});
+
+test('falls back when nothing readable is stored', () => {
+  const fallback = { volume: 0.5 };
+  expect(readJson('vocal-warmups.test', () => ({}), fallback)).toBe(fallback);
+  localStorage.setItem('vocal-warmups.test', '{not json');
+  expect(readJson('vocal-warmups.test', () => ({}), fallback)).toBe(fallback);
+});
@@ -0,0 +1,99 @@
+import { MODES, DEFAULT_MODE, patternSolfege, scaleDegree } from './modes';
+import { readJson, writeJson } from './storage';
+
+// ─── Syllables ───────────────────────────────────────────────────────────────
+// What is sung on each note, chosen per exercise. A preset is stored by name
+// so solfège and scale numbers follow the key and mode; editing a single
+// note turns the exercise's syllables into a custom list. Exercises without
+// a choice sing their own syllables.
+
+const STORAGE_KEY = 'vocal-warmups.syllables';
+
+const patternOf = (warmup) => (warmup.type === 'static' ? warmup.pattern : warmup.basePattern);
+const ownSyllables = (warmup) => (warmup.type === 'static' ? warmup.syllables : warmup.baseSyllables).split(' ');
+
+/** Scale-degree number of a semitone offset in `steps`: 8 for the octave, "♯4" between degrees. */
+export function scaleNumber(semitones, steps) {
+  const { index, degree, raise } = scaleDegree(semitones, steps);
+  // Below the tonic, degrees are named as in the octave above.
+  const number = index >= 0 ? index + 1 : degree + 1;
+  return raise ? `♯${number}` : String(number);
+}
+
+const every = (syllable) => (warmup) => patternOf(warmup).map(() => syllable);
+
+// `apply(warmup, modeId)` gives one syllable per note of the (moded) warmup.
+export const SYLLABLE_PRESETS = [
+  { id: 'original', label: 'Original',  desc: "Restore the exercise's own syllables", apply: (warmup) => ownSyllables(warmup) },
+  { id: 'solfege',  label: 'Solfège',   desc: 'Movable-do names in the current key and mode', apply: (warmup, modeId) => patternSolfege(patternOf(warmup), (MODES[modeId] || MODES[DEFAULT_MODE]).spelling) },
+  { id: 'numbers',  label: 'Numbers',   desc: 'Scale-degree numbers, 8 for the octave', apply: (warmup, modeId) => patternOf(warmup).map(s => scaleNumber(s, (MODES[modeId] || MODES[DEFAULT_MODE]).steps)) },
+  { id: 'ah',       label: 'Ah',        desc: 'Neutral open vowel throughout', apply: every('Ah') },
+  { id: 'oo',       label: 'Oo',        desc: 'Closed, rounded vowel throughout', apply: every('Oo') },
+  { id: 'lipTrill', label: 'Lip trill', desc: 'Lips buzzing on every note', apply: every('Brr') },
+];
+
+/** A typed pattern such as "Noo Zee" repeated across `count` notes. */
+export function repeatSyllables(text, count) {
+  const list = text.trim().split(/\s+/).filter(Boolean);
+  return list.length ? Array.from({ length: count }, (_, i) => list[i % list.length]) : null;
+}
+
+// Syllables are space-separated in exercises, so a typed space joins parts of one syllable.
+export const cleanSyllable = (text) => text.replace(/\s+/g, '-');
+
+export const DEFAULT_SYLLABLE_SETTINGS = { showIpa: false, exercises: {} };
+
+export function loadSyllableSettings() {
+  return readJson(STORAGE_KEY, stored => {
+    if (!stored || typeof stored !== 'object') return { ...DEFAULT_SYLLABLE_SETTINGS };
+    const exercises = {};
+    Object.entries(stored.exercises || {}).forEach(([key, choice]) => {
+      if (SYLLABLE_PRESETS.some(p => p.id === choice?.preset && p.id !== 'original')) exercises[key] = { preset: choice.preset };
+      else if (Array.isArray(choice?.custom)) exercises[key] = { custom: choice.custom.map(s => cleanSyllable(String(s))) };
+    });
+    return { showIpa: stored.showIpa === true, exercises };
+  }, { ...DEFAULT_SYLLABLE_SETTINGS });
+}
+
+export function saveSyllableSettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
+
+/**
+ * `warmup` (already in its mode) singing `choice` — { preset } or { custom }.
+ * A custom list that no longer matches the pattern's length, after the
+ * exercise was edited, is ignored.
+ */
+export function withSyllables(warmup, choice, modeId) {
+  const preset = SYLLABLE_PRESETS.find(p => p.id === choice?.preset);
+  const list = preset ? preset.apply(warmup, modeId) : choice?.custom;
+  if (!list || list.length !== patternOf(warmup).length) return warmup;
+  return warmup.type === 'static' ? { ...warmup, syllables: list.join(' ') } : { ...warmup, baseSyllables: list.join(' ') };
+}
+
+// ─── IPA ─────────────────────────────────────────────────────────────────────
+// A rough broad transcription for warmup syllables: pure Italianate vowels
+// as choirs sing them, English consonants, and a bilabial trill for "Brr".
+const IPA_SPELLINGS = [
+  ['brr', 'ʙ'], ['oo', 'u'], ['ee', 'i'], ['ea', 'i'], ['ah', 'ɑ'], ['aw', 'ɔ'], ['oh', 'o'], ['ay', 'eɪ'],
+  ['oy', 'ɔɪ'], ['ow', 'aʊ'], ['ng', 'ŋ'], ['sh', 'ʃ'], ['ch', 'tʃ'], ['th', 'θ'], ['ph', 'f'], ['qu', 'kw'],
+  ['ck', 'k'], ['a', 'ɑ'], ['c', 'k'], ['j', 'dʒ'], ['x', 'ks'], ['y', 'j'],
+];
+const IPA_NUMBERS = ['', 'wʌn', 'tu', 'θri', 'fɔɹ', 'faɪv', 'sɪks', 'ˈsɛvən', 'eɪt', 'naɪn', 'tɛn', 'ɪˈlɛvən', 'twɛlv', 'θɝˈtin'];
+
+function spell(part) {
+  if (/^\d+$/.test(part)) return IPA_NUMBERS[Number(part)] || part;
+  let ipa = '';
+  for (let i = 0; i < part.length;) {
+    const [letters, sound] = IPA_SPELLINGS.find(([l]) => part.startsWith(l, i)) || [part[i], part[i]];
+    ipa += sound;
+    i += letters.length;
+  }
+  return ipa;
+}
+
+/** "Noo" → "/nu/"; empty for a syllable with nothing to transcribe. */
+export function toIpa(syllable) {
+  const parts = syllable.toLowerCase().split('-').map(p => p.replace(/[^a-z0-9]/g, '')).filter(Boolean);
+  return parts.length ? `/${parts.map(spell).join('.')}/` : '';
+}
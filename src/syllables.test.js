@@ -0,0 +1,41 @@
+import { warmups } from './warmups';
+import { applyMode } from './modes';
+import { SYLLABLE_PRESETS, loadSyllableSettings, repeatSyllables, scaleNumber, toIpa, withSyllables } from './syllables';
+
+afterEach(() => { localStorage.clear(); });
+
+const preset = (id, warmup, mode = 'major') => SYLLABLE_PRESETS.find(p => p.id === id).apply(applyMode(warmup, mode), mode);
+
+test('names notes by solfège or scale number in the current mode', () => {
+  expect(preset('solfege', warmups.triad)).toEqual(['Do', 'Mi', 'Sol', 'Mi', 'Do']);
+  expect(preset('solfege', warmups.triad, 'naturalMinor')).toEqual(['Do', 'Me', 'Sol', 'Me', 'Do']);
+  expect(preset('numbers', warmups.arpeggio)).toEqual(['1', '3', '5', '8', '5', '3', '1']);
+  expect(preset('numbers', warmups.fifthsDescending)).toEqual(['1', '5', '1']);
+  expect(scaleNumber(-5, [0, 2, 4, 5, 7, 9, 11])).toBe('5');
+  expect(scaleNumber(6, [0, 2, 4, 5, 7, 9, 11])).toBe('♯4');
+  expect(preset('lipTrill', warmups.fifths)).toEqual(['Brr', 'Brr', 'Brr', 'Brr', 'Brr']);
+});
+
+test('sings a preset or custom list in place of the exercise\'s own syllables', () => {
+  const minor = applyMode(warmups.triadDescending, 'naturalMinor');
+  expect(withSyllables(minor, { preset: 'solfege' }, 'naturalMinor').baseSyllables).toBe('Do Me Sol Me Do');
+  expect(withSyllables(warmups.triad, { custom: repeatSyllables(' Noo  Zee ', 5) }).syllables).toBe('Noo Zee Noo Zee Noo');
+  // A list left over from before the exercise was edited is ignored.
+  expect(withSyllables(warmups.triad, { custom: ['Noo', 'Zee'] })).toBe(warmups.triad);
+  expect(withSyllables(warmups.triad, undefined)).toBe(warmups.triad);
+  expect(repeatSyllables('   ', 5)).toBe(null);
+});
+
+test('transcribes syllables to IPA', () => {
+  expect(['Noo', 'Zee', 'Ah', 'Sol', 'Ma', 'Brr', 'Nay', '8', 'Ah-ha', '♯4'].map(toIpa))
+    .toEqual(['/nu/', '/zi/', '/ɑ/', '/sol/', '/mɑ/', '/ʙ/', '/neɪ/', '/eɪt/', '/ɑ.hɑ/', '/fɔɹ/']);
+  expect(toIpa('')).toBe('');
+});
+
+test('reads stored choices per exercise, discarding anything unknown', () => {
+  localStorage.setItem('vocal-warmups.syllables', JSON.stringify({
+    showIpa: true,
+    exercises: { triad: { preset: 'numbers' }, arpeggio: { preset: 'original' }, fifths: { custom: ['Noo boo', 3] }, octaveJumps: 'Ha' },
+  }));
+  expect(loadSyllableSettings()).toEqual({ showIpa: true, exercises: { triad: { preset: 'numbers' }, fifths: { custom: ['Noo-boo', '3'] } } });
+});
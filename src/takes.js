@@ -0,0 +1,112 @@
+import { toFileSlug } from './download';
+
+// ─── Recorded takes ──────────────────────────────────────────────────────────
+// The singer's recording of a run, kept with the accompaniment notes that
+// played under it so the two can be heard back together. Recordings are too
+// big for localStorage, so takes live in IndexedDB, indexed by exercise.
+
+const DB_NAME = 'vocal-warmups';
+const DB_VERSION = 1;
+const STORE = 'takes';
+export const WAVEFORM_BUCKETS = 240;
+
+export const isTakeStorageSupported = () => typeof indexedDB !== 'undefined';
+
+export function newTakeId() {
+  return 'take-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Accompaniment timing for a take. Notes arrive stamped with audio-clock
+ * times as they are scheduled; `finish()` maps them onto the recording's own
+ * timeline — seconds from when capture started, with paused stretches cut
+ * out just as MediaRecorder cuts them.
+ */
+export function createTakeLog() {
+  let started = null;
+  let paused = 0;
+  let pausedAt = null;
+  let notes = [];
+  return {
+    start(time) { if (started === null) started = time; },
+    add(note, time) { notes.push({ ...note, time, offset: paused }); },
+    // Notes scheduled ahead of a pause never sound, so they're dropped.
+    pause(time) {
+      pausedAt = time;
+      notes = notes.filter(n => n.time < time);
+    },
+    resume(time) {
+      if (pausedAt === null) return;
+      paused += time - pausedAt;
+      pausedAt = null;
+    },
+    finish() {
+      const origin = started ?? Math.min(...notes.map(n => n.time));
+      return notes
+        .map(({ time, offset, ...note }) => ({ ...note, time: Math.round((time - offset - origin) * 1000) / 1000 }))
+        .sort((a, b) => a.time - b.time);
+    },
+  };
+}
+
+/** Loudest level in each of `buckets` slices of `samples`, scaled so the loudest slice is 1. */
+export function waveformPeaks(samples, buckets = WAVEFORM_BUCKETS) {
+  const count = Math.min(buckets, samples.length);
+  const peaks = Array.from({ length: count }, (_, b) => {
+    const from = Math.floor((b * samples.length) / count);
+    const to = Math.floor(((b + 1) * samples.length) / count);
+    let peak = 0;
+    for (let i = from; i < to; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    return peak;
+  });
+  const loudest = Math.max(...peaks, 0);
+  return loudest > 0 ? peaks.map(p => Math.round((p / loudest) * 100) / 100) : peaks;
+}
+
+const recordingExtension = (mimeType) => {
+  if (mimeType.startsWith('audio/mp4')) return 'm4a';
+  if (mimeType.startsWith('audio/ogg')) return 'ogg';
+  return 'webm';
+};
+
+/** "major-scale-120bpm-2026-10-19-1830.webm", in local time. */
+export function takeFileName(take) {
+  const at = new Date(take.recordedAt);
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}-${pad(at.getHours())}${pad(at.getMinutes())}`;
+  return `${toFileSlug(take.exercise)}-${take.settings.tempo}bpm-${stamp}.${recordingExtension(take.mimeType)}`;
+}
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+function openTakesDb() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+    store.createIndex('warmup', 'warmup');
+  };
+  return request(req);
+}
+
+async function withStore(mode, fn) {
+  const db = await openTakesDb();
+  try {
+    return await request(fn(db.transaction(STORE, mode).objectStore(STORE)));
+  } finally {
+    db.close();
+  }
+}
+
+/** Takes recorded for exercise `warmup`, newest first. */
+export async function loadTakes(warmup) {
+  const takes = await withStore('readonly', store => store.index('warmup').getAll(warmup));
+  return takes.sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+}
+
+export const saveTake = (take) => withStore('readwrite', store => store.put(take));
+
+export const deleteTake = (id) => withStore('readwrite', store => store.delete(id));
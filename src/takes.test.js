@@ -0,0 +1,39 @@
+import { createTakeLog, takeFileName, waveformPeaks } from './takes';
+import { pickRecordingType } from './micInput';
+
+test('maps accompaniment notes onto the recording, cutting out pauses', () => {
+  const log = createTakeLog();
+  log.add({ midis: [60] }, 10.05);
+  log.start(10);
+  log.add({ midis: [62] }, 10.55);
+  log.add({ midis: [64] }, 11.05);
+  // Paused at 10.8: the note scheduled for 11.05 never played.
+  log.pause(10.8);
+  log.resume(15.8);
+  log.add({ midis: [64] }, 15.85);
+  expect(log.finish()).toEqual([
+    { midis: [60], time: 0.05 },
+    { midis: [62], time: 0.55 },
+    { midis: [64], time: 0.85 },
+  ]);
+});
+
+test('reduces a recording to normalised peaks', () => {
+  const samples = new Float32Array([0, 0.1, -0.2, 0.05, 0.4, -0.1, 0, 0]);
+  expect(waveformPeaks(samples, 4)).toEqual([0.25, 0.5, 1, 0]);
+  expect(waveformPeaks(new Float32Array(6), 3)).toEqual([0, 0, 0]);
+  expect(waveformPeaks(new Float32Array([0.5]), 4)).toEqual([1]);
+});
+
+test('names take downloads after the exercise, tempo and time', () => {
+  const recordedAt = new Date(2026, 9, 19, 18, 5).toISOString();
+  expect(takeFileName({ exercise: 'Major Scale', recordedAt, mimeType: 'audio/webm;codecs=opus', settings: { tempo: 96 } }))
+    .toBe('major-scale-96bpm-2026-10-19-1805.webm');
+  expect(takeFileName({ exercise: 'Lip Trill', recordedAt, mimeType: 'audio/mp4', settings: { tempo: 120 } }))
+    .toBe('lip-trill-120bpm-2026-10-19-1805.m4a');
+});
+
+test('records in the first format the browser supports', () => {
+  expect(pickRecordingType(type => type === 'audio/mp4')).toBe('audio/mp4');
+  expect(pickRecordingType(() => false)).toBe('');
+});
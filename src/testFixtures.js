@@ -0,0 +1,12 @@
+import { buildSequences, buildTimeline } from './timeline';
+
+// ─── Test fixtures ───────────────────────────────────────────────────────────
+// A three-note scale stepped up a whole tone — short enough for a test to
+// spell out every event it plays. Shared by the timeline-driven tests.
+
+export const scale = { type: 'ascending', basePattern: [0, 2, 4], rhythm: [1, 1, 2], baseSyllables: 'Do Re Mi', stepSize: 2, iterations: 2 };
+
+/** `scale` placed at `root`, in `rhythm` and for `iterations` steps, after an optional `chord` intro. */
+export function scaleTimeline({ root = 60, rhythm = scale.rhythm, iterations = scale.iterations, chord = null } = {}) {
+  return buildTimeline(buildSequences({ ...scale, iterations }, root, rhythm), { chord });
+}
@@ -0,0 +1,84 @@
+// ─── Exercise timeline ───────────────────────────────────────────────────────
+// Turns a warmup definition into a flat list of events measured in beats.
+// Everything downstream (live scheduler, exports, display) works from beats so
+// tempo stays a playback-time decision.
+
+// Chord intro: two beats of chord, then a short breath before the first note.
+export const CHORD_BEATS = 2;
+export const CHORD_GAP = 0.25;
+// Half-beat breath between sequence iterations.
+export const ITERATION_GAP = 0.5;
+
+/** Semitone transposition of each iteration, in playing order. */
+export function sequenceOffsets(warmup) {
+  const offsets = [];
+  if (warmup.type === 'static') offsets.push(0);
+  else if (warmup.type === 'descending') for (let i = 0; i < warmup.iterations; i++) offsets.push(-(warmup.stepSize * i));
+  else if (warmup.type === 'ascending')  for (let i = 0; i < warmup.iterations; i++) offsets.push(warmup.stepSize * i);
+  else if (warmup.type === 'roundtrip') {
+    for (let i = 0; i < warmup.iterations; i++) offsets.push(-(warmup.stepSize * i));
+    for (let i = warmup.iterations - 2; i >= 0; i--) offsets.push(-(warmup.stepSize * i));
+  }
+  return offsets;
+}
+
+/** "(+2)" / "(-4)" — the label shown next to the syllable; null for the untransposed pass. */
+export function formatOffset(off) {
+  return off ? `(${off > 0 ? '+' : ''}${off})` : null;
+}
+
+export function buildSequences(warmup, rootNote, rhythm) {
+  const pattern = warmup.type === 'static' ? warmup.pattern : warmup.basePattern;
+  const syllables = (warmup.type === 'static' ? warmup.syllables : warmup.baseSyllables).split(' ');
+  return sequenceOffsets(warmup).map(off => ({
+    root: rootNote + off,
+    offset: off,
+    notes: pattern.map(s => rootNote + s + off),
+    rhythm,
+    syllables,
+    label: formatOffset(off),
+  }));
+}
+
+/**
+ * Lays sequences end to end. Each event is
+ *   { kind: 'chord' | 'note', beat, beats, midis, syllable, label, seqIndex, noteIndex }
+ * with `noteIndex` -1 for chord intros. The first event always sits at beat 0.
+ */
+export function buildTimeline(sequences, { chord = null } = {}) {
+  const events = [];
+  const iterations = [];
+  let beat = 0;
+
+  sequences.forEach((seq, seqIndex) => {
+    iterations.push({ label: seq.label, offset: seq.offset, root: seq.root, startIndex: events.length, beat });
+    if (chord) {
+      events.push({ kind: 'chord', beat, beats: CHORD_BEATS, midis: chord.map(s => seq.root + s), syllable: '♩', label: seq.label, seqIndex, noteIndex: -1 });
+      beat += CHORD_BEATS + CHORD_GAP;
+    }
+    seq.notes.forEach((midi, noteIndex) => {
+      const beats = seq.rhythm[noteIndex] ?? 1;
+      events.push({ kind: 'note', beat, beats, midis: [midi], syllable: seq.syllables[noteIndex] || '', label: seq.label, seqIndex, noteIndex });
+      beat += beats;
+    });
+    beat += ITERATION_GAP;
+  });
+
+  return { events, iterations, totalBeats: beat };
+}
+
+/** Wall-clock length of a timeline at `tempo` BPM, trailing breath included. */
+export const timelineSeconds = (timeline, tempo) => (timeline.totalBeats * 60) / tempo;
+
+/**
+ * How the sampled instrument voices an event: the chord a little softer and
+ * held, melody notes released early and left to ring on the sample's decay.
+ * An event's own `gate` (fraction of its length that sounds) and `level`
+ * (velocity multiplier) — set by applyExpression — override that.
+ * Live playback and audio export share it so they sound the same.
+ */
+export function eventSound(ev, secondsPerBeat) {
+  const chord = ev.kind === 'chord';
+  const velocity = Math.round((chord ? 65 : 80) * (ev.level ?? 1));
+  return { velocity: Math.max(1, Math.min(127, velocity)), duration: ev.beats * secondsPerBeat * (ev.gate ?? (chord ? 0.85 : 0.3)) };
+}
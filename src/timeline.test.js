@@ -0,0 +1,28 @@
+import { buildSequences, buildTimeline, sequenceOffsets, CHORD_BEATS, CHORD_GAP, ITERATION_GAP } from './timeline';
+
+const triadRoundTrip = { type: 'roundtrip', basePattern: [0, 4, 7, 4, 0], rhythm: [1, 1, 1, 1, 2], baseSyllables: 'Ma Me Mi Mo Mu', stepSize: 2, iterations: 3 };
+
+test('orders transpositions for each sequence type', () => {
+  expect(sequenceOffsets({ type: 'static' })).toEqual([0]);
+  expect(sequenceOffsets({ type: 'ascending', stepSize: 2, iterations: 3 })).toEqual([0, 2, 4]);
+  expect(sequenceOffsets({ type: 'descending', stepSize: 1, iterations: 3 })).toEqual([-0, -1, -2]);
+  expect(sequenceOffsets(triadRoundTrip)).toEqual([-0, -2, -4, -2, -0]);
+});
+
+test('labels transposed iterations', () => {
+  const seqs = buildSequences({ ...triadRoundTrip, type: 'ascending' }, 48, triadRoundTrip.rhythm);
+  expect(seqs.map(s => s.label)).toEqual([null, '(+2)', '(+4)']);
+  expect(seqs[1].notes).toEqual([50, 54, 57, 54, 50]);
+});
+
+test('lays out notes, chord intros and iteration gaps in beats', () => {
+  const seqs = buildSequences(triadRoundTrip, 48, triadRoundTrip.rhythm);
+  const { events, iterations, totalBeats } = buildTimeline(seqs, { chord: [0, 4, 7] });
+  const perIteration = CHORD_BEATS + CHORD_GAP + 6 + ITERATION_GAP;
+
+  expect(events[0]).toMatchObject({ kind: 'chord', beat: 0, midis: [48, 52, 55], seqIndex: 0, noteIndex: -1 });
+  expect(events[1]).toMatchObject({ kind: 'note', beat: CHORD_BEATS + CHORD_GAP, midis: [48], syllable: 'Ma' });
+  expect(iterations[1]).toMatchObject({ label: '(-2)', root: 46, startIndex: 6, beat: perIteration });
+  expect(events[6].midis).toEqual([46, 50, 53]);
+  expect(totalBeats).toBe(perIteration * 5);
+});
@@ -0,0 +1,110 @@
+import { HIGHEST_NOTE, LOWEST_NOTE, exerciseSpan } from './vocalRange';
+import { sequenceOffsets } from './timeline';
+import { readJson, writeJson } from './storage';
+
+// ─── Progressive training ────────────────────────────────────────────────────
+// A looping run where every pass steps on from the last: faster up to a
+// ceiling, the root moved by a few semitones, more sequence steps. Passes are
+// numbered from 0 and always derived from the current settings, so adjusting
+// the tempo or part mid-run carries into the passes that follow.
+//
+// Tempo and root can instead step on with every sequence step, within a pass
+// as well as across passes. Training steps are then counted across the run —
+// pass × steps per pass + the step — and extra steps per pass don't apply.
+
+const STORAGE_KEY = 'vocal-warmups.training';
+export const MAX_TEMPO_CEILING = 240;
+export const MAX_PASSES = 20;
+export const ROOT_STEPS = [-2, -1, 0, 1, 2];
+
+export const STEP_EVERY = {
+  pass:      { label: 'every pass', unit: 'pass' },
+  iteration: { label: 'every sequence step', unit: 'step' },
+};
+
+export const DEFAULT_TRAINING = { enabled: false, stepEvery: 'pass', tempoStep: 4, tempoCeiling: 160, rootStep: 0, iterationStep: 0, passes: 8 };
+
+const wholeIn = (value, min, max, fallback) => (Number.isInteger(value) && value >= min && value <= max ? value : fallback);
+
+export function loadTrainingSettings() {
+  return readJson(STORAGE_KEY, stored => (stored && typeof stored === 'object' ? {
+    enabled: stored.enabled === true,
+    stepEvery: STEP_EVERY[stored.stepEvery] ? stored.stepEvery : DEFAULT_TRAINING.stepEvery,
+    tempoStep: wholeIn(stored.tempoStep, 0, 20, DEFAULT_TRAINING.tempoStep),
+    tempoCeiling: wholeIn(stored.tempoCeiling, 40, MAX_TEMPO_CEILING, DEFAULT_TRAINING.tempoCeiling),
+    rootStep: ROOT_STEPS.includes(stored.rootStep) ? stored.rootStep : DEFAULT_TRAINING.rootStep,
+    iterationStep: wholeIn(stored.iterationStep, 0, 2, DEFAULT_TRAINING.iterationStep),
+    passes: wholeIn(stored.passes, 2, MAX_PASSES, DEFAULT_TRAINING.passes),
+  } : { ...DEFAULT_TRAINING }), { ...DEFAULT_TRAINING });
+}
+
+export function saveTrainingSettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
+
+const perStep = (training) => training.stepEvery === 'iteration';
+const stepsPerPass = (training, warmup) => (perStep(training) ? sequenceOffsets(warmup).length : 1);
+
+/** The training step pass `pass` of `placement` opens on: the pass itself, or its first sequence step. */
+export const passStep = (training, placement, pass) => pass * stepsPerPass(training, placement.warmup);
+
+/** Tempo for training step `step`: `tempoStep` faster each step, never past the ceiling (or below the starting tempo). */
+export function passTempo(training, tempo, step) {
+  return Math.min(tempo + training.tempoStep * step, Math.max(tempo, training.tempoCeiling));
+}
+
+/**
+ * The exercise placement for pass `pass`: the root moved by `rootStep`
+ * semitones per training step, and sequence exercises given `iterationStep`
+ * more steps when stepping every pass.
+ */
+export function passPlacement(placement, training, pass) {
+  const { warmup } = placement;
+  const extra = warmup.type === 'static' || perStep(training) ? 0 : training.iterationStep * pass;
+  return {
+    ...placement,
+    root: placement.root + training.rootStep * passStep(training, placement, pass),
+    warmup: extra ? { ...warmup, iterations: warmup.iterations + extra } : warmup,
+  };
+}
+
+/**
+ * Whether the run goes on to pass `pass`: under the pass limit, with every
+ * note inside `range` (a singer's own range; the piano's otherwise).
+ */
+export function passWithinLimits(training, placement, pass, range = null) {
+  if (pass >= training.passes) return false;
+  const placed = passPlacement(placement, training, pass);
+  const span = exerciseSpan(placed.warmup);
+  // Stepping every sequence step, the root keeps moving through the pass.
+  const drift = training.rootStep * (stepsPerPass(training, placed.warmup) - 1);
+  return placed.root + span.min + Math.min(0, drift) >= (range?.low ?? LOWEST_NOTE)
+    && placed.root + span.max + Math.max(0, drift) <= (range?.high ?? HIGHEST_NOTE);
+}
+
+/** How many passes the run will make from `placement` before reaching a limit. */
+export function plannedPasses(training, placement, range = null) {
+  let passes = 1;
+  while (passWithinLimits(training, placement, passes, range)) passes++;
+  return passes;
+}
+
+/**
+ * Stepping every sequence step: the timeline of a pass opening on training
+ * step `firstStep` with each later iteration moved on by `rootStep` more
+ * semitones, and each iteration's first event carrying its own `tempo` for
+ * the scheduler. Stepping every pass, the timeline is returned as it is.
+ */
+export function steppedTimeline(timeline, training, tempo, firstStep) {
+  if (!perStep(training)) return timeline;
+  const starts = new Set(timeline.iterations.map(it => it.startIndex));
+  return {
+    ...timeline,
+    iterations: timeline.iterations.map((it, seqIndex) => ({ ...it, root: it.root + training.rootStep * seqIndex })),
+    events: timeline.events.map((ev, i) => ({
+      ...ev,
+      midis: ev.midis.map(m => m + training.rootStep * ev.seqIndex),
+      ...(starts.has(i) && { tempo: passTempo(training, tempo, firstStep + ev.seqIndex) }),
+    })),
+  };
+}
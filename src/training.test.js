@@ -0,0 +1,58 @@
+import { DEFAULT_TRAINING, passPlacement, passStep, passTempo, passWithinLimits, plannedPasses, steppedTimeline } from './training';
+import { scale, scaleTimeline } from './testFixtures';
+
+const warmup = { ...scale, iterations: 3 };
+const placement = { warmup, root: 60, trimmed: 0, fits: true };
+const training = { ...DEFAULT_TRAINING, enabled: true, tempoStep: 4, tempoCeiling: 100, rootStep: 1, iterationStep: 1, passes: 5 };
+
+test('steps the tempo up each pass until the ceiling', () => {
+  expect([0, 1, 2, 3, 4].map(pass => passTempo(training, 90, pass))).toEqual([90, 94, 98, 100, 100]);
+  // A ceiling below the starting tempo holds it rather than slowing down.
+  expect(passTempo(training, 120, 3)).toBe(120);
+});
+
+test('moves the root and adds sequence steps each pass', () => {
+  const third = passPlacement(placement, training, 2);
+  expect(third.root).toBe(62);
+  expect(third.warmup.iterations).toBe(5);
+  expect(passPlacement(placement, training, 0)).toEqual(placement);
+
+  const held = { ...placement, warmup: { type: 'static', pattern: [0, 4, 7], rhythm: [1, 1, 1] } };
+  expect(passPlacement(held, training, 2).warmup).toBe(held.warmup);
+});
+
+test('stops at the pass limit or where the exercise would leave the range', () => {
+  expect(passWithinLimits(training, placement, 4)).toBe(true);
+  expect(passWithinLimits(training, placement, 5)).toBe(false);
+  // Pass 2 reaches 62 + 4 + 2×4 = 74; pass 3 would reach 63 + 4 + 2×5 = 77.
+  const range = { low: 60, high: 75 };
+  expect(passWithinLimits(training, placement, 2, range)).toBe(true);
+  expect(passWithinLimits(training, placement, 3, range)).toBe(false);
+  expect(passWithinLimits({ ...training, rootStep: -1 }, placement, 1, range)).toBe(false);
+
+  expect(plannedPasses(training, placement)).toBe(5);
+  expect(plannedPasses(training, placement, range)).toBe(3);
+  // The first pass always plays, even when it already fills the range.
+  expect(plannedPasses(training, placement, { low: 60, high: 68 })).toBe(1);
+});
+
+test('can step tempo and root on with every sequence step instead', () => {
+  const stepped = { ...training, stepEvery: 'iteration' };
+  // Three sequence steps a pass, so the second pass opens on step 3.
+  expect(passStep(stepped, placement, 1)).toBe(3);
+  const second = passPlacement(placement, stepped, 1);
+  expect(second.root).toBe(63);
+  expect(second.warmup).toBe(warmup);
+
+  const timeline = scaleTimeline({ iterations: 3 });
+  const first = steppedTimeline(timeline, stepped, 90, 0);
+  expect(first.iterations.map(it => it.root)).toEqual([60, 63, 66]);
+  expect(first.events.map(ev => ev.midis[0])).toEqual([60, 62, 64, 63, 65, 67, 66, 68, 70]);
+  expect(first.events.map(ev => ev.tempo)).toEqual([90, undefined, undefined, 94, undefined, undefined, 98, undefined, undefined]);
+  expect(steppedTimeline(timeline, stepped, 90, 3).events[0].tempo).toBe(100);
+  expect(steppedTimeline(timeline, training, 90, 3)).toBe(timeline);
+
+  // The root keeps rising through the pass: the first reaches 60 + 8 + 2, the second 63 + 8 + 2.
+  expect(passWithinLimits(stepped, placement, 0, { low: 60, high: 72 })).toBe(true);
+  expect(passWithinLimits(stepped, placement, 1, { low: 60, high: 72 })).toBe(false);
+});
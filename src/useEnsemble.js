@@ -0,0 +1,145 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { vocalRanges, partLabel } from './warmups';
+import { placeExercise } from './vocalRange';
+import { createInstrument, sampleStorage } from './instruments';
+import {
+  ENSEMBLE_PARTS, isAudible, loadEnsembleSettings, partSettings, partSound, partTrack, saveEnsembleSettings,
+} from './ensemble';
+
+// ─── useEnsemble ─────────────────────────────────────────────────────────────
+// The parts following `lead` in ensemble mode: their settings, their loaded
+// instruments and the mix. The scheduler is created once, so everything it
+// calls reads what's playing through a ref rather than the render it was
+// created in.
+export default function useEnsemble({ audioContextRef, lead, leadColor, warmup, keyPc, basePlacement, mode }) {
+  const [ensemble, setEnsemble]       = useState(loadEnsembleSettings);
+  const [partNotes, setPartNotes]     = useState([]); // [{ part, midi, color, held }] lit in ensemble mode
+  const [partLoad, setPartLoad]       = useState({}); // part → 'loading' | 'ready' | 'error'
+  const [partAttempt, setPartAttempt] = useState(0); // bumped by a part's Retry
+  const partInstrumentsRef = useRef(new Map()); // part → { key, instrument, ready } for ensemble parts
+  const partTracksRef      = useRef(new WeakMap()); // timeline → Map of part tracks
+  const ensembleRef        = useRef(null); // what the scheduler plays in ensemble mode, or null
+
+  // The parts following the lead, each offset by where its own root would be.
+  const ensembleVoices = useMemo(() => {
+    if (!ensemble.enabled) return [];
+    return ENSEMBLE_PARTS.filter(key => key !== lead && partSettings(ensemble, key).on).map(key => ({
+      key,
+      color: vocalRanges[key].color,
+      harmony: partSettings(ensemble, key).harmony,
+      offset: placeExercise(warmup, vocalRanges[key], keyPc).root - basePlacement.root,
+      mode,
+    }));
+  }, [ensemble, lead, warmup, keyPc, basePlacement, mode]);
+
+  ensembleRef.current = ensemble.enabled
+    ? { settings: ensemble, lead, leadColor, voices: ensembleVoices, keys: [lead, ...ensembleVoices.map(v => v.key)] }
+    : null;
+
+  const partTrackFor = (tl, voice) => {
+    if (!partTracksRef.current.has(tl)) partTracksRef.current.set(tl, new Map());
+    const tracks = partTracksRef.current.get(tl);
+    const key = `${voice.key}:${voice.harmony}:${voice.offset}:${voice.mode}`;
+    if (!tracks.has(key)) tracks.set(key, partTrack(tl, voice));
+    return tracks.get(key);
+  };
+
+  // Velocity scale for a part: its volume, or 0 when muted or another part is soloed.
+  const partLevel = (key) => {
+    const { settings, keys } = ensembleRef.current;
+    return isAudible(settings, key, keys) ? partSettings(settings, key).volume : 0;
+  };
+
+  /** The lead's velocity scale — 1 outside ensemble mode. */
+  const leadLevel = () => (ensembleRef.current ? partLevel(ensembleRef.current.lead) : 1);
+
+  const setEnsembleEnabled = (enabled) => setEnsemble(e => ({ ...e, enabled }));
+  const updatePart = (key, changes) => setEnsemble(e => ({ ...e, parts: { ...e.parts, [key]: { ...partSettings(e, key), ...changes } } }));
+  const retryParts = () => setPartAttempt(n => n + 1);
+
+  useEffect(() => { saveEnsembleSettings(ensemble); }, [ensemble]);
+
+  // One instrument per following part, loaded while the ensemble is on and
+  // swapped when its pick changes. One that failed is loaded again on Retry.
+  const partInstrumentKeys = ensembleVoices.map(v => `${v.key}:${partSettings(ensemble, v.key).instrument}`).join(',');
+  useEffect(() => {
+    const context = audioContextRef.current;
+    if (!context) return;
+    const loaded = partInstrumentsRef.current;
+    const wanted = new Map(partInstrumentKeys ? partInstrumentKeys.split(',').map(entry => entry.split(':')) : []);
+    loaded.forEach((entry, key) => {
+      if (wanted.get(key) === entry.key) return;
+      entry.instrument.stop();
+      loaded.delete(key);
+    });
+    wanted.forEach((instrumentKey, key) => {
+      if (loaded.has(key)) return;
+      const entry = { key: instrumentKey, instrument: createInstrument(context, instrumentKey, sampleStorage()), ready: false };
+      loaded.set(key, entry);
+      setPartLoad(s => ({ ...s, [key]: 'loading' }));
+      entry.instrument.load.then(
+        () => {
+          entry.ready = true;
+          if (loaded.get(key) === entry) setPartLoad(s => ({ ...s, [key]: 'ready' }));
+        },
+        () => {
+          if (loaded.get(key) !== entry) return;
+          loaded.delete(key);
+          setPartLoad(s => ({ ...s, [key]: 'error' }));
+        },
+      );
+    });
+  }, [audioContextRef, partInstrumentKeys, partAttempt]);
+
+  /** A part's instrument once it's loaded, or null. */
+  const partInstrument = (key) => {
+    const entry = key && partInstrumentsRef.current.get(key);
+    return entry?.ready ? entry.instrument : null;
+  };
+
+  return {
+    ensemble, setEnsembleEnabled, updatePart, retryParts, partLoad, partNotes,
+    ensembleVoices, partTrackFor, leadLevel, partInstrument,
+    /** Every part instrument that's loaded. */
+    partInstruments: () => [...partInstrumentsRef.current.values()].filter(entry => entry.ready).map(entry => entry.instrument),
+    /** Scheduler hook: sounds the parts following `ev` of `tl`, and returns what each played. */
+    scheduleParts: (ev, time, spb, tl) => {
+      const played = [];
+      ensembleRef.current?.voices.forEach(voice => {
+        const sung = partTrackFor(tl, voice).get(ev);
+        const instrument = partInstrument(voice.key);
+        const level = partLevel(voice.key);
+        if (!sung || !instrument || level === 0) return;
+        const sound = partSound(ev, sung, voice.harmony, spb);
+        const velocity = Math.round(sound.velocity * level);
+        sung.midis.forEach(note => instrument.start({ note, velocity, time, duration: sound.duration }));
+        played.push({ part: voice.key, midis: sung.midis, velocity, duration: sound.duration });
+      });
+      return played;
+    },
+    // Keys lit in each audible part's colour. A drone stays lit until the
+    // part's next entry replaces it.
+    litParts: (ev, tl) => {
+      const ens = ensembleRef.current;
+      if (!ens) return;
+      const lit = [];
+      if (partLevel(ens.lead) > 0) ev.midis.forEach(midi => lit.push({ part: ens.lead, midi, color: ens.leadColor, held: false }));
+      ens.voices.forEach(voice => {
+        const sung = partTrackFor(tl, voice).get(ev);
+        if (sung && partLevel(voice.key) > 0) sung.midis.forEach(midi => lit.push({ part: voice.key, midi, color: voice.color, held: voice.harmony === 'drone' }));
+      });
+      setPartNotes(prev => [...prev.filter(n => n.held && partLevel(n.part) > 0 && !lit.some(l => l.part === n.part)), ...lit]);
+    },
+    releaseParts: () => setPartNotes(lit => lit.filter(n => n.held)),
+    clearParts: () => setPartNotes([]),
+    silenceParts: () => partInstrumentsRef.current.forEach(entry => entry.instrument.stop()),
+    /** The parts following the lead over `tl`, as exports take them. */
+    exportParts: (tl) => ensembleVoices.map(voice => ({
+      name: partLabel(voice.key, vocalRanges[voice.key]),
+      instrument: partSettings(ensemble, voice.key).instrument,
+      track: partTrackFor(tl, voice),
+      harmony: voice.harmony,
+      level: partLevel(voice.key),
+    })),
+  };
+}
@@ -0,0 +1,63 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  BEATS_PER_BAR, countInLevel, createClick, loadMetronomeSettings, metronomeTrack, saveMetronomeSettings,
+} from './metronome';
+
+// ─── useMetronome ────────────────────────────────────────────────────────────
+// The metronome's settings and click voice. The scheduler is created once, so
+// everything it calls reads the settings through a ref rather than the render
+// it was created in.
+export default function useMetronome(audioContextRef) {
+  const [metronome, setMetronome] = useState(loadMetronomeSettings);
+  const clickRef       = useRef(null); // click voice, created with the audio context
+  const clickTracksRef = useRef(new WeakMap()); // timeline → its click track
+  const metronomeRef   = useRef(metronome);
+  metronomeRef.current = metronome;
+
+  const getClick = () => {
+    if (!clickRef.current) clickRef.current = createClick(audioContextRef.current, metronomeRef.current.volume);
+    return clickRef.current;
+  };
+
+  // Tracks are cached per timeline — routine steps bring their own — and
+  // rebuilt when the subdivision or accent changes.
+  const clickTrackFor = (tl) => {
+    const { subdivision, accent } = metronomeRef.current;
+    const key = `${subdivision}:${accent}`;
+    let cached = clickTracksRef.current.get(tl);
+    if (!cached || cached.key !== key) {
+      cached = { key, track: metronomeTrack(tl, { subdivision, accent }) };
+      clickTracksRef.current.set(tl, cached);
+    }
+    return cached.track;
+  };
+
+  const countInBeats = () => metronomeRef.current.countInBars * BEATS_PER_BAR;
+
+  const updateMetronome = (changes) => setMetronome(m => ({ ...m, ...changes }));
+
+  useEffect(() => { saveMetronomeSettings(metronome); }, [metronome]);
+  useEffect(() => { clickRef.current?.setVolume(metronome.volume); }, [metronome.volume]);
+
+  return {
+    metronome,
+    updateMetronome,
+    countInBeats,
+    /** Scheduler hook: the clicks that fall during `ev` of `tl`, when the metronome is on. */
+    scheduleClicks: (ev, time, spb, tl) => {
+      if (metronomeRef.current.enabled) clickTrackFor(tl).get(ev)?.forEach(c => getClick().play(time + c.offset * spb, c.level));
+    },
+    scheduleCount: (beat, time) => getClick().play(time, countInLevel(beat, metronomeRef.current.accent)),
+    silenceClicks: () => clickRef.current?.silence(),
+    /** The metronome as heard live over `tl`, for a rendered track: clicks when it's on, and the count-in. */
+    renderLayer: (tl) => {
+      if (!metronome.enabled && !metronome.countInBars) return null;
+      return {
+        clicks: metronome.enabled ? clickTrackFor(tl) : null,
+        countIn: countInBeats(),
+        accent: metronome.accent,
+        volume: metronome.volume,
+      };
+    },
+  };
+}
@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  loadTrainingSettings, passPlacement, passStep, passTempo, passWithinLimits, plannedPasses, saveTrainingSettings, steppedTimeline,
+} from './training';
+
+// ─── useTraining ─────────────────────────────────────────────────────────────
+// A progressive training run: the settings, the pass playing, and how the
+// exercise's placement, tempo and timeline move on with it. Training runs
+// while `looping` — Loop on, no routine playing — and the run ends at its
+// limit, or at the edge of `range` for a personal range profile.
+export default function useTraining({ basePlacement, tempo, looping, currentIteration, range }) {
+  const [training, setTraining]             = useState(loadTrainingSettings);
+  const [trainingPass, setTrainingPass]     = useState(null); // pass number while a training run plays
+  const [trainingResult, setTrainingResult] = useState(null); // { passes, tempo } once a run reaches its limit
+  const passTimelinesRef = useRef(new WeakMap()); // timeline → training pass, until its first event is heard
+
+  const trainingActive = training.enabled && looping;
+
+  const placement = useMemo(
+    () => (trainingPass ? passPlacement(basePlacement, training, trainingPass) : basePlacement),
+    [basePlacement, training, trainingPass],
+  );
+  // Stepping every sequence step, the tempo and root also move on with the iteration playing.
+  const iterationSteps = training.stepEvery === 'iteration' ? Math.max(0, currentIteration) : 0;
+  const trainingStep = trainingPass === null ? null : passStep(training, basePlacement, trainingPass) + iterationSteps;
+  const playTempo = trainingStep === null ? tempo : passTempo(training, tempo, trainingStep);
+  const playRoot = placement.root + training.rootStep * iterationSteps;
+  const planned = plannedPasses(training, basePlacement, range);
+
+  /** `built`, the exercise at `placement`, with the tempo changes of the pass playing. */
+  const passTimeline = useCallback(
+    (built) => (trainingPass === null ? built : steppedTimeline(built, training, tempo, passStep(training, basePlacement, trainingPass))),
+    [training, tempo, basePlacement, trainingPass],
+  );
+
+  /** Starts a run — when training is active — and returns what the scheduler should play first. */
+  const startRun = (timeline) => {
+    setTrainingResult(null);
+    setTrainingPass(trainingActive ? 0 : null);
+    return trainingActive ? steppedTimeline(timeline, training, tempo, 0) : timeline;
+  };
+
+  const endRun = (completed) => {
+    if (completed && trainingPass !== null) setTrainingResult({ passes: trainingPass + 1, tempo: playTempo });
+    setTrainingPass(null);
+  };
+
+  /** Scheduler hook: what follows the pass playing — `build(placement)` stepped on — or null at the limit. */
+  const nextPass = (build) => {
+    if (trainingPass === null) return {};
+    const pass = trainingPass + 1;
+    if (!passWithinLimits(training, basePlacement, pass, range)) return null;
+    const step = passStep(training, basePlacement, pass);
+    const next = steppedTimeline(build(passPlacement(basePlacement, training, pass)), training, tempo, step);
+    passTimelinesRef.current.set(next, pass);
+    return { timeline: next, tempo: passTempo(training, tempo, step) };
+  };
+
+  // The scheduler asks for the next pass a lookahead early, so the pass shown
+  // moves on only once the new pass's first event is heard.
+  const passHeard = (tl) => {
+    if (!passTimelinesRef.current.has(tl)) return;
+    setTrainingPass(passTimelinesRef.current.get(tl));
+    passTimelinesRef.current.delete(tl);
+  };
+
+  const updateTraining = (changes) => setTraining(t => ({ ...t, ...changes }));
+
+  useEffect(() => { saveTrainingSettings(training); }, [training]);
+
+  return {
+    training, updateTraining, trainingActive, trainingPass, trainingResult,
+    placement, playTempo, playRoot, planned, passTimeline, startRun, endRun, nextPass, passHeard,
+  };
+}
@@ -0,0 +1,112 @@
+import { readJson, writeJson } from './storage';
+import { sequenceOffsets } from './timeline';
+
+// ─── Personal range profile ──────────────────────────────────────────────────
+// A singer's lowest and highest comfortable notes (MIDI numbers). Shown as an
+// extra vocal part next to the five presets; exercises played in it are fitted
+// so no note leaves the range.
+
+const STORAGE_KEY = 'vocal-warmups.range-profile';
+export const PROFILE_COLOR = '#0891b2';
+export const LOWEST_NOTE = 21;   // A0 — bottom of a piano
+export const HIGHEST_NOTE = 108; // C8
+
+const ACCIDENTAL_PITCHES = [1, 3, 6, 8, 10];
+const isAccidental = (midi) => ACCIDENTAL_PITCHES.includes(((midi % 12) + 12) % 12);
+// react-piano only accepts natural notes as the ends of its range.
+export const naturalAtOrBelow = (midi) => (isAccidental(midi) ? midi - 1 : midi);
+export const naturalAtOrAbove = (midi) => (isAccidental(midi) ? midi + 1 : midi);
+
+export function isValidProfile(p) {
+  return !!p && Number.isInteger(p.low) && Number.isInteger(p.high)
+    && p.low >= LOWEST_NOTE && p.high <= HIGHEST_NOTE && p.low < p.high;
+}
+
+export function loadRangeProfile() {
+  return readJson(STORAGE_KEY, stored => (isValidProfile(stored) ? { low: stored.low, high: stored.high } : null), null);
+}
+
+/** Stores `profile`, or `null` once it's cleared. */
+export function saveRangeProfile(profile) {
+  writeJson(STORAGE_KEY, profile ?? null);
+}
+
+// How far past the singer's range the keyboard extends, so the shaded
+// out-of-range area is actually visible.
+const DISPLAY_MARGIN = 4;
+
+// Bass clef for low voices, octave-treble for tenor-like ranges, treble above.
+function clefForRange({ low, high }) {
+  const middle = (low + high) / 2;
+  if (middle >= 62) return 'treble';
+  return middle >= 56 ? 'treble8' : 'bass';
+}
+
+/** The profile in `vocalRanges` shape, plus the `range` that bounds exercises. */
+export function profileToPart(profile) {
+  return {
+    root: profile.low,
+    color: PROFILE_COLOR,
+    label: 'My Range',
+    clef: clefForRange(profile),
+    range: profile,
+    displayRange: {
+      first: naturalAtOrBelow(Math.max(LOWEST_NOTE, profile.low - DISPLAY_MARGIN)),
+      last: naturalAtOrAbove(Math.min(HIGHEST_NOTE, profile.high + DISPLAY_MARGIN)),
+    },
+  };
+}
+
+/** Lowest and highest semitone, relative to the root, that the whole exercise reaches. */
+export function exerciseSpan(warmup) {
+  const pattern = warmup.type === 'static' ? warmup.pattern : warmup.basePattern;
+  const offsets = sequenceOffsets(warmup);
+  return {
+    min: Math.min(...pattern) + Math.min(...offsets),
+    max: Math.max(...pattern) + Math.max(...offsets),
+  };
+}
+
+// First note at or above `midi` with pitch class `keyPc` (any note when null).
+const atOrAboveInKey = (midi, keyPc) => (keyPc === null ? midi : midi + ((((keyPc - midi) % 12) + 12) % 12));
+
+/**
+ * Fits an exercise into `range`: drops trailing iterations until the whole
+ * exercise fits, then picks the root that puts its lowest note on the singer's
+ * lowest note — or, with a key (`keyPc`), the first root in that key above it.
+ * Ascending exercises therefore start at the bottom and descending ones start
+ * high enough to finish there.
+ *
+ * `fits` is false when not even a single pass can be placed inside the range.
+ */
+export function fitToRange(warmup, range, keyPc = null) {
+  const counts = warmup.type === 'static' ? [1] : Array.from({ length: warmup.iterations }, (_, i) => warmup.iterations - i);
+  let placed;
+  for (const count of counts) {
+    const fitted = warmup.type === 'static' || count === warmup.iterations ? warmup : { ...warmup, iterations: count };
+    const span = exerciseSpan(fitted);
+    const root = atOrAboveInKey(range.low - span.min, keyPc);
+    placed = {
+      warmup: fitted,
+      root,
+      trimmed: warmup.type === 'static' ? 0 : warmup.iterations - count,
+      fits: root + span.max <= range.high,
+    };
+    if (placed.fits) return placed;
+  }
+  return placed;
+}
+
+// A chosen key may pull a preset's root down this far; otherwise it moves up.
+const KEY_DIP = 2;
+
+/**
+ * Root and (possibly trimmed) exercise for playing `warmup` in vocal part
+ * `part`, optionally in the key with pitch class `keyPc`. Presets take the
+ * first root in the key from just below their own.
+ */
+export function placeExercise(warmup, part, keyPc = null) {
+  if (part.range) return fitToRange(warmup, part.range, keyPc);
+  const root = keyPc === null ? part.root : atOrAboveInKey(part.root - KEY_DIP, keyPc);
+  return { warmup, root, trimmed: 0, fits: true };
+}
@@ -0,0 +1,49 @@
+import { fitToRange, exerciseSpan, placeExercise, profileToPart } from './vocalRange';
+
+const majorScaleAscending = { type: 'ascending', basePattern: [0, 2, 4, 5, 7, 9, 11, 12, 11, 9, 7, 5, 4, 2, 0], stepSize: 1, iterations: 12 };
+const triadDescending = { type: 'descending', basePattern: [0, 4, 7, 4, 0], stepSize: 2, iterations: 5 };
+
+const notesOf = ({ warmup, root }) => {
+  const { min, max } = exerciseSpan(warmup);
+  return { low: root + min, high: root + max };
+};
+
+test('trims iterations so an ascending scale stays inside the range', () => {
+  const range = { low: 48, high: 67 }; // C3–G4
+  const fit = fitToRange(majorScaleAscending, range);
+  expect(fit.warmup.iterations).toBe(8);
+  expect(fit.trimmed).toBe(4);
+  expect(fit.root).toBe(48);
+  expect(notesOf(fit)).toEqual({ low: 48, high: 67 });
+});
+
+test('starts descending exercises high enough to finish on the lowest note', () => {
+  const fit = fitToRange(triadDescending, { low: 55, high: 79 });
+  expect(fit.trimmed).toBe(0);
+  expect(fit.root).toBe(63);
+  expect(notesOf(fit).low).toBe(55);
+});
+
+test('flags patterns wider than the range', () => {
+  const fit = fitToRange({ type: 'static', pattern: [0, 12, 0] }, { low: 60, high: 67 });
+  expect(fit.fits).toBe(false);
+  expect(fit.root).toBe(60);
+});
+
+test('pads the keyboard to natural notes around the range', () => {
+  expect(profileToPart({ low: 50, high: 66 }).displayRange).toEqual({ first: 45, last: 71 });
+});
+
+test('moves the root into a chosen key', () => {
+  const tenor = { root: 48 }; // C3
+  expect(placeExercise(triadDescending, tenor).root).toBe(48);
+  expect(placeExercise(triadDescending, tenor, 2).root).toBe(50);  // D3
+  expect(placeExercise(triadDescending, tenor, 10).root).toBe(46); // B♭2, just below
+  expect(placeExercise(triadDescending, tenor, 9).root).toBe(57);  // A3
+
+  const mine = profileToPart({ low: 55, high: 79 });
+  const inD = placeExercise(triadDescending, mine, 2);
+  expect(inD.root % 12).toBe(2);
+  expect(notesOf(inD).low).toBeGreaterThanOrEqual(55);
+  expect(notesOf(inD).high).toBeLessThanOrEqual(79);
+});
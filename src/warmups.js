@@ -0,0 +1,85 @@
+import { MidiNumbers } from 'react-piano';
+
+// ─── Chord intro definitions ─────────────────────────────────────────────────
+// Semitone offsets from root played simultaneously before the exercise begins.
+// Convention: tonic triad (root, 3rd, 5th) is standard choral "tuning chord".
+// Fifths exercises use root + 5th since that's the interval being drilled.
+// Octave jumps omitted — it's a unison exercise, no chord intro makes sense.
+export const CHORD_INTROS = {
+  majorScale:           [0, 4, 7],
+  majorScaleDescending: [0, 4, 7],
+  majorScaleAscending:  [0, 4, 7],
+  arpeggio:             [0, 4, 7],
+  arpeggioDescending:   [0, 4, 7],
+  arpeggioAscending:    [0, 4, 7],
+  triad:                [0, 4, 7],
+  triadDescending:      [0, 4, 7],
+  triadAscending:       [0, 4, 7],
+  triadRoundTrip:       [0, 4, 7],
+  fifths:               [0, 7],
+  fifthsDescending:     [0, 7],
+  fifthsAscending:      [0, 7],
+  fifthsRoundTrip:      [0, 7],
+};
+
+// ─── Rhythm presets ──────────────────────────────────────────────────────────
+export const RHYTHM_PRESETS = [
+  { id: 'original',   label: 'Original',   desc: "Restore the exercise's default rhythm",          apply: (base) => [...base] },
+  { id: 'even',       label: 'Even',       desc: 'All notes equal — good for learning pitches',     apply: (base) => base.map(() => 1) },
+  { id: 'first-held', label: 'Hold 1st',   desc: 'First note long, rest quick — classic choral entry', apply: (base) => base.map((_, i) => i === 0 ? 3 : 0.5) },
+  { id: 'last-held',  label: 'Hold Last',  desc: 'Last note stretched — builds breath support',    apply: (base) => base.map((_, i) => i === base.length - 1 ? 3 : 1) },
+  { id: 'dotted',     label: 'Dotted',     desc: 'Long–short pairs — forward momentum',            apply: (base) => base.map((_, i) => i % 2 === 0 ? 1.5 : 0.5) },
+  { id: 'staccato',   label: 'Staccato',   desc: 'Short, detached — crisp articulation',           apply: (base) => base.map(() => 0.5) },
+];
+
+// Duration levels user can cycle through per note block
+export const DURATION_LEVELS = [
+  { value: 0.25, label: '¼' },
+  { value: 0.5,  label: '½' },
+  { value: 1,    label: '1' },
+  { value: 1.5,  label: '1½' },
+  { value: 2,    label: '2' },
+  { value: 3,    label: '3' },
+];
+
+export function nearestLevel(val) {
+  return DURATION_LEVELS.reduce((prev, curr) =>
+    Math.abs(curr.value - val) < Math.abs(prev.value - val) ? curr : prev
+  );
+}
+export function nextLevel(val) {
+  const idx = DURATION_LEVELS.findIndex(l => l.value === nearestLevel(val).value);
+  return DURATION_LEVELS[(idx + 1) % DURATION_LEVELS.length].value;
+}
+
+// ─── Warmup data ─────────────────────────────────────────────────────────────
+// `intervals: true` marks interval drills: their pattern is the interval being
+// practised, not a run of scale degrees, so modes leave it as written.
+export const warmups = {
+  majorScale:           { name: 'Major Scale',            type: 'static',    pattern: [0,2,4,5,7,9,11,12,11,9,7,5,4,2,0], rhythm: [1,1,1,1,1,1,1,2,1,1,1,1,1,1,2], syllables: 'Do Re Mi Fa Sol La Ti Do Ti La Sol Fa Mi Re Do' },
+  arpeggio:             { name: 'Major Arpeggio',          type: 'static',    pattern: [0,4,7,12,7,4,0],                    rhythm: [1,1,1,2,1,1,2],                  syllables: 'Do Mi Sol Do Sol Mi Do' },
+  fifths:               { name: 'Ascending Fifths',        type: 'static',    pattern: [0,7,0,7,0],                         rhythm: [2,2,2,2,4],                      syllables: 'Ah Ah Ah Ah Ah', intervals: true },
+  octaveJumps:          { name: 'Octave Jumps',            type: 'static',    pattern: [0,12,0,12,0],                       rhythm: [1,1,1,1,4],                      syllables: 'Ha Ha Ha Ha Ha', intervals: true },
+  triad:                { name: 'Triad (1–3–5–3–1)',       type: 'static',    pattern: [0,4,7,4,0],                         rhythm: [1,1,1,1,2],                      syllables: 'Ma Me Mi Mo Mu' },
+  triadDescending:      { name: 'Triad – Descending',      type: 'descending',  basePattern: [0,4,7,4,0],   rhythm: [1,1,1,1,2], baseSyllables: 'Ma Me Mi Mo Mu', stepSize: 2, iterations: 5 },
+  fifthsDescending:     { name: 'Fifths – Descending',     type: 'descending',  basePattern: [0,7,0],        rhythm: [2,2,4],    baseSyllables: 'Ah Ah Ah',       stepSize: 2, iterations: 6, intervals: true },
+  majorScaleDescending: { name: 'Major Scale – Descending',type: 'descending',  basePattern: [0,2,4,5,7,9,11,12,11,9,7,5,4,2,0], rhythm: [1,1,1,1,1,1,1,2,1,1,1,1,1,1,2], baseSyllables: 'Do Re Mi Fa Sol La Ti Do Ti La Sol Fa Mi Re Do', stepSize: 1, iterations: 12 },
+  arpeggioDescending:   { name: 'Arpeggio – Descending',   type: 'descending',  basePattern: [0,4,7,12,7,4,0], rhythm: [1,1,1,2,1,1,2], baseSyllables: 'Do Mi Sol Do Sol Mi Do', stepSize: 2, iterations: 6 },
+  triadAscending:       { name: 'Triad – Ascending',       type: 'ascending',   basePattern: [0,4,7,4,0],   rhythm: [1,1,1,1,2], baseSyllables: 'Ma Me Mi Mo Mu', stepSize: 2, iterations: 5 },
+  fifthsAscending:      { name: 'Fifths – Ascending',      type: 'ascending',   basePattern: [0,7,0],        rhythm: [2,2,4],    baseSyllables: 'Ah Ah Ah',       stepSize: 2, iterations: 6, intervals: true },
+  majorScaleAscending:  { name: 'Major Scale – Ascending', type: 'ascending',   basePattern: [0,2,4,5,7,9,11,12,11,9,7,5,4,2,0], rhythm: [1,1,1,1,1,1,1,2,1,1,1,1,1,1,2], baseSyllables: 'Do Re Mi Fa Sol La Ti Do Ti La Sol Fa Mi Re Do', stepSize: 1, iterations: 12 },
+  arpeggioAscending:    { name: 'Arpeggio – Ascending',    type: 'ascending',   basePattern: [0,4,7,12,7,4,0], rhythm: [1,1,1,2,1,1,2], baseSyllables: 'Do Mi Sol Do Sol Mi Do', stepSize: 2, iterations: 6 },
+  triadRoundTrip:       { name: 'Triad – Round Trip',      type: 'roundtrip',   basePattern: [0,4,7,4,0],   rhythm: [1,1,1,1,2], baseSyllables: 'Ma Me Mi Mo Mu', stepSize: 2, iterations: 5 },
+  fifthsRoundTrip:      { name: 'Fifths – Round Trip',     type: 'roundtrip',   basePattern: [0,7,0],        rhythm: [2,2,4],    baseSyllables: 'Ah Ah Ah',       stepSize: 2, iterations: 6, intervals: true },
+};
+
+export const vocalRanges = {
+  bass:     { root: MidiNumbers.fromNote('E2'), color: '#1e40af', clef: 'bass',    displayRange: { first: MidiNumbers.fromNote('E2'), last: MidiNumbers.fromNote('E4') } },
+  baritone: { root: MidiNumbers.fromNote('A2'), color: '#059669', clef: 'bass',    displayRange: { first: MidiNumbers.fromNote('A2'), last: MidiNumbers.fromNote('A4') } },
+  tenor:    { root: MidiNumbers.fromNote('C3'), color: '#d97706', clef: 'treble8', displayRange: { first: MidiNumbers.fromNote('C3'), last: MidiNumbers.fromNote('C5') } },
+  alto:     { root: MidiNumbers.fromNote('G3'), color: '#dc2626', clef: 'treble',  displayRange: { first: MidiNumbers.fromNote('G3'), last: MidiNumbers.fromNote('G5') } },
+  soprano:  { root: MidiNumbers.fromNote('C4'), color: '#9333ea', clef: 'treble',  displayRange: { first: MidiNumbers.fromNote('C4'), last: MidiNumbers.fromNote('C6') } },
+};
+
+/** Display name of a vocal part — its own label, else the capitalised key. */
+export const partLabel = (key, part) => part?.label || key.charAt(0).toUpperCase() + key.slice(1);
@@ -0,0 +1,44 @@
+// ─── WAV encoding ────────────────────────────────────────────────────────────
+// 16-bit PCM RIFF/WAVE — the format every phone, car stereo and DAW plays.
+
+const HEADER_BYTES = 44;
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * Encodes an AudioBuffer (or anything with numberOfChannels, sampleRate,
+ * length and getChannelData) as a WAV file. Samples outside -1…1 are clipped.
+ */
+export function encodeWav(buffer) {
+  const { numberOfChannels: channels, sampleRate, length } = buffer;
+  const blockAlign = channels * BYTES_PER_SAMPLE;
+  const dataBytes = length * blockAlign;
+  const bytes = new Uint8Array(HEADER_BYTES + dataBytes);
+  const view = new DataView(bytes.buffer);
+
+  const ascii = (offset, text) => { for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i); };
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);                       // fmt chunk size
+  view.setUint16(20, 1, true);                        // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);  // byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, BYTES_PER_SAMPLE * 8, true);     // bits per sample
+  ascii(36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  // Interleave channel by channel into the frame layout.
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  let offset = HEADER_BYTES;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < channels; c++) {
+      const s = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += BYTES_PER_SAMPLE;
+    }
+  }
+  return bytes;
+}
@@ -0,0 +1,35 @@
+import { encodeWav } from './wav';
+
+const fakeBuffer = (channels) => ({
+  numberOfChannels: channels.length,
+  sampleRate: 8000,
+  length: channels[0].length,
+  getChannelData: (c) => Float32Array.from(channels[c]),
+});
+
+const text = (bytes, offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+
+test('writes a 16-bit PCM header sized for the samples', () => {
+  const bytes = encodeWav(fakeBuffer([[0, 0, 0], [0, 0, 0]]));
+  const view = new DataView(bytes.buffer);
+
+  expect(bytes.length).toBe(44 + 3 * 2 * 2);
+  expect(text(bytes, 0, 4)).toBe('RIFF');
+  expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+  expect(text(bytes, 8, 8)).toBe('WAVEfmt ');
+  expect(view.getUint16(20, true)).toBe(1);
+  expect(view.getUint16(22, true)).toBe(2);
+  expect(view.getUint32(24, true)).toBe(8000);
+  expect(view.getUint32(28, true)).toBe(8000 * 4);
+  expect(view.getUint16(32, true)).toBe(4);
+  expect(view.getUint16(34, true)).toBe(16);
+  expect(text(bytes, 36, 4)).toBe('data');
+  expect(view.getUint32(40, true)).toBe(12);
+});
+
+test('interleaves channels and clips out-of-range samples', () => {
+  const bytes = encodeWav(fakeBuffer([[1, -1, 2], [0.5, -0.5, -3]]));
+  const view = new DataView(bytes.buffer);
+  const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+  expect(samples).toEqual([32767, 16383, -32768, -16384, 32767, -32768]);
+});
@@ -0,0 +1,78 @@
+import { readJson, writeJson } from './storage';
+
+// ─── Web MIDI ────────────────────────────────────────────────────────────────
+// Thin helpers over navigator.requestMIDIAccess: device lists, decoding
+// incoming key presses, and an output that sends notes on the audio clock so
+// an external synth stays in step with the sampled instrument.
+
+const STORAGE_KEY = 'vocal-warmups.midi';
+
+export const ALL_INPUTS = 'all';
+const ALL_NOTES_OFF = 123;
+
+export const isMidiSupported = () => typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+
+export const requestMidiAccess = () => navigator.requestMIDIAccess({ sysex: false });
+
+/** Connected ports of a MIDIInputMap / MIDIOutputMap as [{ id, name }]. */
+export function listPorts(map) {
+  return [...map.values()]
+    .filter(port => port.state !== 'disconnected')
+    .map(port => ({ id: port.id, name: port.name || 'Unnamed device' }));
+}
+
+/** Key presses only: { type: 'noteOn' | 'noteOff', note, velocity, channel }, or null for anything else. */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+  const kind = data[0] >> 4;
+  const channel = data[0] & 0x0f;
+  const [, note, velocity] = data;
+  if (kind === 0x9 && velocity > 0) return { type: 'noteOn', note, velocity, channel };
+  if (kind === 0x8 || kind === 0x9) return { type: 'noteOff', note, velocity: 0, channel };
+  return null;
+}
+
+/**
+ * Sends notes to `port` at AudioContext times. The context's output timestamp
+ * maps its clock onto performance.now(), which is what MIDI send() expects,
+ * so notes line up with what the speakers are playing.
+ */
+export function createMidiSender(port, context, { channel = 0 } = {}) {
+  const sounding = new Set();
+
+  const toTimestamp = (time) => {
+    const stamp = context.getOutputTimestamp?.();
+    if (stamp && stamp.performanceTime) return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+    return performance.now() + (time - context.currentTime) * 1000;
+  };
+  const send = (bytes, time) => port.send(bytes, time === undefined ? undefined : Math.max(0, toTimestamp(time)));
+
+  return {
+    /** Plays `note` at `time` for `duration` seconds. */
+    note(note, velocity, time, duration) {
+      sounding.add(note);
+      send([0x90 | channel, note, velocity], time);
+      send([0x80 | channel, note, 0], time + duration);
+    },
+    /** Drops anything still queued and silences the synth — for pause and stop. */
+    allOff() {
+      port.clear?.();
+      sounding.forEach(note => send([0x80 | channel, note, 0]));
+      sounding.clear();
+      send([0xb0 | channel, ALL_NOTES_OFF, 0]);
+    },
+  };
+}
+
+// ─── Saved device choice ─────────────────────────────────────────────────────
+// Device ids are stable across sessions in current browsers, so the same piano
+// is picked up again when it's plugged back in.
+const DEFAULT_SETTINGS = { enabled: false, inputId: ALL_INPUTS, outputId: '', withSampler: true };
+
+export function loadMidiSettings() {
+  return readJson(STORAGE_KEY, stored => ({ ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) }), { ...DEFAULT_SETTINGS });
+}
+
+export function saveMidiSettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
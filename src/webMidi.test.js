@@ -0,0 +1,41 @@
+import { createMidiSender, listPorts, parseMidiMessage } from './webMidi';
+
+test('decodes key presses and ignores other messages', () => {
+  expect(parseMidiMessage([0x91, 60, 100])).toEqual({ type: 'noteOn', note: 60, velocity: 100, channel: 1 });
+  expect(parseMidiMessage([0x90, 60, 0])).toEqual({ type: 'noteOff', note: 60, velocity: 0, channel: 0 });
+  expect(parseMidiMessage([0x80, 60, 64])).toEqual({ type: 'noteOff', note: 60, velocity: 0, channel: 0 });
+  expect(parseMidiMessage([0xb0, 64, 127])).toBeNull(); // sustain pedal
+  expect(parseMidiMessage([0xf8])).toBeNull();          // clock
+});
+
+test('lists only connected ports', () => {
+  const map = new Map([
+    ['a', { id: 'a', name: 'Digital Piano', state: 'connected' }],
+    ['b', { id: 'b', name: 'Old Synth', state: 'disconnected' }],
+    ['c', { id: 'c', name: '', state: 'connected' }],
+  ]);
+  expect(listPorts(map)).toEqual([{ id: 'a', name: 'Digital Piano' }, { id: 'c', name: 'Unnamed device' }]);
+});
+
+describe('createMidiSender', () => {
+  const setup = (context) => {
+    const sent = [];
+    const port = { send: (bytes, at) => sent.push([bytes, at]), clear: () => sent.push(['clear']) };
+    return { sent, sender: createMidiSender(port, context) };
+  };
+
+  test('maps audio-clock times through the output timestamp', () => {
+    const { sent, sender } = setup({ currentTime: 10, getOutputTimestamp: () => ({ contextTime: 9.9, performanceTime: 5000 }) });
+    sender.note(64, 80, 10.5, 0.25);
+    expect(sent).toEqual([[[0x90, 64, 80], 5600], [[0x80, 64, 0], 5850]]);
+  });
+
+  test('silences everything it started', () => {
+    const { sent, sender } = setup({ currentTime: 0, getOutputTimestamp: () => ({ contextTime: 0, performanceTime: 100 }) });
+    sender.note(60, 80, 1, 1);
+    sender.note(67, 80, 2, 1);
+    sent.length = 0;
+    sender.allOff();
+    expect(sent).toEqual([['clear'], [[0x80, 60, 0], undefined], [[0x80, 67, 0], undefined], [[0xb0, 123, 0], undefined]]);
+  });
+});